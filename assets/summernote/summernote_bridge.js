@@ -51,6 +51,7 @@ const defaultSummernoteOptions = {
   placeholder: 'Enter text here...',
   tabsize: 2,
   toolbar: [], // Hide toolbar - we use Flutter toolbar
+  allowClipboardImagePasting: false, // Clipboard images go through RE.handlePaste
   callbacks: {
     onInit: function () {
       console.log('Summernote initialized');
@@ -91,10 +92,17 @@ const defaultSummernoteOptions = {
       RE.enabledEditingItems();
     },
     onPaste: function (e) {
+      RE.handlePaste(e);
       // Call Dart callback if registered
       _callDartCallback('onPaste', _eventToMap(e));
     },
     onImageUpload: function (files) {
+      if (uploadOptions.enabled) {
+        _startImageUploads(files);
+      } else {
+        // No uploader configured, keep the images inline
+        $editor.summernote('insertImagesAsDataURL', files);
+      }
       // Convert FileList to array of data URLs or names
       const fileInfos = [];
       for (let i = 0; i < files.length; i++) {
@@ -207,6 +215,19 @@ function initSummernote() {
 
   // Store reference to the editable element
   RE.editor = $editor.next('.note-editor').find('.note-editable')[0];
+
+  // Autolinking is optional and handled in the Links section
+  $editor.summernote('removeModule', 'autoLink');
+  // Images are selected and resized in the Image Tools section
+  $editor.summernote('removeModule', 'handle');
+  _watchHistory();
+  _startCodeHighlighting();
+  _startMentionTracking();
+  _scheduleStats();
+
+  if (changeStreamEnabled) {
+    RE.requestResync();
+  }
 }
 
 // Manual initialization trigger (called from Dart)
@@ -220,6 +241,22 @@ RE.initSummernote = function () {
 // ==================== Callback System ====================
 
 RE.callback = function () {
+  if (findState) {
+    _scheduleFindRefresh();
+  }
+  _scheduleStats();
+  _scheduleDraftSave();
+  if (selectedImageElement) {
+    _checkSelectedImage();
+    _renderImageTools();
+  }
+
+  if (changeStreamEnabled) {
+    // Changes are picked up by the mutation observer of the change stream
+    _scheduleChangeFlush();
+    return;
+  }
+
   const currentHtml = RE.getHtml();
 
   if (currentHtml !== lastCallbackHtml) {
@@ -239,264 +276,7102 @@ RE.callback = function () {
   }
 };
 
-// ==================== Content Methods ====================
+// ==================== Change Stream ====================
+//
+// Opt-in replacement for onTextChange: instead of the whole document, only
+// the top-level blocks that changed are sent to Dart through onContentChange.
+//   {revision, type: 'reset', blocks: [{id, html}]}
+//   {revision, type: 'delta', ops: [{op: 'remove', id} | {op: 'insert', id, after, html} | {op: 'update', id, html}]}
+// `after` is the id of the preceding block (null for the first block).
+// Revisions increase by one per message; Dart calls RE.requestResync when
+// it sees a gap. Collaboration builds on the same block tracking.
+
+let changeStreamEnabled = false;
+let changeObserver = null;
+let changeTimeout = null;
+let changeRevision = 0;
+let blockSequence = 0;
+let blockIdPrefix = 'b';
+const blockIds = new WeakMap(); // top-level node -> block id
+let blockCache = new Map(); // block id -> HTML at the last flush
+let blockOrder = []; // block ids in document order at the last flush
+const dirtyBlocks = new Set();
 
-RE.setHtml = function (contents) {
-  const decoded = decodeURIComponent(contents.replace(/\+/g, '%20'));
-  $editor.summernote('code', decoded);
+/**
+ * Enable or disable the incremental change stream.
+ * @param {Object} options - {enabled}
+ */
+RE.configureChangeStream = function (options) {
+  changeStreamEnabled = !!(options && options.enabled);
+  if (changeStreamEnabled) {
+    RE.requestResync();
+  } else {
+    _stopBlockTracking();
+  }
 };
 
-RE.getHtml = function () {
-  return $editor.summernote('code');
+/**
+ * Send the complete list of blocks with the next revision.
+ */
+RE.requestResync = function () {
+  if (!RE.editor || !changeStreamEnabled) return;
+  if (changeObserver) {
+    _flushContentChanges(true);
+  } else {
+    _startBlockTracking();
+  }
+  _sendContentChange({
+    type: 'reset',
+    blocks: blockOrder.map(id => ({ id: id, html: blockCache.get(id) }))
+  });
 };
 
-RE.getText = function () {
-  return $editor.summernote('isEmpty') ? '' : $(RE.editor).text();
-};
+/**
+ * Start observing the editor and take a snapshot of its blocks.
+ */
+function _startBlockTracking() {
+  if (changeObserver) return;
+  changeObserver = new MutationObserver(records => {
+    _recordMutations(records);
+    _scheduleChangeFlush();
+  });
+  changeObserver.observe(RE.editor, { childList: true, subtree: true, characterData: true, attributes: true });
 
-RE.insertHTML = function (html) {
-  $editor.summernote('pasteHTML', html);
-};
+  blockCache = new Map();
+  blockOrder = _topLevelBlocks().map(node => {
+    const id = _blockId(node);
+    blockCache.set(id, _blockHtml(node));
+    return id;
+  });
+}
 
-RE.insertBlockQuote = function (contents) {
-  const decoded = decodeURIComponent(contents.replace(/\+/g, '%20'));
-  $editor.summernote('pasteHTML', decoded);
-  RE.callback();
-};
+/**
+ * Stop observing once neither the change stream nor collaboration need it.
+ */
+function _stopBlockTracking() {
+  if (!changeObserver || changeStreamEnabled || collabSiteId) return;
+  clearTimeout(changeTimeout);
+  changeObserver.disconnect();
+  changeObserver = null;
+  dirtyBlocks.clear();
+}
 
-// ==================== Text Formatting ====================
+function _scheduleChangeFlush() {
+  clearTimeout(changeTimeout);
+  changeTimeout = setTimeout(function () {
+    _flushContentChanges(true);
+    if (changeStreamEnabled) RE.enabledEditingItems();
+    if (remoteCursors.size > 0) _renderRemoteCursors();
+  }, 100);
+}
 
-RE.setBold = function () {
-  $editor.summernote('bold');
-  RE.enabledEditingItems();
-};
+/**
+ * Mark the top-level blocks containing the mutated nodes as dirty.
+ */
+function _recordMutations(records) {
+  records.forEach(record => {
+    let node = record.target;
+    while (node && node.parentNode !== RE.editor) {
+      node = node.parentNode;
+    }
+    if (node) dirtyBlocks.add(node);
+  });
+}
 
-RE.setItalic = function () {
-  $editor.summernote('italic');
-  RE.enabledEditingItems();
-};
+function _topLevelBlocks() {
+  return Array.from(RE.editor.childNodes).filter(node =>
+    node.nodeType === 1 || (node.nodeType === 3 && node.nodeValue.trim().length > 0));
+}
 
-RE.setUnderline = function () {
-  $editor.summernote('underline');
-  RE.enabledEditingItems();
-};
+function _blockId(node) {
+  if (!blockIds.has(node)) {
+    blockIds.set(node, blockIdPrefix + (blockSequence++).toString(36));
+  }
+  return blockIds.get(node);
+}
 
-RE.setStrikeThrough = function () {
-  $editor.summernote('strikethrough');
-  RE.enabledEditingItems();
-};
+function _blockHtml(node) {
+  return node.nodeType === 3 ? _escapeHtml(node.nodeValue) : _exportHtml(node.outerHTML);
+}
 
-RE.setSubscript = function () {
-  $editor.summernote('subscript');
-};
+/**
+ * Diff the top-level blocks against the last flush and send the operations
+ * to the change stream and, when `broadcast` is set, to collaborators.
+ */
+function _flushContentChanges(broadcast) {
+  clearTimeout(changeTimeout);
+  if (!changeObserver) return;
+  _recordMutations(changeObserver.takeRecords());
+
+  const nodes = _topLevelBlocks();
+  _renameMovedBlocks(nodes);
+  const ids = nodes.map(_blockId);
+  const present = new Set(ids);
+
+  const ops = [];
+  blockOrder.filter(id => !present.has(id)).forEach(id => {
+    blockCache.delete(id);
+    ops.push({ op: 'remove', id: id });
+  });
 
-RE.setSuperscript = function () {
-  $editor.summernote('superscript');
-};
+  const inserted = new Set();
+  nodes.forEach((node, index) => {
+    const id = ids[index];
+    if (blockCache.has(id)) return;
+    const html = _blockHtml(node);
+    blockCache.set(id, html);
+    inserted.add(id);
+    ops.push({ op: 'insert', id: id, after: index > 0 ? ids[index - 1] : null, html: html });
+  });
 
-// ==================== Lists ====================
+  dirtyBlocks.forEach(node => {
+    const id = _blockId(node);
+    if (!present.has(id) || inserted.has(id)) return;
+    const html = _blockHtml(node);
+    if (html !== blockCache.get(id)) {
+      // The previous version is the merge base for collaborators
+      ops.push({ op: 'update', id: id, html: html, base: blockCache.get(id) });
+      blockCache.set(id, html);
+    }
+  });
+  dirtyBlocks.clear();
+  blockOrder = ids;
 
-RE.setBullets = function () {
-  $editor.summernote('insertUnorderedList');
-  RE.enabledEditingItems();
-};
+  if (ops.length === 0) return;
+  if (changeStreamEnabled) {
+    _sendContentChange({ type: 'delta', ops: ops.map(op => op.op === 'update' ? { op: op.op, id: op.id, html: op.html } : op) });
+  }
+  if (collabSiteId && broadcast) {
+    _sendLocalOps(ops);
+  }
+}
 
-RE.setNumbers = function () {
-  $editor.summernote('insertOrderedList');
-  RE.enabledEditingItems();
-};
+/**
+ * Give new ids to blocks that moved relative to the others, so a reorder
+ * is reported as remove + insert. The longest run of blocks still in their
+ * previous relative order keeps its ids.
+ */
+function _renameMovedBlocks(nodes) {
+  const previous = new Map(blockOrder.map((id, index) => [id, index]));
+  const kept = nodes.filter(node => previous.has(blockIds.get(node)));
+  const staying = _longestIncreasingRun(kept.map(node => previous.get(blockIds.get(node))));
+  kept.forEach((node, index) => {
+    if (!staying.has(index)) blockIds.delete(node);
+  });
+}
 
-// ==================== Blocks ====================
+/**
+ * Indexes of a longest strictly increasing subsequence of `values`.
+ */
+function _longestIncreasingRun(values) {
+  const tails = []; // tails[length - 1] = index of the smallest tail of that length
+  const parents = [];
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    parents[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
 
-RE.setBlockquote = function () {
-  // Summernote doesn't have direct blockquote toggle, use formatBlock
-  document.execCommand('formatBlock', false, 'blockquote');
-  RE.enabledEditingItems();
-};
+  const run = new Set();
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index >= 0; index = parents[index]) {
+    run.add(index);
+  }
+  return run;
+}
 
-RE.setHeading = function (level) {
-  $editor.summernote('formatH' + level);
-};
+function _sendContentChange(change) {
+  change.revision = ++changeRevision;
+  if (window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler('onContentChange', change);
+  }
+}
 
-RE.setIndent = function () {
-  $editor.summernote('indent');
-};
+// ==================== Collaboration ====================
+//
+// Block-level CRDT on top of the change stream's block tracking:
+// - block order is a replicated growable array (RGA): a block is inserted
+//   after an origin block and concurrent inserts at the same origin are
+//   ordered by their [lamport, siteId] stamp; removed blocks stay as tombstones
+// - an update carries the block's previous HTML as its base. A site that
+//   edited the block since that base merges both versions token by token
+//   (characters, entities and tags): changes from both sides are kept, and
+//   text inserted at the same place is ordered by stamp, so every site ends
+//   up with the same content
+// Ops sent through onLocalOps and received by RE.applyRemoteOps:
+//   {type: 'insert', id, after, stamp, html} | {type: 'update', id, stamp, base, html} | {type: 'remove', id}
+// Cursor positions are {block, offset} with offsets counted in characters
+// (images, line breaks and checkboxes count as one).
+
+let collabSiteId = null;
+let collabClock = 0;
+let collabOrder = []; // block ids in RGA order, including tombstones
+let collabBlocks = new Map(); // block id -> {stamp, htmlStamp, seen, deleted}
+let collabPending = []; // remote ops waiting for the block they refer to
+let lastLocalCursor = '';
+let cursorTimeout = null;
+let cursorLayer = null;
+const remoteCursors = new Map(); // site id -> {siteId, name, color, anchor, focus}
 
-RE.setOutdent = function () {
-  $editor.summernote('outdent');
+/**
+ * Start collaborating. Existing content is published as inserts, so only
+ * one site should start with content; the others start empty and receive it.
+ * @param {Object} options - {siteId} unique id of this editor instance
+ */
+RE.startCollaboration = function (options) {
+  if (!RE.editor || collabSiteId) return;
+  _startBlockTracking();
+  // An empty editor receives its content from the other sites
+  if ($editor.summernote('isEmpty')) {
+    RE.editor.innerHTML = '';
+  }
+  _flushContentChanges(false);
+
+  collabSiteId = String(options.siteId);
+  collabClock = 0;
+  collabOrder = [];
+  collabBlocks = new Map();
+  collabPending = [];
+  lastLocalCursor = '';
+
+  // Re-announce existing blocks under ids that are unique across sites
+  blockIdPrefix = collabSiteId + ':';
+  RE.editor.childNodes.forEach(node => blockIds.delete(node));
+  _flushContentChanges(true);
+
+  document.addEventListener('selectionchange', _scheduleCursorUpdate);
+  window.addEventListener('resize', _renderRemoteCursors);
 };
 
-// ==================== Alignment ====================
-
-RE.setJustifyLeft = function () {
-  $editor.summernote('justifyLeft');
+/**
+ * Stop collaborating and remove all remote cursors.
+ */
+RE.stopCollaboration = function () {
+  if (!collabSiteId) return;
+  _flushContentChanges(true);
+  collabSiteId = null;
+  collabOrder = [];
+  collabBlocks = new Map();
+  collabPending = [];
+  blockIdPrefix = 'b';
+  clearTimeout(cursorTimeout);
+  document.removeEventListener('selectionchange', _scheduleCursorUpdate);
+  window.removeEventListener('resize', _renderRemoteCursors);
+  remoteCursors.clear();
+  _renderRemoteCursors();
+  _stopBlockTracking();
 };
 
-RE.setJustifyCenter = function () {
-  $editor.summernote('justifyCenter');
+/**
+ * Apply operations received from other sites. Ops may arrive more than
+ * once or before the block they refer to; duplicates are ignored and early
+ * ops are kept until they can be applied.
+ * @param {Array<Object>} ops - Ops from another site's onLocalOps
+ */
+RE.applyRemoteOps = function (ops) {
+  if (!collabSiteId) return;
+  // Send pending local edits first so they are not taken for remote ones
+  _flushContentChanges(true);
+
+  collabPending = collabPending.concat(ops || []);
+  let applied = true;
+  while (applied) {
+    applied = false;
+    collabPending = collabPending.filter(op => {
+      if (!_applyRemoteOp(op)) return true;
+      applied = true;
+      return false;
+    });
+  }
+
+  // Report the result to the change stream without echoing it back
+  _flushContentChanges(false);
+  if (!changeStreamEnabled) RE.callback();
+  _renderRemoteCursors();
 };
 
-RE.setJustifyRight = function () {
-  $editor.summernote('justifyRight');
+/**
+ * Show or move the caret and selection of another site.
+ * @param {Object} cursor - {siteId, name, color, anchor, focus}
+ */
+RE.updateRemoteCursor = function (cursor) {
+  if (!cursor || cursor.siteId === collabSiteId) return;
+  remoteCursors.set(String(cursor.siteId), cursor);
+  _renderRemoteCursors();
 };
 
-RE.setJustifyFull = function () {
-  $editor.summernote('justifyFull');
+/**
+ * Hide the caret of another site.
+ * @param {string} siteId - The site that left
+ */
+RE.removeRemoteCursor = function (siteId) {
+  remoteCursors.delete(String(siteId));
+  _renderRemoteCursors();
 };
 
-// ==================== Colors ====================
+function _sendLocalOps(ops) {
+  const out = [];
+  ops.forEach(op => {
+    if (op.op === 'insert') {
+      const stamp = [++collabClock, collabSiteId];
+      const index = op.after === null ? 0 : collabOrder.indexOf(op.after) + 1;
+      collabOrder.splice(index, 0, op.id);
+      collabBlocks.set(op.id, { stamp: stamp, htmlStamp: stamp, seen: new Set(), deleted: false });
+      out.push({ type: 'insert', id: op.id, after: op.after, stamp: stamp, html: op.html });
+      return;
+    }
 
-RE.setTextColor = function (color) {
-  $editor.summernote('foreColor', color);
-};
+    const block = collabBlocks.get(op.id);
+    if (!block) return;
+    if (op.op === 'update') {
+      block.htmlStamp = [++collabClock, collabSiteId];
+      out.push({ type: 'update', id: op.id, stamp: block.htmlStamp, base: op.base, html: op.html });
+    } else {
+      block.deleted = true;
+      out.push({ type: 'remove', id: op.id });
+    }
+  });
 
-RE.setTextBackgroundColor = function (color) {
-  $editor.summernote('backColor', color);
-};
+  if (out.length > 0 && window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler('onLocalOps', out);
+  }
+}
 
-// ==================== Font Size ====================
+/**
+ * Apply one remote op.
+ * @returns {boolean} False if the op has to wait for another op
+ */
+function _applyRemoteOp(op) {
+  const block = collabBlocks.get(op.id);
+
+  switch (op.type) {
+    case 'insert': {
+      if (block) return true;
+      if (op.after !== null && !collabBlocks.has(op.after)) return false;
+      collabClock = Math.max(collabClock, op.stamp[0]);
+
+      // RGA: skip blocks inserted at the same origin with a newer stamp
+      let index = op.after === null ? 0 : collabOrder.indexOf(op.after) + 1;
+      while (index < collabOrder.length && _isNewerStamp(collabBlocks.get(collabOrder[index]).stamp, op.stamp)) {
+        index++;
+      }
+      collabOrder.splice(index, 0, op.id);
+      collabBlocks.set(op.id, { stamp: op.stamp, htmlStamp: op.stamp, seen: new Set(), deleted: false });
+      RE.editor.insertBefore(_createBlockNode(op.id, op.html), _nextVisibleBlockNode(index));
+      return true;
+    }
+    case 'update': {
+      if (!block) return false;
+      collabClock = Math.max(collabClock, op.stamp[0]);
+      const key = op.stamp.join(' ');
+      if (block.deleted || block.seen.has(key)) return true;
+      block.seen.add(key);
+      const node = _findBlockNode(op.id);
+      if (node) _mergeRemoteUpdate(node, block, op);
+      if (_isNewerStamp(op.stamp, block.htmlStamp)) block.htmlStamp = op.stamp;
+      return true;
+    }
+    case 'remove': {
+      if (!block) return false;
+      block.deleted = true;
+      const node = _findBlockNode(op.id);
+      if (node) node.remove();
+      return true;
+    }
+    default:
+      return true;
+  }
+}
 
-RE.setFontSize = function (size) {
-  $editor.summernote('fontSize', size);
-};
+/**
+ * Apply a remote update to a block, merging it with the local edits made
+ * since the update's base.
+ */
+function _mergeRemoteUpdate(node, block, op) {
+  const current = _blockHtml(node);
+  if (op.html === current) return;
+  // An op without a base (e.g. replayed by a relay) replaces the block
+  if (op.base === undefined || op.base === current) {
+    _replaceBlockNode(node, _createBlockNode(op.id, op.html));
+    return;
+  }
+  const merged = _mergeBlockHtml(op.base, current, op.html, _isNewerStamp(op.stamp, block.htmlStamp));
+  _replaceBlockNode(node, _createBlockNode(op.id, merged.html), merged.mapOffset);
+}
 
-// ==================== Editor Appearance ====================
+/**
+ * Three-way merge of two versions of a block's HTML. Tokens deleted on
+ * either side are dropped and tokens inserted on either side are kept;
+ * where both sides inserted at the same place, the older side comes first.
+ * @param {boolean} localFirst - Whether the local version is older
+ * @returns {Object} {html, mapOffset} where mapOffset maps a character
+ *   offset in the local version to the merged version
+ */
+function _mergeBlockHtml(base, local, remote, localFirst) {
+  const baseTokens = _htmlTokens(base);
+  const localTokens = _htmlTokens(local);
+  const remoteTokens = _htmlTokens(remote);
+  const localMatches = _tokenMatches(baseTokens, localTokens);
+  const remoteMatches = _tokenMatches(baseTokens, remoteTokens);
+  const out = [];
+  const localIndex = new Array(localTokens.length + 1); // local token -> out index
+
+  const same = (a, b) => a.length === b.length && a.every((token, i) => token === b[i]);
+  let b = 0;
+  let l = 0;
+  let r = 0;
+  for (;;) {
+    // The next base token both sides kept ends the current chunk
+    let k = b;
+    while (k < baseTokens.length && (localMatches[k] < 0 || remoteMatches[k] < 0)) k++;
+    const lEnd = k < baseTokens.length ? localMatches[k] : localTokens.length;
+    const rEnd = k < baseTokens.length ? remoteMatches[k] : remoteTokens.length;
+    const baseChunk = baseTokens.slice(b, k);
+    const localChunk = localTokens.slice(l, lEnd);
+    const remoteChunk = remoteTokens.slice(r, rEnd);
+
+    const takeLocal = (keep) => {
+      for (let i = l; i < lEnd; i++) {
+        localIndex[i] = out.length;
+        if (keep(i)) out.push(localTokens[i]);
+      }
+    };
+    const takeRemote = (keep) => {
+      for (let i = r; i < rEnd; i++) {
+        if (keep(i)) out.push(remoteTokens[i]);
+      }
+    };
+    if (same(localChunk, baseChunk)) {
+      takeLocal(() => false);
+      takeRemote(() => true);
+    } else if (same(remoteChunk, baseChunk) || same(localChunk, remoteChunk)) {
+      takeLocal(() => true);
+    } else {
+      // Conflict: keep what each side inserted, in stamp order
+      const localMatched = new Set(localMatches.slice(b, k).filter(index => index >= 0));
+      const remoteMatched = new Set(remoteMatches.slice(b, k).filter(index => index >= 0));
+      if (localFirst) {
+        takeLocal(i => !localMatched.has(i));
+        takeRemote(i => !remoteMatched.has(i));
+      } else {
+        takeRemote(i => !remoteMatched.has(i));
+        takeLocal(i => !localMatched.has(i));
+      }
+    }
 
-RE.setBaseTextColor = function (color) {
-  $(RE.editor).css('color', color);
-};
+    if (k >= baseTokens.length) break;
+    localIndex[lEnd] = out.length;
+    out.push(baseTokens[k]);
+    b = k + 1;
+    l = lEnd + 1;
+    r = rEnd + 1;
+  }
+  localIndex[localTokens.length] = out.length;
+
+  const mapOffset = offset => {
+    let token = 0;
+    for (let length = 0; token < localTokens.length; token++) {
+      const next = length + _tokenLength(localTokens[token]);
+      if (next > offset) break;
+      length = next;
+    }
+    return out.slice(0, localIndex[token]).reduce((length, t) => length + _tokenLength(t), 0);
+  };
+  return { html: out.join(''), mapOffset: mapOffset };
+}
 
-RE.setBaseFontSize = function (size) {
-  $(RE.editor).css('font-size', size);
-};
+/**
+ * Split HTML into tags, character references and characters.
+ */
+function _htmlTokens(html) {
+  return String(html || '').match(/<[^>]*>|&[^;\s<&]*;|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+}
 
-RE.setPadding = function (left, top, right, bottom) {
-  $(RE.editor).css({
-    'padding-left': left,
-    'padding-top': top,
-    'padding-right': right,
-    'padding-bottom': bottom
-  });
-};
+/**
+ * Characters a token adds to text offsets (see _contentLength).
+ */
+function _tokenLength(token) {
+  if (token.charAt(0) === '<') return /^<(img|br|input)\b/i.test(token) ? 1 : 0;
+  return token.charAt(0) === '&' ? 1 : token.length;
+}
 
-RE.setBackgroundColor = function (color) {
-  $('body').css('background-color', color);
-  $(RE.editor).css('background-color', color);
-};
+/**
+ * Longest common subsequence of two token lists.
+ * @returns {Int32Array} For each token of `a`, the index of the matching
+ *   token of `b`, or -1
+ */
+function _tokenMatches(a, b) {
+  const matches = new Int32Array(a.length).fill(-1);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    matches[--endA] = --endB;
+  }
 
-RE.setWidth = function (size) {
-  $(RE.editor).css('min-width', size);
-};
+  const n = endA - start;
+  const m = endB - start;
+  // Very large rewrites of one block are treated as replacing it
+  if (n === 0 || m === 0 || n * m > 4000000) return matches;
+  const lengths = new Int32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
 
-RE.setHeight = function (size) {
-  $(RE.editor).css('height', size);
-};
+function _isNewerStamp(a, b) {
+  return a[0] > b[0] || (a[0] === b[0] && String(a[1]) > String(b[1]));
+}
 
-RE.setPlaceholder = function (placeholder) {
-  // Update placeholder through Summernote options
-  $('.note-placeholder').text(placeholder);
-};
+function _findBlockNode(id) {
+  return Array.from(RE.editor.childNodes).find(node => blockIds.get(node) === id) || null;
+}
 
-RE.setInputEnabled = function (enabled) {
-  if (enabled) {
-    $editor.summernote('enable');
-  } else {
-    $editor.summernote('disable');
+function _nextVisibleBlockNode(index) {
+  for (let i = index + 1; i < collabOrder.length; i++) {
+    if (collabBlocks.get(collabOrder[i]).deleted) continue;
+    const node = _findBlockNode(collabOrder[i]);
+    if (node) return node;
   }
-};
+  return null;
+}
 
-// ==================== Media Insertion ====================
+function _createBlockNode(id, html) {
+  const template = document.createElement('template');
+  template.innerHTML = RE.sanitizeHtml(html);
+  const node = template.content.firstChild || document.createElement('p');
+  blockIds.set(node, id);
+  return node;
+}
 
-RE.insertImage = function (url, alt) {
-  $editor.summernote('insertImage', url, alt || '');
-};
+/**
+ * Replace a block, keeping the local caret at the same character offset,
+ * or at the offset `mapOffset` moves it to.
+ */
+function _replaceBlockNode(node, replacement, mapOffset) {
+  const selection = document.getSelection();
+  const hasCaret = selection.rangeCount > 0 && node.contains(selection.anchorNode) && node.contains(selection.focusNode);
+  const map = mapOffset || (offset => offset);
+  const anchor = hasCaret ? map(_textOffset(node, selection.anchorNode, selection.anchorOffset)) : 0;
+  const focus = hasCaret ? map(_textOffset(node, selection.focusNode, selection.focusOffset)) : 0;
+
+  node.replaceWith(replacement);
+
+  if (hasCaret) {
+    const anchorPoint = _domPosition(replacement, anchor);
+    const focusPoint = _domPosition(replacement, focus);
+    selection.setBaseAndExtent(anchorPoint.node, anchorPoint.offset, focusPoint.node, focusPoint.offset);
+  }
+}
 
-RE.insertImageAttach = function (url, dataAttachment) {
-  var html = '<img src="' + url + '" data-attachment="' + dataAttachment + '" />';
-  $editor.summernote('pasteHTML', html);
-};
+/**
+ * Number of characters between the start of `root` and a DOM position.
+ * Images, line breaks and checkboxes count as one character.
+ */
+function _textOffset(root, container, offset) {
+  const range = document.createRange();
+  range.setStart(root, 0);
+  range.setEnd(container, offset);
+  return _contentLength(range.cloneContents());
+}
 
-RE.insertImageW = function (url, alt, width) {
-  var html = '<img src="' + url + '" alt="' + (alt || '') + '" width="' + width + '"/>';
-  $editor.summernote('pasteHTML', html);
-};
+function _contentLength(node) {
+  if (node.nodeType === 3) return node.nodeValue.length;
+  if (['IMG', 'BR', 'INPUT'].includes(node.nodeName)) return 1;
+  return Array.from(node.childNodes).reduce((length, child) => length + _contentLength(child), 0);
+}
 
-RE.insertImageWH = function (url, alt, width, height) {
-  var html = '<img src="' + url + '" alt="' + (alt || '') + '" style="width:' + width + 'px; height:' + height + 'px;" />';
-  $editor.summernote('pasteHTML', html);
+/**
+ * DOM position at a character offset inside `root` (inverse of _textOffset).
+ * An offset between two nodes resolves to the end of the first one, or to
+ * the start of the second one with `preferNext` (e.g. the next block).
+ * @returns {Object} {node, offset}
+ */
+function _domPosition(root, offset, preferNext) {
+  if (root.nodeType === 3) {
+    return { node: root, offset: Math.min(offset, root.nodeValue.length) };
+  }
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  let remaining = Math.max(0, offset);
+  let last = null;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === 3) {
+      const length = node.nodeValue.length;
+      if (remaining < length || (remaining === length && !preferNext)) return { node: node, offset: remaining };
+      remaining -= length;
+      last = { node: node, offset: length };
+    } else if (['IMG', 'BR', 'INPUT'].includes(node.nodeName)) {
+      const index = Array.from(node.parentNode.childNodes).indexOf(node);
+      if (remaining === 0) return { node: node.parentNode, offset: index };
+      remaining -= 1;
+      last = { node: node.parentNode, offset: index + 1 };
+      if (remaining === 0 && !preferNext) return last;
+    }
+  }
+  return last || { node: root, offset: root.childNodes.length };
+}
+
+/**
+ * Block id and character offset of a DOM position in the editor.
+ * @returns {Object|null} {block, offset}
+ */
+function _blockPosition(container, offset) {
+  if (container === RE.editor) {
+    const child = RE.editor.childNodes[Math.min(offset, RE.editor.childNodes.length - 1)];
+    return child && blockIds.has(child) ? { block: blockIds.get(child), offset: 0 } : null;
+  }
+
+  let block = container;
+  while (block && block.parentNode !== RE.editor) {
+    block = block.parentNode;
+  }
+  if (!block || !blockIds.has(block)) return null;
+  return { block: blockIds.get(block), offset: _textOffset(block, container, offset) };
+}
+
+function _scheduleCursorUpdate() {
+  clearTimeout(cursorTimeout);
+  cursorTimeout = setTimeout(_sendLocalCursor, 100);
+}
+
+function _sendLocalCursor() {
+  if (!collabSiteId) return;
+  // New blocks get their ids on flush, and other sites need them first
+  _flushContentChanges(true);
+
+  const selection = document.getSelection();
+  const inEditor = selection.rangeCount > 0 && RE.editor.contains(selection.anchorNode);
+  const cursor = {
+    siteId: collabSiteId,
+    anchor: inEditor ? _blockPosition(selection.anchorNode, selection.anchorOffset) : null,
+    focus: inEditor ? _blockPosition(selection.focusNode, selection.focusOffset) : null
+  };
+
+  const key = JSON.stringify(cursor);
+  if (key === lastLocalCursor) return;
+  lastLocalCursor = key;
+  if (window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler('onLocalCursor', cursor);
+  }
+}
+
+function _cursorPoint(position) {
+  if (!position) return null;
+  const block = _findBlockNode(position.block);
+  return block ? _domPosition(block, position.offset) : null;
+}
+
+/**
+ * Draw remote carets, labels and selections in an overlay above the editor.
+ */
+function _renderRemoteCursors() {
+  if (!RE.editor) return;
+  if (!cursorLayer) cursorLayer = _createOverlayLayer('remote-cursor-layer');
+  cursorLayer.innerHTML = '';
+  const addBox = (className, rect, color) => _addOverlayBox(cursorLayer, className, rect, color);
+
+  remoteCursors.forEach(cursor => {
+    const focus = _cursorPoint(cursor.focus);
+    if (!focus) return;
+    const anchor = _cursorPoint(cursor.anchor) || focus;
+    const color = cursor.color || '#2196f3';
+
+    const range = document.createRange();
+    range.setStart(anchor.node, anchor.offset);
+    range.setEnd(focus.node, focus.offset);
+    if (range.collapsed) {
+      // Anchor after focus (backwards selection) collapses the range
+      range.setStart(focus.node, focus.offset);
+      range.setEnd(anchor.node, anchor.offset);
+    }
+    Array.from(range.getClientRects()).forEach(rect => addBox('remote-selection', rect, color));
+
+    const caretRange = document.createRange();
+    caretRange.setStart(focus.node, focus.offset);
+    let rect = caretRange.getClientRects()[0];
+    if (!rect) {
+      // Empty blocks have no text to measure
+      const block = _findBlockNode(cursor.focus.block);
+      rect = block && block.nodeType === 1 ? block.getBoundingClientRect() : null;
+    }
+    if (!rect) return;
+
+    const caret = addBox('remote-caret', { left: rect.left, top: rect.top, width: 2, height: rect.height || 16 }, color);
+    const label = document.createElement('span');
+    label.className = 'remote-caret-label';
+    label.textContent = cursor.name || cursor.siteId;
+    label.style.backgroundColor = color;
+    caret.appendChild(label);
+  });
+}
+
+// ==================== HTML Sanitizer ====================
+
+// Allowlist applied to every piece of HTML entering or leaving the editor.
+// Dart can override any key through RE.setSanitizerPolicy.
+const defaultSanitizerPolicy = {
+  allowedTags: [
+    'p', 'div', 'span', 'br', 'hr', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del',
+    'ins', 'sub', 'sup', 'font', 'code', 'pre', 'a', 'img', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'ul', 'ol', 'li', 'blockquote', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+    'caption', 'colgroup', 'col', 'figure', 'figcaption', 'video', 'audio', 'source', 'input'
+  ],
+  allowedAttributes: {
+    '*': ['class', 'style', 'title', 'dir', 'data-*'],
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    video: ['src', 'width', 'height', 'controls', 'poster'],
+    audio: ['src', 'controls'],
+    source: ['src', 'type'],
+    ol: ['start', 'type'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    font: ['color', 'size', 'face'],
+    input: ['type', 'name', 'value', 'checked', 'disabled']
+  },
+  // `data:` is only accepted for raster images in img[src]
+  allowedSchemes: ['http', 'https', 'mailto', 'tel', 'data', 'blob'],
+  allowedStyles: [
+    'color', 'background-color', 'font-size', 'font-weight', 'font-style', 'font-family',
+    'text-decoration', 'text-decoration-line', 'text-decoration-style', 'text-decoration-color',
+    'text-align', 'vertical-align', 'line-height', 'width', 'height', 'max-width',
+    'margin-left', 'padding-left', 'float'
+  ]
+};
+
+// Elements removed together with their content; other disallowed
+// elements are unwrapped and keep their children
+const SANITIZER_DROP_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'applet', 'noscript', 'template', 'title', 'head', 'meta', 'link', 'base', 'svg', 'math',
+  'form', 'textarea', 'select', 'button'];
+
+const SANITIZER_URL_ATTRIBUTES = ['href', 'src', 'poster', 'cite', 'action', 'formaction', 'background'];
+
+let sanitizerPolicy = defaultSanitizerPolicy;
+
+/**
+ * Override parts of the sanitizer policy. Keys that are not provided keep
+ * their default value.
+ * @param {Object} policy - {allowedTags, allowedAttributes, allowedSchemes, allowedStyles}
+ */
+RE.setSanitizerPolicy = function (policy) {
+  sanitizerPolicy = Object.assign({}, defaultSanitizerPolicy, policy || {});
+};
+
+/**
+ * Get the active sanitizer policy.
+ * @returns {Object} The policy currently applied
+ */
+RE.getSanitizerPolicy = function () {
+  return sanitizerPolicy;
+};
+
+/**
+ * Sanitize an HTML string against the active policy.
+ * Parsing happens in an inert template, so nothing runs or loads.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+RE.sanitizeHtml = function (html) {
+  const template = document.createElement('template');
+  template.innerHTML = html == null ? '' : String(html);
+  _sanitizeChildren(template.content);
+  return template.innerHTML;
+};
+
+/**
+ * Check a URL attribute value against the allowed schemes.
+ * Relative URLs are always accepted.
+ * @param {string} value - The URL
+ * @param {string} tag - Lowercase tag name of the element
+ * @param {string} attribute - Lowercase attribute name
+ * @returns {boolean} True if the URL may be kept
+ */
+function _isAllowedUrl(value, tag, attribute) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const url = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+  const match = url.match(/^([a-z][a-z0-9+.\-]*):/i);
+  if (!match) return true;
+
+  const scheme = match[1].toLowerCase();
+  if (!sanitizerPolicy.allowedSchemes.includes(scheme)) return false;
+  if (scheme === 'data') {
+    return tag === 'img' && attribute === 'src' && /^data:image\/(png|gif|jpe?g|webp|bmp);/i.test(url);
+  }
+  return true;
+}
+
+function _sanitizeChildren(parent) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === 3) return;
+    if (node.nodeType !== 1) {
+      node.remove();
+      return;
+    }
+
+    const tag = node.nodeName.toLowerCase();
+    if (SANITIZER_DROP_TAGS.includes(tag) ||
+      (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() !== 'checkbox')) {
+      node.remove();
+      return;
+    }
+
+    _sanitizeChildren(node);
+
+    if (!sanitizerPolicy.allowedTags.includes(tag)) {
+      node.replaceWith(...Array.from(node.childNodes));
+      return;
+    }
+    _sanitizeAttributes(node, tag);
+  });
+}
+
+function _sanitizeAttributes(element, tag) {
+  const attributes = sanitizerPolicy.allowedAttributes;
+  const allowed = (attributes['*'] || []).concat(attributes[tag] || []);
+
+  Array.from(element.attributes).forEach(attr => {
+    const name = attr.name.toLowerCase();
+    const isAllowed = !name.startsWith('on') && allowed.some(pattern => pattern.endsWith('*')
+      ? name.startsWith(pattern.slice(0, -1))
+      : pattern === name);
+
+    if (!isAllowed || (SANITIZER_URL_ATTRIBUTES.includes(name) && !_isAllowedUrl(attr.value, tag, name))) {
+      element.removeAttribute(attr.name);
+    }
+  });
+
+  if (element.hasAttribute('style')) {
+    _sanitizeStyle(element);
+  }
+  if (tag === 'a' && element.getAttribute('target') === '_blank') {
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+}
+
+function _sanitizeStyle(element) {
+  const allowed = sanitizerPolicy.allowedStyles;
+  const kept = [];
+
+  for (let i = 0; i < element.style.length; i++) {
+    const property = element.style[i];
+    const value = element.style.getPropertyValue(property);
+    if (allowed.includes(property) && !/url\s*\(|expression\s*\(|javascript:/i.test(value)) {
+      kept.push(property + ': ' + value);
+    }
+  }
+
+  if (kept.length > 0) {
+    element.setAttribute('style', kept.join('; ') + ';');
+  } else {
+    element.removeAttribute('style');
+  }
+}
+
+// Functions that remove editor-only markup before HTML leaves the editor.
+// Each one receives the root of a parsed copy of the document.
+const htmlExportFilters = [];
+
+/**
+ * Run the export filters and the sanitizer over the editor HTML.
+ * @param {string} html - Editor HTML
+ * @param {Function|Function[]} [extraFilter] - Filters for this export only,
+ *   run last
+ */
+function _exportHtml(html, extraFilter) {
+  const filters = extraFilter ? htmlExportFilters.concat(extraFilter) : htmlExportFilters;
+  if (filters.length === 0) return RE.sanitizeHtml(html);
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  filters.forEach(filter => filter(template.content));
+  return RE.sanitizeHtml(template.innerHTML);
+}
+
+/**
+ * Replace the whole document with sanitized HTML.
+ */
+function _setCode(html) {
+  $editor.summernote('code', RE.sanitizeHtml(html));
+  _renderEmbeds();
+  historyDirty = true;
+  lastDraftHtml = _draftHtml();
+}
+
+/**
+ * Insert sanitized HTML at the caret, within the length limit, as a
+ * suggestion while track changes is on.
+ * @param {string} html - HTML to insert
+ * @param {string} [source] - 'paste' or 'insert' (default), for onLimitExceeded
+ */
+function _pasteHTML(html, source) {
+  const limited = _limitHtml(RE.sanitizeHtml(html), source || 'insert');
+  if (limited === null) return;
+  const range = _editorRange();
+  if (_isTracking(range)) {
+    if (!range.collapsed) _trackDelete(range, true);
+    $editor.summernote('setLastRange');
+    $editor.summernote('pasteHTML', _trackHtml(limited));
+  } else {
+    $editor.summernote('pasteHTML', limited);
+  }
+  _renderEmbeds();
+}
+
+// ==================== Paste Handling ====================
+
+// mode: 'plainText' | 'basicFormatting' | 'full'
+// transform: ask Dart to rewrite the cleaned fragment before insertion
+let pasteOptions = {
+  mode: 'full',
+  transform: false
+};
+
+// Tags kept by the 'basicFormatting' mode, everything else is unwrapped
+const PASTE_BASIC_TAGS = ['p', 'br', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del', 'a',
+  'ul', 'ol', 'li', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Configure the paste pipeline.
+ * @param {Object} options - {mode, transform}
+ */
+RE.configurePaste = function (options) {
+  pasteOptions = Object.assign({}, pasteOptions, options || {});
+};
+
+/**
+ * Clean, optionally transform in Dart, sanitize and insert clipboard content.
+ * Clipboard images go through the same upload flow as drag-and-drop.
+ * @param {Event} e - The paste event from Summernote
+ */
+RE.handlePaste = function (e) {
+  const clipboard = (e.originalEvent || e).clipboardData;
+  if (!clipboard) return;
+
+  const images = Array.from(clipboard.files || []).filter(file => /^image\//.test(file.type));
+  const html = clipboard.getData('text/html');
+  const text = clipboard.getData('text/plain');
+
+  if (images.length > 0) {
+    e.preventDefault();
+    // Summernote hands the files to onImageUpload, like a drop
+    $editor.summernote('insertImagesOrCallback', images);
+    // Copying a single image also puts its <img> markup on the clipboard
+    if (!text) return;
+  }
+
+  if (!html && !text) return;
+  // Code blocks only take plain text
+  if (images.length === 0 && _pasteIntoCode(text)) {
+    e.preventDefault();
+    return;
+  }
+  const embed = embedOptions.offerPastedUrls && images.length === 0 ? _matchEmbedUrl(text) : null;
+  if (embed) _offerEmbed(text.trim(), embed);
+  if (!html && pasteOptions.mode !== 'plainText' && !pasteOptions.transform && !_hasUnicodeEmoji(text) &&
+    !limitOptions.maxLength) {
+    // Plain text needs no cleanup, let the browser insert it
+    return;
+  }
+
+  e.preventDefault();
+  const cleaned = _mapUnicodeEmoji(pasteOptions.mode === 'plainText' || !html
+    ? _plainTextToHtml(text)
+    : _cleanPastedHtml(html, pasteOptions.mode));
+
+  if (!pasteOptions.transform || !window.flutter_inappwebview) {
+    _pasteHTML(cleaned, 'paste');
+    return;
+  }
+
+  // The Dart round trip is async, keep the caret position meanwhile
+  RE.backuprange();
+  window.flutter_inappwebview.callHandler('onPasteTransform', {
+    html: cleaned,
+    text: text,
+    mode: pasteOptions.mode
+  }).then(result => {
+    // null keeps the cleaned fragment, an empty string cancels the paste
+    const fragment = result == null ? cleaned : String(result);
+    if (fragment.length === 0) return;
+    RE.restorerange();
+    _pasteHTML(fragment, 'paste');
+  }).catch(() => {
+    RE.restorerange();
+    _pasteHTML(cleaned, 'paste');
+  });
+};
+
+function _plainTextToHtml(text) {
+  return _escapeHtml(text || '').replace(/\r\n?/g, '\n').replace(/\n/g, '<br>');
+}
+
+/**
+ * Strip Word and Google Docs markup, styles and comments from pasted HTML.
+ * @param {string} html - Clipboard HTML
+ * @param {string} mode - 'basicFormatting' or 'full'
+ * @returns {string} Cleaned HTML fragment
+ */
+function _cleanPastedHtml(html, mode) {
+  // Only keep the copied fragment when the clipboard marks it
+  const fragment = html.match(/<!--StartFragment-->([\s\S]*?)<!--EndFragment-->/);
+  let source = fragment ? fragment[1] : html;
+
+  source = source
+    .replace(/<!--\[if[\s\S]*?<!\[endif\]-->/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\/?[a-z]+:[a-z]+[^>]*>/gi, ''); // Office namespaced tags (o:p, v:shape, w:...)
+
+  const template = document.createElement('template');
+  template.innerHTML = source;
+  _cleanPastedNode(template.content, mode);
+  _stripAnnotations(template.content);
+  return template.innerHTML;
+}
+
+function _cleanPastedNode(parent, mode) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === 8) {
+      node.remove();
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.nodeName.toLowerCase();
+    if (['style', 'meta', 'link', 'title', 'script', 'xml'].includes(tag)) {
+      node.remove();
+      return;
+    }
+
+    // The tags made from styles are cleaned with the other children
+    _pastedStylesToTags(node);
+    _cleanPastedNode(node, mode);
+
+    // Google Docs wraps the whole fragment in <b id="docs-internal-guid-...">
+    if (/^docs-internal-guid/.test(node.id || '')) {
+      node.replaceWith(...Array.from(node.childNodes));
+      return;
+    }
+
+    if (tag === 'img' && !/^(https?:|data:image\/)/i.test(node.getAttribute('src') || '')) {
+      // Local file references (file://, cid:) cannot be loaded by the editor
+      node.remove();
+      return;
+    }
+
+    if (mode === 'basicFormatting') {
+      if (!PASTE_BASIC_TAGS.includes(tag)) {
+        node.replaceWith(...Array.from(node.childNodes));
+        return;
+      }
+      Array.from(node.attributes).forEach(attr => {
+        if (!(tag === 'a' && attr.name === 'href')) node.removeAttribute(attr.name);
+      });
+      return;
+    }
+
+    node.removeAttribute('id');
+    node.removeAttribute('lang');
+    if (/(^|\s)Mso/.test(node.getAttribute('class') || '')) node.removeAttribute('class');
+    if (node.hasAttribute('style')) {
+      const style = node.getAttribute('style')
+        .split(';')
+        .filter(rule => rule.trim() && !/^\s*mso-/i.test(rule))
+        .join(';');
+      if (style) node.setAttribute('style', style);
+      else node.removeAttribute('style');
+    }
+  });
+}
+
+/**
+ * Google Docs and Word express formatting with inline styles on spans.
+ * Move those styles into nested tags so they survive the basic mode and
+ * the sanitizer.
+ */
+function _pastedStylesToTags(node) {
+  if (node.nodeName !== 'SPAN' || !node.hasAttribute('style')) return;
+
+  const style = node.style;
+  const wrappers = [];
+  if (style.fontWeight === 'bold' || Number(style.fontWeight) >= 600) wrappers.push('b');
+  if (style.fontStyle === 'italic') wrappers.push('i');
+  if (/underline/.test(style.textDecoration)) wrappers.push('u');
+  if (/line-through/.test(style.textDecoration)) wrappers.push('s');
+  if (style.verticalAlign === 'super') wrappers.push('sup');
+  if (style.verticalAlign === 'sub') wrappers.push('sub');
+  if (wrappers.length === 0) return;
+
+  ['font-weight', 'font-style', 'text-decoration', 'vertical-align'].forEach(property => {
+    style.removeProperty(property);
+  });
+
+  let inner = node;
+  wrappers.forEach(tag => {
+    const wrapper = document.createElement(tag);
+    wrapper.append(...Array.from(inner.childNodes));
+    inner.appendChild(wrapper);
+    inner = wrapper;
+  });
+}
+
+// ==================== Image Upload ====================
+
+// enabled: send file bytes to Dart and show a placeholder until resolved
+// chunkSize: bytes per onImageUploadData message
+let uploadOptions = {
+  enabled: false,
+  chunkSize: 512 * 1024
+};
+
+let uploadSequence = 0;
+const uploadPreviewUrls = new Map(); // upload id -> blob preview URL
+
+/**
+ * Configure the image upload flow.
+ * @param {Object} options - {enabled, chunkSize}
+ */
+RE.configureImageUpload = function (options) {
+  uploadOptions = Object.assign({}, uploadOptions, options || {});
+};
+
+/**
+ * Update the progress bar of a pending upload.
+ * @param {string} id - Upload id sent with onImageUploadData
+ * @param {number} pct - Progress between 0 and 100
+ */
+RE.updateUploadProgress = function (id, pct) {
+  const width = Math.max(0, Math.min(100, Number(pct) || 0)) + '%';
+  _updateUploadPlaceholder(id, placeholder => {
+    const bar = placeholder.querySelector('.upload-progress-bar');
+    if (bar) bar.style.width = width;
+  });
+};
+
+/**
+ * Replace the placeholder of a finished upload with the final image.
+ * @param {string} id - Upload id
+ * @param {string} url - URL of the uploaded image
+ */
+RE.resolveUpload = function (id, url) {
+  if (!_isAllowedUrl(url, 'img', 'src')) {
+    RE.failUpload(id, 'URL rejected by sanitizer policy');
+    return;
+  }
+  const found = _updateUploadPlaceholder(id, placeholder => {
+    const image = document.createElement('img');
+    image.setAttribute('src', url);
+    image.setAttribute('alt', placeholder.getAttribute('data-upload-name') || '');
+    placeholder.replaceWith(image);
+  });
+  _releaseUploadPreview(id);
+  if (found) RE.callback();
+};
+
+/**
+ * Remove the placeholder of a failed upload.
+ * @param {string} id - Upload id
+ * @param {string} reason - Why the upload failed (logged only)
+ */
+RE.failUpload = function (id, reason) {
+  console.log('Upload failed:', id, reason);
+  const found = _updateUploadPlaceholder(id, placeholder => placeholder.remove());
+  _releaseUploadPreview(id);
+  if (found) RE.callback();
+};
+
+/**
+ * Insert placeholders at the caret and stream the files to Dart.
+ * Used for drag-and-drop and paste (both arrive through onImageUpload).
+ * @param {FileList|Array<File>} files - Image files
+ */
+function _startImageUploads(files) {
+  Array.from(files).forEach(file => {
+    const id = 'upload-' + Date.now().toString(36) + '-' + (uploadSequence++);
+    $editor.summernote('insertNode', _createUploadPlaceholder(id, file));
+    _sendUploadChunks(id, file);
+  });
+}
+
+function _createUploadPlaceholder(id, file) {
+  const placeholder = document.createElement('span');
+  placeholder.className = 'upload-placeholder';
+  placeholder.setAttribute('contenteditable', 'false');
+  placeholder.setAttribute('data-upload-id', id);
+  placeholder.setAttribute('data-upload-name', file.name || '');
+
+  if (window.URL && URL.createObjectURL) {
+    const previewUrl = URL.createObjectURL(file);
+    uploadPreviewUrls.set(id, previewUrl);
+    const preview = document.createElement('img');
+    preview.className = 'upload-preview';
+    preview.setAttribute('src', previewUrl);
+    placeholder.appendChild(preview);
+  }
+
+  const progress = document.createElement('span');
+  progress.className = 'upload-progress';
+  const bar = document.createElement('span');
+  bar.className = 'upload-progress-bar';
+  bar.style.width = '0%';
+  progress.appendChild(bar);
+  placeholder.appendChild(progress);
+
+  return placeholder;
+}
+
+function _sendUploadChunks(id, file) {
+  const chunkSize = uploadOptions.chunkSize;
+  const count = Math.max(1, Math.ceil(file.size / chunkSize));
+
+  const sendChunk = index => {
+    if (index >= count || !window.flutter_inappwebview) return Promise.resolve();
+    return _readBase64(file.slice(index * chunkSize, (index + 1) * chunkSize))
+      .then(data => window.flutter_inappwebview.callHandler('onImageUploadData', {
+        id: id,
+        name: file.name || 'image',
+        mimeType: file.type,
+        size: file.size,
+        index: index,
+        count: count,
+        data: data
+      }))
+      .then(() => sendChunk(index + 1));
+  };
+
+  return sendChunk(0).catch(error => RE.failUpload(id, String(error)));
+}
+
+function _readBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function _releaseUploadPreview(id) {
+  const previewUrl = uploadPreviewUrls.get(id);
+  if (previewUrl) {
+    URL.revokeObjectURL(previewUrl);
+    uploadPreviewUrls.delete(id);
+  }
+}
+
+function _findUploadPlaceholder(root, id) {
+  return Array.from(root.querySelectorAll('.upload-placeholder'))
+    .find(element => element.getAttribute('data-upload-id') === id) || null;
+}
+
+/**
+ * Apply a change to an upload placeholder in the editor and in every undo
+ * snapshot, so progress updates and swaps never create history entries.
+ * @returns {boolean} True if the placeholder is in the document
+ */
+function _updateUploadPlaceholder(id, update) {
+  const placeholder = _findUploadPlaceholder(RE.editor, id);
+  if (!placeholder) return false;
+  update(placeholder);
+
+  const history = _summernoteHistory();
+  if (history) {
+    history.stack.forEach(snapshot => {
+      const template = document.createElement('template');
+      template.innerHTML = snapshot.contents;
+      const copy = _findUploadPlaceholder(template.content, id);
+      if (copy) {
+        update(copy);
+        snapshot.contents = template.innerHTML;
+      }
+    });
+  }
+  return true;
+}
+
+/**
+ * Apply DOM changes made outside Summernote commands as one undo step.
+ */
+function _undoableChange(change) {
+  const history = _summernoteHistory();
+  // Snapshots bookmark Summernote's last range by node path, so it must point
+  // into the DOM as it will be re-parsed from the snapshot HTML
+  const record = () => {
+    const selected = _editorRange();
+    const offsets = selected && _rangeOffsets(selected);
+    RE.editor.normalize();
+    _setLastRange(offsets ? _offsetRange(offsets.start, offsets.end) : null);
+    history.recordUndo();
+  };
+
+  // Keep unsaved typing as its own step
+  if (history && history.stack[history.stackOffset] &&
+    RE.editor.innerHTML !== history.stack[history.stackOffset].contents) {
+    record();
+  }
+  change();
+  // A change that was given up (e.g. over the length limit) is no step
+  if (history && RE.editor.innerHTML !== history.stack[history.stackOffset].contents) record();
+  RE.callback();
+}
+
+/**
+ * Point Summernote's last range (used by its commands and undo bookmarks)
+ * at a DOM range, or at the start of the editor.
+ */
+function _setLastRange(range) {
+  $editor.summernote('setLastRange', range
+    ? $.summernote.range.create(range.startContainer, range.startOffset, range.endContainer, range.endOffset)
+    : $.summernote.range.create(RE.editor, 0));
+}
+
+/**
+ * Summernote's undo history (internal API).
+ * @returns {Object|null} History module with `stack` and `stackOffset`
+ */
+function _summernoteHistory() {
+  const context = $editor && $editor.data('summernote');
+  return context && context.modules.editor ? context.modules.editor.history : null;
+}
+
+// Pending uploads never leave the editor
+htmlExportFilters.push(root => {
+  root.querySelectorAll('.upload-placeholder').forEach(placeholder => placeholder.remove());
+});
+
+// ==================== Content Methods ====================
+
+RE.setHtml = function (contents) {
+  const decoded = decodeURIComponent(contents.replace(/\+/g, '%20'));
+  _setCode(decoded);
+};
+
+/**
+ * Get the document HTML.
+ * @param {Object} [options] - {emoji, changes}
+ *   - emoji: 'image' | 'shortcode' | 'unicode', how emoji images are written
+ *     (default: 'image')
+ *   - changes: 'marked' | 'accepted' | 'rejected', whether tracked changes
+ *     are kept as markup or applied (default: 'marked')
+ *   - annotations: false to leave annotation markup out (default: true)
+ *   - embeds: 'bbcode' | 'iframe' | 'html', how media embeds are written
+ *     (default: embedOptions.export)
+ */
+RE.getHtml = function (options) {
+  return _serializeEmbeds(_exportHtml($editor.summernote('code'), _exportFilters(options)), options && options.embeds);
+};
+
+/**
+ * Get the document text.
+ * @param {Object} [options] - {emoji, changes}: emoji images are left out
+ *   with emoji 'image' (default); see RE.getHtml
+ */
+RE.getText = function (options) {
+  if ($editor.summernote('isEmpty')) return '';
+  const filters = _exportFilters(options);
+  if (filters.length === 0) return $(RE.editor).text();
+  const copy = RE.editor.cloneNode(true);
+  filters.forEach(filter => filter(copy));
+  return copy.textContent;
+};
+
+function _exportFilters(options) {
+  return [_emojiExportFilter(options), _changesExportFilter(options), _annotationExportFilter(options)]
+    .filter(Boolean);
+}
+
+RE.insertHTML = function (html) {
+  _pasteHTML(html);
+};
+
+RE.insertBlockQuote = function (contents) {
+  const decoded = decodeURIComponent(contents.replace(/\+/g, '%20'));
+  _pasteHTML(decoded);
+  RE.callback();
+};
+
+// ==================== Markdown Conversion ====================
+
+/**
+ * Get the editor content as Markdown.
+ * Covers the formatting the bridge produces: bold/italic/strike, headings,
+ * lists, blockquotes, links, images and todo checkboxes.
+ * @returns {string} Markdown representation of the document
+ */
+RE.getMarkdown = function () {
+  if ($editor.summernote('isEmpty')) return '';
+  return _mdBlocks(RE.editor, '').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Replace the editor content with HTML converted from Markdown.
+ * @param {string} markdown - Markdown source
+ */
+RE.setMarkdown = function (markdown) {
+  _setCode(_mdToHtml(markdown || ''));
+  RE.callback();
+};
+
+const MD_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI',
+  'BLOCKQUOTE', 'PRE', 'HR', 'TABLE', 'FIGURE'];
+
+function _isMdBlock(node) {
+  return node.nodeType === 1 && MD_BLOCK_TAGS.includes(node.nodeName);
+}
+
+/**
+ * Serialize the children of a container element as Markdown blocks.
+ * Consecutive inline nodes are grouped into a single paragraph.
+ */
+function _mdBlocks(container, indent) {
+  const out = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const text = inline.map(_mdInline).join('').replace(/^[ \t]+|[ \t]+$/g, '');
+    if (text.trim().length > 0) out.push(_mdParagraph(text));
+    inline = [];
+  };
+
+  container.childNodes.forEach(node => {
+    if (_isMdBlock(node)) {
+      flushInline();
+      const block = _mdBlock(node, indent);
+      if (block.length > 0) out.push(block);
+    } else {
+      inline.push(node);
+    }
+  });
+  flushInline();
+
+  // Keep consecutive todo paragraphs together as one task list
+  return out.reduce((md, block, index) => {
+    if (index === 0) return block;
+    const tight = /^- \[[ x]\] /.test(block) && /^- \[[ x]\] [^\n]*$/.test(out[index - 1]);
+    return md + (tight ? '\n' : '\n\n') + block;
+  }, '');
+}
+
+function _mdBlock(node, indent) {
+  switch (node.nodeName) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+      return '#'.repeat(Number(node.nodeName[1])) + ' ' + _mdInlineChildren(node).trim();
+    case 'UL':
+    case 'OL':
+      return _mdList(node, indent);
+    case 'BLOCKQUOTE':
+      return _mdBlocks(node, '').split('\n').map(line => line ? '> ' + line : '>').join('\n');
+    case 'PRE':
+      return '```' + (node.getAttribute('data-language') || '') + '\n' +
+        _codeText(node).replace(/\n$/, '') + '\n```';
+    case 'HR':
+      return '---';
+    case 'TABLE':
+    case 'FIGURE':
+      // No Markdown equivalent in our subset: keep the markup as-is
+      return node.outerHTML;
+    default:
+      // Embeds are written as their URL
+      if (node.matches(EMBED_SELECTOR)) return node.getAttribute('data-embed-url') || '';
+      // P, DIV and stray LI elements
+      if (Array.from(node.childNodes).some(_isMdBlock)) {
+        return _mdBlocks(node, indent);
+      }
+      return _mdParagraph(_mdInlineChildren(node).trim());
+  }
+}
+
+/**
+ * A paragraph that starts with a todo checkbox is written as a task item.
+ * Text that would start a block on one of its lines is escaped.
+ */
+function _mdParagraph(text) {
+  return text.split('\n').map(line => line
+    .replace(/^(\s*)(#|[-+](?=\s|$|\s*-\s*-))/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2'))
+    .join('\n')
+    .replace(/^\[( |x)\] \s*/, '- [$1] ');
+}
+
+function _mdList(list, indent) {
+  const ordered = list.nodeName === 'OL';
+  const task = list.classList.contains('task-list');
+  const lines = [];
+  let index = Number(list.getAttribute('start')) || 1;
+
+  Array.from(list.children).forEach(item => {
+    if (item.nodeName === 'UL' || item.nodeName === 'OL') {
+      lines.push(_mdList(item, indent + '  '));
+      return;
+    }
+    const marker = ordered ? (index++) + '. '
+      : task ? (item.getAttribute('data-checked') === 'true' ? '- [x] ' : '- [ ] ') : '- ';
+    const childIndent = indent + (task ? '  ' : ' '.repeat(marker.length));
+    const inlineNodes = [];
+    const nested = [];
+    item.childNodes.forEach(child => {
+      (_isMdBlock(child) && child.nodeName !== 'P' ? nested : inlineNodes).push(child);
+    });
+    const text = inlineNodes.map(child => child.nodeName === 'P'
+      ? _mdInlineChildren(child) : _mdInline(child)).join('').trim();
+    lines.push(indent + marker + text);
+    nested.forEach(child => {
+      lines.push(child.nodeName === 'UL' || child.nodeName === 'OL'
+        ? _mdList(child, childIndent)
+        : _mdBlock(child, childIndent).split('\n').map(l => childIndent + l).join('\n'));
+    });
+  });
+
+  return lines.join('\n');
+}
+
+function _mdInlineChildren(node) {
+  return Array.from(node.childNodes).map(_mdInline).join('');
+}
+
+/**
+ * Wrap inline Markdown with a delimiter, keeping surrounding whitespace
+ * outside of the markers so `<b>foo </b>bar` becomes `**foo** bar`.
+ */
+function _mdWrap(content, delimiter) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return match[1] + delimiter + match[2] + delimiter + match[3];
+}
+
+function _mdEscape(text) {
+  return text.replace(/([\\`*_~\[\]<>])/g, '\\$1');
+}
+
+function _mdInline(node) {
+  if (node.nodeType === 3) {
+    return _mdEscape(node.nodeValue.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== 1) return '';
+
+  switch (node.nodeName) {
+    case 'B':
+    case 'STRONG':
+      return _mdWrap(_mdInlineChildren(node), '**');
+    case 'I':
+    case 'EM':
+      return _mdWrap(_mdInlineChildren(node), '*');
+    case 'S':
+    case 'STRIKE':
+    case 'DEL':
+      return _mdWrap(_mdInlineChildren(node), '~~');
+    case 'U':
+    case 'SUB':
+    case 'SUP': {
+      // No Markdown syntax for these, inline HTML is allowed by most renderers
+      const tag = node.nodeName.toLowerCase();
+      return '<' + tag + '>' + _mdInlineChildren(node) + '</' + tag + '>';
+    }
+    case 'CODE':
+      return '`' + node.textContent + '`';
+    case 'A': {
+      const href = node.getAttribute('href') || '';
+      const title = node.getAttribute('title');
+      return '[' + _mdInlineChildren(node) + '](' + href.replace(/ /g, '%20') +
+        (title ? ' "' + title.replace(/"/g, '\\"') + '"' : '') + ')';
+    }
+    case 'IMG':
+      return '![' + _mdEscape(node.getAttribute('alt') || '') + '](' +
+        (node.getAttribute('src') || '').replace(/ /g, '%20') + ')';
+    case 'BR':
+      return '  \n';
+    case 'INPUT':
+      if (node.type === 'checkbox') return node.checked ? '[x] ' : '[ ] ';
+      return '';
+    default:
+      return _mdInlineChildren(node);
+  }
+}
+
+/**
+ * Convert a Markdown string into editor HTML.
+ */
+function _mdToHtml(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  return _mdParseBlocks(lines) || '<p><br></p>';
+}
+
+function _mdParseBlocks(lines) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (/^\s*$/.test(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i++]);
+      }
+      i++;
+      const language = fence[2] ? ' data-language="' + _escapeHtml(fence[2].toLowerCase()) + '"' : '';
+      html.push('<pre' + language + '>' + _escapeHtml(code.join('\n')) + '</pre>');
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push('<h' + level + '>' + _mdParseInline(heading[2]) + '</h' + level + '>');
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+        quoted.push(lines[i++].replace(/^\s{0,3}> ?/, ''));
+      }
+      html.push('<blockquote>' + _mdParseBlocks(quoted) + '</blockquote>');
+      continue;
+    }
+
+    const first = _mdListItem(line);
+    if (first) {
+      const listLines = [];
+      while (i < lines.length) {
+        const item = _mdListItem(lines[i]);
+        if (!item && !(/^\s+\S/.test(lines[i]) && listLines.length > 0)) break;
+        // Another marker type at the same level starts a new list
+        if (item && listLines.length > 0 && item[1].length <= first[1].length + 1 &&
+          item[2].replace(/^\d+/, '') !== first[2].replace(/^\d+/, '')) break;
+        listLines.push(lines[i++]);
+      }
+      html.push(_mdParseList(listLines));
+      continue;
+    }
+
+    // Paragraph: collect until a blank line or another block starts
+    const para = [line];
+    i++;
+    while (i < lines.length && !/^\s*$/.test(lines[i]) &&
+      !/^\s{0,3}(#{1,6}\s|>|```|~~~)/.test(lines[i]) && !_mdListItem(lines[i])) {
+      para.push(lines[i++]);
+    }
+    html.push('<p>' + _mdParseLines(para) + '</p>');
+  }
+
+  return html.join('');
+}
+
+function _mdListItem(line) {
+  return line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+}
+
+/**
+ * Parse a run of list lines. Lists made only of task items become task
+ * lists, matching what RE.insertTaskList inserts.
+ */
+function _mdParseList(lines) {
+  const items = [];
+  const baseIndent = _mdListItem(lines[0])[1].length;
+
+  lines.forEach(line => {
+    const match = _mdListItem(line);
+    if (match && match[1].length <= baseIndent + 1) {
+      items.push({ ordered: /\d/.test(match[2]), start: parseInt(match[2], 10), text: match[3], children: [] });
+    } else if (items.length > 0) {
+      items[items.length - 1].children.push(line.slice(Math.min(line.search(/\S/), baseIndent + 2)));
+    }
+  });
+
+  const isTask = item => /^\[( |x|X)\]\s/.test(item.text);
+  if (items.every(isTask)) {
+    return '<ul class="task-list">' + items.map(item => {
+      const checked = /^\[(x|X)\]/.test(item.text);
+      return '<li data-task-id="' + _nextTaskId() + '" data-checked="' + checked + '">' +
+        _mdParseInline(item.text.replace(/^\[.\]\s+/, '')) +
+        (item.children.length ? _mdParseBlocks(item.children) : '') + '</li>';
+    }).join('') + '</ul>';
+  }
+
+  const ordered = items[0].ordered;
+  const tag = ordered ? 'ol' : 'ul';
+  const start = ordered && items[0].start !== 1 ? ' start="' + items[0].start + '"' : '';
+  return '<' + tag + start + '>' + items.map(item => {
+    const text = isTask(item) ? _mdTodo(item.text) : _mdParseInline(item.text);
+    return '<li>' + text + (item.children.length ? _mdParseBlocks(item.children) : '') + '</li>';
+  }).join('') + '</' + tag + '>';
+}
+
+let mdTodoSequence = 0;
+
+function _mdTodo(text) {
+  const checked = /^\[(x|X)\]/.test(text);
+  const name = (Date.now() + mdTodoSequence++).toString();
+  return '<input type="checkbox" name="' + name + '" value="' + name + '"' +
+    (checked ? ' checked' : '') + '/> ' + _mdParseInline(text.replace(/^\[.\]\s+/, ''));
+}
+
+/**
+ * Join paragraph lines, turning trailing double spaces or backslashes
+ * into hard line breaks.
+ */
+function _mdParseLines(lines) {
+  return lines.map((line, index) => {
+    const isLast = index === lines.length - 1;
+    const hardBreak = !isLast && /( {2,}|\\)$/.test(line);
+    const text = _mdParseInline(line.replace(/( {2,}|\\)$/, '').trim());
+    return text + (isLast ? '' : hardBreak ? '<br>' : ' ');
+  }).join('');
+}
+
+// Link labels are parsed with the caller's stash, they may hold its placeholders
+function _mdParseInline(text, stash = []) {
+  const keep = html => '\u0000' + (stash.push(html) - 1) + '\u0000';
+
+  // Code spans and escapes are protected first so nothing inside them is parsed
+  text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) => keep('<code>' + _escapeHtml(code.trim()) + '</code>'));
+  text = text.replace(/\\([\\`*_~\[\]()#+\-.!<>|])/g, (_, ch) => keep(_escapeHtml(ch)));
+
+  text = text.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g, (_, alt, src, title) =>
+    keep('<img src="' + _escapeHtml(src) + '" alt="' + _escapeHtml(alt) + '"' +
+      (title ? ' title="' + _escapeHtml(title) + '"' : '') + '>'));
+  text = text.replace(/\[([^\]]+)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g, (_, label, href, title) =>
+    keep('<a href="' + _escapeHtml(href) + '"' + (title ? ' title="' + _escapeHtml(title) + '"' : '') + '>' +
+      _mdParseInline(label, stash) + '</a>'));
+  text = text.replace(/<((?:https?|mailto):[^\s>]+)>/g, (_, url) =>
+    keep('<a href="' + _escapeHtml(url) + '">' + _escapeHtml(url) + '</a>'));
+  // Underline, subscript and superscript are exported as inline HTML
+  text = text.replace(/<(\/?)(u|sub|sup)>/gi, (_, slash, tag) => keep('<' + slash + tag.toLowerCase() + '>'));
+
+  text = _escapeHtml(text);
+  text = text.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<b>$2</b>');
+  text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+  text = text.replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<i>$1</i>');
+  text = text.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<i>$2</i>');
+
+  return text.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[Number(index)]);
+}
+
+// ==================== BBCode Conversion ====================
+
+/**
+ * Get the editor content as XenForo-style BBCode.
+ * Text that looks like an unknown tag is written back unchanged.
+ * @returns {string} BBCode representation of the document
+ */
+RE.getBBCode = function () {
+  if ($editor.summernote('isEmpty')) return '';
+  return _bbBlocks(RE.editor).replace(/\n+$/, '');
+};
+
+/**
+ * Replace the editor content with HTML converted from BBCode.
+ * Unknown or unbalanced tags are kept as plain text.
+ * @param {string} bbcode - BBCode source
+ */
+RE.setBBCode = function (bbcode) {
+  const html = _bbRenderBlocks(_bbParse((bbcode || '').replace(/\r\n?/g, '\n')));
+  _setCode(html || '<p><br></p>');
+  RE.callback();
+};
+
+const BB_TAGS = ['B', 'I', 'U', 'S', 'URL', 'IMG', 'QUOTE', 'LIST', 'COLOR', 'SIZE', 'MEDIA', 'SPOILER'];
+const BB_BLOCK_TAGS = ['QUOTE', 'LIST', 'SPOILER'];
+
+// Tags whose content is taken verbatim up to the closing tag
+const BB_RAW_TAGS = ['IMG', 'MEDIA'];
+
+// XenForo [SIZE=n] levels in pixels
+const BB_SIZES = [9, 10, 12, 15, 18, 22, 26];
+
+function _bbBlocks(container) {
+  let out = '';
+  container.childNodes.forEach(node => {
+    if (_isMdBlock(node)) {
+      if (out.length > 0 && !out.endsWith('\n')) out += '\n';
+      out += _bbBlock(node);
+    } else {
+      out += _bbInline(node);
+    }
+  });
+  return out;
+}
+
+function _bbBlock(node) {
+  switch (node.nodeName) {
+    case 'BLOCKQUOTE': {
+      const source = node.getAttribute('data-quote');
+      const open = source ? '[QUOTE="' + source + '"]' : '[QUOTE]';
+      return open + _bbBlocks(node).replace(/\n+$/, '') + '[/QUOTE]\n';
+    }
+    case 'UL':
+    case 'OL': {
+      const open = node.nodeName === 'OL' ? '[LIST=1]\n' : '[LIST]\n';
+      const items = Array.from(node.children).map(item => item.nodeName === 'LI'
+        ? '[*]' + _bbBlocks(item).replace(/\n+$/, '') + '\n'
+        : _bbBlock(item));
+      return open + items.join('') + '[/LIST]\n';
+    }
+    case 'HR':
+      return '\n';
+    default: {
+      if (node.matches(EMBED_SELECTOR)) return _embedBBCode(node) + '\n';
+      if (node.classList.contains('spoiler')) {
+        const title = node.getAttribute('data-spoiler-title');
+        const open = title ? '[SPOILER="' + title + '"]' : '[SPOILER]';
+        return open + _bbBlocks(node).replace(/\n+$/, '') + '[/SPOILER]\n';
+      }
+      if (Array.from(node.childNodes).some(_isMdBlock)) {
+        return _bbBlocks(node);
+      }
+      // A trailing <br> only keeps an empty block open, it is not a line break
+      const children = Array.from(node.childNodes);
+      if (children.length > 0 && children[children.length - 1].nodeName === 'BR') children.pop();
+      return children.map(_bbInline).join('') + '\n';
+    }
+  }
+}
+
+function _bbInlineChildren(node) {
+  return Array.from(node.childNodes).map(_bbInline).join('');
+}
+
+function _bbWrap(content, tag, option) {
+  if (content.length === 0) return content;
+  return '[' + tag + (option ? '=' + option : '') + ']' + content + '[/' + tag + ']';
+}
+
+function _bbInline(node) {
+  if (node.nodeType === 3) {
+    return node.nodeValue.replace(/\s*\n\s*/g, ' ').replace(/\u00a0/g, ' ');
+  }
+  if (node.nodeType !== 1) return '';
+
+  switch (node.nodeName) {
+    case 'B':
+    case 'STRONG':
+      return _bbWrap(_bbInlineChildren(node), 'B');
+    case 'I':
+    case 'EM':
+      return _bbWrap(_bbInlineChildren(node), 'I');
+    case 'U':
+      return _bbWrap(_bbInlineChildren(node), 'U');
+    case 'S':
+    case 'STRIKE':
+    case 'DEL':
+      return _bbWrap(_bbInlineChildren(node), 'S');
+    case 'A': {
+      const href = node.getAttribute('href') || '';
+      const text = _bbInlineChildren(node);
+      return text === href ? '[URL]' + href + '[/URL]' : '[URL=' + href + ']' + text + '[/URL]';
+    }
+    case 'IMG': {
+      if (node.classList.contains('emoji')) {
+        // Custom emoji are written as their shortcode / alt text
+        return node.getAttribute('alt') || '';
+      }
+      const width = node.getAttribute('width') || node.style.width;
+      const open = width ? '[IMG width="' + (/^\d+$/.test(width) ? width + 'px' : width) + '"]' : '[IMG]';
+      return open + (node.getAttribute('src') || '') + '[/IMG]';
+    }
+    case 'BR':
+      return '\n';
+    case 'SPAN':
+    case 'FONT':
+      return _bbStyledInline(node);
+    default:
+      return _bbInlineChildren(node);
+  }
+}
+
+/**
+ * Convert inline styles (as produced by foreColor / fontSize) to BBCode.
+ */
+function _bbStyledInline(node) {
+  let content = _bbInlineChildren(node);
+  const style = node.style;
+
+  if (style.fontWeight === 'bold' || Number(style.fontWeight) >= 600) content = _bbWrap(content, 'B');
+  if (style.fontStyle === 'italic') content = _bbWrap(content, 'I');
+  if (style.textDecoration.includes('underline')) content = _bbWrap(content, 'U');
+  if (style.textDecoration.includes('line-through')) content = _bbWrap(content, 'S');
+
+  const color = node.getAttribute('color') || style.color;
+  if (color) content = _bbWrap(content, 'COLOR', _cssColorToHex(color));
+
+  const fontSize = node.getAttribute('size') || style.fontSize;
+  if (fontSize) {
+    let level = parseInt(fontSize, 10);
+    if (/px$/.test(fontSize)) {
+      // Pick the nearest XenForo size level
+      level = BB_SIZES.reduce((best, px, index) =>
+        Math.abs(px - level) < Math.abs(BB_SIZES[best - 1] - level) ? index + 1 : best, 1);
+    }
+    if (level >= 1 && level <= 7) content = _bbWrap(content, 'SIZE', String(level));
+  }
+
+  return content;
+}
+
+/**
+ * Parse BBCode into a tree of {tag, option, attrs, raw, children} nodes and strings.
+ * Unknown and unclosed tags are left in the tree as their original text.
+ */
+function _bbParse(source) {
+  const root = { tag: null, children: [] };
+  const stack = [root];
+  const tagRegex = /\[(\/?)(\*|[a-z]+)(=[^\]]*|\s[^\]]*)?\]/gi;
+  const top = () => stack[stack.length - 1];
+  const pushText = text => {
+    if (text.length > 0) top().children.push(text);
+  };
+  let last = 0;
+  let match;
+
+  while ((match = tagRegex.exec(source))) {
+    const [raw, slash, name, rest] = match;
+    const tag = name.toUpperCase();
+    pushText(source.slice(last, match.index));
+    last = tagRegex.lastIndex;
+
+    if (tag === '*' && !slash) {
+      if (top().tag === '*') stack.pop();
+      if (top().tag === 'LIST') {
+        const item = { tag: '*', raw: raw, children: [] };
+        top().children.push(item);
+        stack.push(item);
+      } else {
+        pushText(raw);
+      }
+      continue;
+    }
+
+    if (!BB_TAGS.includes(tag)) {
+      pushText(raw);
+      continue;
+    }
+
+    if (slash) {
+      const depth = stack.map(node => node.tag).lastIndexOf(tag);
+      if (depth <= 0) {
+        pushText(raw);
+        continue;
+      }
+      while (stack.length - 1 > depth) {
+        if (top().tag === '*') stack.pop();
+        else _bbUnwind(stack);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const node = { tag: tag, raw: raw, children: [] };
+    if (rest && rest[0] === '=') {
+      node.option = rest.slice(1).replace(/^"([\s\S]*)"$/, '$1').trim();
+    } else if (rest) {
+      node.attrs = {};
+      rest.replace(/([a-z]+)="([^"]*)"/gi, (_, key, value) => {
+        node.attrs[key.toLowerCase()] = value;
+      });
+    }
+
+    if (BB_RAW_TAGS.includes(tag) || (tag === 'URL' && !node.option)) {
+      const close = source.toUpperCase().indexOf('[/' + tag + ']', last);
+      if (close < 0) {
+        pushText(raw);
+        continue;
+      }
+      node.children.push(source.slice(last, close));
+      node.closeRaw = source.slice(close, close + tag.length + 3);
+      top().children.push(node);
+      last = close + tag.length + 3;
+      tagRegex.lastIndex = last;
+      continue;
+    }
+
+    top().children.push(node);
+    stack.push(node);
+  }
+
+  pushText(source.slice(last));
+  while (stack.length > 1) _bbUnwind(stack);
+  return root.children;
+}
+
+/**
+ * Close an unterminated tag by turning its opening tag back into text.
+ */
+function _bbUnwind(stack) {
+  const node = stack.pop();
+  const siblings = stack[stack.length - 1].children;
+  siblings.splice(siblings.indexOf(node), 1, node.raw, ...node.children);
+}
+
+function _bbText(nodes) {
+  return nodes.map(node => typeof node === 'string' ? node : node.raw + _bbText(node.children)).join('');
+}
+
+/**
+ * Render parsed BBCode as editor blocks. Each line becomes a paragraph.
+ */
+function _bbRenderBlocks(nodes) {
+  const blocks = [];
+  let line = '';
+  let afterBlock = false;
+  const flush = () => {
+    blocks.push('<p>' + (line || '<br>') + '</p>');
+    line = '';
+  };
+
+  nodes.forEach(node => {
+    if (typeof node === 'string') {
+      const text = afterBlock ? node.replace(/^\n/, '') : node;
+      text.split('\n').forEach((part, index) => {
+        if (index > 0) flush();
+        line += _escapeHtml(part);
+      });
+      afterBlock = false;
+    } else if (BB_BLOCK_TAGS.includes(node.tag)) {
+      if (line.length > 0) flush();
+      blocks.push(_bbRenderBlock(node));
+      afterBlock = true;
+    } else {
+      line += _bbRenderInline(node);
+      afterBlock = false;
+    }
+  });
+  if (line.length > 0) flush();
+
+  return blocks.join('');
+}
+
+function _bbTrimNewlines(nodes) {
+  const copy = nodes.slice();
+  if (typeof copy[0] === 'string') copy[0] = copy[0].replace(/^\n/, '');
+  const lastIndex = copy.length - 1;
+  if (typeof copy[lastIndex] === 'string') copy[lastIndex] = copy[lastIndex].replace(/\n$/, '');
+  return copy;
+}
+
+function _bbRenderBlock(node) {
+  switch (node.tag) {
+    case 'QUOTE': {
+      const source = node.option ? ' data-quote="' + _escapeHtml(node.option) + '"' : '';
+      return '<blockquote' + source + '>' + _bbRenderBlocks(_bbTrimNewlines(node.children)) + '</blockquote>';
+    }
+    case 'LIST': {
+      const tag = node.option ? 'ol' : 'ul';
+      const items = node.children
+        .filter(child => typeof child !== 'string' || child.trim().length > 0)
+        .map(child => typeof child === 'string' || child.tag !== '*'
+          ? '<li>' + _bbRenderInline(child) + '</li>'
+          : '<li>' + _bbRenderInlineChildren(_bbTrimNewlines(child.children)) + '</li>');
+      return '<' + tag + '>' + items.join('') + '</' + tag + '>';
+    }
+    case 'SPOILER': {
+      const title = node.option ? ' data-spoiler-title="' + _escapeHtml(node.option) + '"' : '';
+      return '<div class="spoiler"' + title + '>' + _bbRenderBlocks(_bbTrimNewlines(node.children)) + '</div>';
+    }
+  }
+  return '';
+}
+
+function _bbRenderInlineChildren(nodes) {
+  return nodes.map(_bbRenderInline).join('');
+}
+
+function _bbSafeUrl(url) {
+  return !/^\s*(javascript|vbscript|data):/i.test(url);
+}
+
+function _bbRenderInline(node) {
+  if (typeof node === 'string') {
+    return _escapeHtml(node).replace(/\n/g, '<br>');
+  }
+  if (BB_BLOCK_TAGS.includes(node.tag)) {
+    return _bbRenderBlock(node);
+  }
+
+  const inner = () => _bbRenderInlineChildren(node.children);
+  const text = _bbText(node.children).trim();
+  const asText = () => _escapeHtml(node.raw) + inner() + _escapeHtml(node.closeRaw || '[/' + node.tag + ']');
+
+  switch (node.tag) {
+    case 'B':
+      return '<b>' + inner() + '</b>';
+    case 'I':
+      return '<i>' + inner() + '</i>';
+    case 'U':
+      return '<u>' + inner() + '</u>';
+    case 'S':
+      return '<s>' + inner() + '</s>';
+    case 'URL': {
+      const href = node.option || text;
+      if (!_bbSafeUrl(href)) return asText();
+      return '<a href="' + _escapeHtml(href) + '">' + (node.option ? inner() : _escapeHtml(text)) + '</a>';
+    }
+    case 'IMG': {
+      if (!_bbSafeUrl(text)) return asText();
+      const attrs = node.attrs || {};
+      const width = attrs.width ? ' style="width: ' + _escapeHtml(attrs.width) + ';"' : '';
+      const alt = ' alt="' + _escapeHtml(attrs.alt || '') + '"';
+      return '<img src="' + _escapeHtml(text) + '"' + alt + width + '>';
+    }
+    case 'COLOR': {
+      if (!/^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s,.%]+\))$/i.test(node.option || '')) return asText();
+      return '<span style="color: ' + node.option + ';">' + inner() + '</span>';
+    }
+    case 'SIZE': {
+      const option = node.option || '';
+      const level = Number(option);
+      const size = level >= 1 && level <= 7 ? BB_SIZES[level - 1] + 'px'
+        : /^\d+px$/i.test(option) ? option : null;
+      if (!size) return asText();
+      return '<span style="font-size: ' + size + ';">' + inner() + '</span>';
+    }
+    case 'MEDIA':
+      // Kept as text, which becomes an embed when the provider is registered
+      return asText();
+  }
+  return asText();
+}
+
+// ==================== Document Model ====================
+//
+// A normalized JSON tree of the editor content:
+//   {type: 'doc', content: [block]}
+// Blocks: paragraph {align}, heading {level, align}, bulletList, orderedList {start},
+//   listItem, taskList, taskItem {id, checked}, blockquote {source}, spoiler {title},
+//   codeBlock {language}, horizontalRule, video {src, width, height}, audio {src},
+//   embed {provider, id, url, width, height} (media embed, see Media Embeds),
+//   html {html} (unsupported markup, kept as-is)
+// Inline: text {text, marks}, hardBreak, image {src, alt, width, height, attachment},
+//   emoji {id, src, alt}, mention {id, label, trigger}, todo {checked}
+// Marks (outermost first): link {href, title}, bold, italic, underline, strike, code,
+//   subscript, superscript, textColor {color}, backgroundColor {color}, fontSize {size}
+// Any inline node can carry marks; attrs and marks are omitted when empty.
+
+const DOC_MARK_ORDER = ['link', 'bold', 'italic', 'underline', 'strike', 'code',
+  'subscript', 'superscript', 'textColor', 'backgroundColor', 'fontSize'];
+
+const DOC_MARK_TAGS = {
+  B: 'bold', STRONG: 'bold', I: 'italic', EM: 'italic', U: 'underline',
+  S: 'strike', STRIKE: 'strike', DEL: 'strike', CODE: 'code', SUB: 'subscript', SUP: 'superscript'
+};
+
+// Rendering tag for each mark without attributes
+const DOC_MARK_ELEMENTS = {
+  bold: 'b', italic: 'i', underline: 'u', strike: 's', code: 'code', subscript: 'sub', superscript: 'sup'
+};
+
+/**
+ * Get the editor content as a normalized document tree.
+ * @returns {Object} {type: 'doc', content: [...]}
+ */
+RE.getDocument = function () {
+  return { type: 'doc', content: $editor.summernote('isEmpty') ? [] : _docBlocks(RE.editor) };
+};
+
+/**
+ * Replace the editor content with a document tree from RE.getDocument.
+ * Unknown node types are skipped, keeping their children when they have any.
+ * @param {Object} doc - {type: 'doc', content: [...]}
+ */
+RE.setDocument = function (doc) {
+  const container = document.createElement('div');
+  _docRenderBlocks((doc && doc.content) || [], container);
+  _setCode(container.innerHTML || '<p><br></p>');
+  RE.callback();
+};
+
+function _docNode(type, attrs, content) {
+  const node = { type: type };
+  const cleanAttrs = {};
+  Object.keys(attrs || {}).forEach(key => {
+    if (attrs[key] !== null && attrs[key] !== undefined && attrs[key] !== '') cleanAttrs[key] = attrs[key];
+  });
+  if (Object.keys(cleanAttrs).length > 0) node.attrs = cleanAttrs;
+  if (content) node.content = content;
+  return node;
+}
+
+/**
+ * Parse the children of a container into blocks.
+ * Consecutive inline nodes are grouped into a paragraph.
+ */
+function _docBlocks(container) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    if (inline.some(node => node.nodeType === 1 || node.nodeValue.trim().length > 0)) {
+      blocks.push(..._docTextBlocks('paragraph', {}, inline));
+    }
+    inline = [];
+  };
+
+  container.childNodes.forEach(node => {
+    if (_isDocBlock(node)) {
+      flushInline();
+      blocks.push(..._docBlock(node));
+    } else {
+      inline.push(node);
+    }
+  });
+  flushInline();
+
+  return blocks;
+}
+
+function _isDocBlock(node) {
+  return _isMdBlock(node) || (node.nodeType === 1 && ['VIDEO', 'AUDIO'].includes(node.nodeName));
+}
+
+function _docAlign(node) {
+  return node.style.textAlign || node.getAttribute('align') || null;
+}
+
+function _docBlock(node) {
+  switch (node.nodeName) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+      return _docTextBlocks('heading', { level: Number(node.nodeName[1]), align: _docAlign(node) }, node.childNodes);
+    case 'UL':
+    case 'OL':
+      return [_docList(node)];
+    case 'BLOCKQUOTE':
+      return [_docNode('blockquote', { source: node.getAttribute('data-quote') }, _docBlocks(node))];
+    case 'PRE': {
+      const code = _codeText(node);
+      return [_docNode('codeBlock', { language: node.getAttribute('data-language') },
+        code ? [{ type: 'text', text: code }] : [])];
+    }
+    case 'HR':
+      return [_docNode('horizontalRule')];
+    case 'VIDEO':
+    case 'AUDIO':
+      return [_docMedia(node)];
+    case 'TABLE':
+    case 'FIGURE':
+      return [_docNode('html', { html: node.outerHTML })];
+    default:
+      // P, DIV and stray LI elements
+      if (node.matches(EMBED_SELECTOR)) {
+        return [_docEmbed(node)];
+      }
+      if (node.classList.contains('spoiler')) {
+        return [_docNode('spoiler', { title: node.getAttribute('data-spoiler-title') }, _docBlocks(node))];
+      }
+      if (Array.from(node.childNodes).some(_isDocBlock)) {
+        return _docBlocks(node);
+      }
+      return _docTextBlocks('paragraph', { align: _docAlign(node) }, node.childNodes);
+  }
+}
+
+function _docMedia(node) {
+  if (node.nodeName === 'AUDIO') {
+    return _docNode('audio', { src: node.getAttribute('src') });
+  }
+  return _docNode('video', {
+    src: node.getAttribute('src'),
+    width: node.getAttribute('width'),
+    height: node.getAttribute('height')
+  });
+}
+
+function _docEmbed(node) {
+  return _docNode('embed', {
+    provider: node.getAttribute('data-embed-provider'),
+    id: node.getAttribute('data-embed-id'),
+    url: node.getAttribute('data-embed-url'),
+    width: Number(node.getAttribute('data-embed-width')) || null,
+    height: Number(node.getAttribute('data-embed-height')) || null
+  });
+}
+
+function _docList(list) {
+  const task = list.classList.contains('task-list');
+  const items = [];
+  Array.from(list.children).forEach(child => {
+    if (child.nodeName === 'UL' || child.nodeName === 'OL') {
+      // A list nested directly in a list belongs to the previous item
+      if (items.length === 0) items.push(_docNode(task ? 'taskItem' : 'listItem', {}, []));
+      items[items.length - 1].content.push(_docList(child));
+      return;
+    }
+    items.push(task
+      ? _docNode('taskItem', {
+        id: child.getAttribute('data-task-id'),
+        checked: child.getAttribute('data-checked') === 'true' || null
+      }, _docBlocks(child))
+      : _docNode('listItem', {}, _docBlocks(child)));
+  });
+
+  if (task) return _docNode('taskList', {}, items);
+  if (list.nodeName === 'OL') {
+    const start = Number(list.getAttribute('start')) || 1;
+    return _docNode('orderedList', { start: start === 1 ? null : start }, items);
+  }
+  return _docNode('bulletList', {}, items);
+}
+
+/**
+ * Build a text block from inline DOM nodes. Video and audio found inside
+ * the block are lifted out, splitting it into several blocks.
+ */
+function _docTextBlocks(type, attrs, childNodes) {
+  const inline = [];
+  Array.from(childNodes).forEach(node => _docInline(node, [], inline));
+
+  const blocks = [];
+  let run = [];
+  const flush = force => {
+    const content = _docNormalizeInline(run);
+    if (content.length > 0 || force) blocks.push(_docNode(type, attrs, content));
+    run = [];
+  };
+  inline.forEach(node => {
+    if (node.type === 'video' || node.type === 'audio') {
+      flush(false);
+      blocks.push(node);
+    } else {
+      run.push(node);
+    }
+  });
+  // Keep empty paragraphs and headings, but not the remainder after media
+  flush(blocks.length === 0);
+
+  return blocks;
+}
+
+/**
+ * Collect inline nodes of an element with the marks inherited from its ancestors.
+ */
+function _docInline(node, marks, out) {
+  if (node.nodeType === 3) {
+    const text = node.nodeValue.replace(/[ \t\n\r\f]+/g, ' ').replace(/\u00a0/g, ' ');
+    out.push(_docWithMarks({ type: 'text', text: text }, marks));
+    return;
+  }
+  if (node.nodeType !== 1 || node.classList.contains('upload-placeholder')) return;
+
+  switch (node.nodeName) {
+    case 'BR':
+      out.push(_docWithMarks({ type: 'hardBreak' }, marks));
+      return;
+    case 'IMG':
+      out.push(_docWithMarks(node.classList.contains('emoji') || node.hasAttribute('data-emoji-id')
+        ? _docNode('emoji', {
+          id: node.getAttribute('data-emoji-id'),
+          src: node.getAttribute('src'),
+          alt: node.getAttribute('alt')
+        })
+        : _docNode('image', {
+          src: node.getAttribute('src'),
+          alt: node.getAttribute('alt'),
+          width: node.getAttribute('width') || node.style.width || null,
+          height: node.getAttribute('height') || node.style.height || null,
+          attachment: node.getAttribute('data-attachment')
+        }), marks));
+      return;
+    case 'INPUT':
+      if (node.type === 'checkbox') {
+        out.push(_docWithMarks(_docNode('todo', { checked: node.checked || null }), marks));
+      }
+      return;
+    case 'VIDEO':
+    case 'AUDIO':
+      out.push(_docMedia(node));
+      return;
+  }
+
+  if (node.classList.contains('mention') && node.hasAttribute('data-mention-id')) {
+    const trigger = node.getAttribute('data-mention-trigger') || '@';
+    const label = node.textContent.startsWith(trigger) ? node.textContent.slice(trigger.length) : node.textContent;
+    out.push(_docWithMarks(_docNode('mention', {
+      id: node.getAttribute('data-mention-id'),
+      label: label,
+      trigger: trigger
+    }), marks));
+    return;
+  }
+
+  const childMarks = marks.concat(_docElementMarks(node));
+  node.childNodes.forEach(child => _docInline(child, childMarks, out));
+}
+
+/**
+ * Marks contributed by a single element (its tag and inline styles).
+ */
+function _docElementMarks(node) {
+  const marks = [];
+  if (DOC_MARK_TAGS[node.nodeName]) {
+    marks.push({ type: DOC_MARK_TAGS[node.nodeName] });
+  }
+  if (node.nodeName === 'A' && node.hasAttribute('href')) {
+    marks.push(_docNode('link', { href: node.getAttribute('href'), title: node.getAttribute('title') }));
+  }
+
+  const style = node.style;
+  const weight = style.fontWeight;
+  if (weight === 'bold' || Number(weight) >= 600) marks.push({ type: 'bold' });
+  if (style.fontStyle === 'italic') marks.push({ type: 'italic' });
+  const decoration = style.textDecorationLine || style.textDecoration || '';
+  if (decoration.includes('underline')) marks.push({ type: 'underline' });
+  if (decoration.includes('line-through')) marks.push({ type: 'strike' });
+
+  const color = style.color || (node.nodeName === 'FONT' ? node.getAttribute('color') : '');
+  if (color) marks.push({ type: 'textColor', attrs: { color: _cssColorToHex(color) } });
+  if (style.backgroundColor) {
+    marks.push({ type: 'backgroundColor', attrs: { color: _cssColorToHex(style.backgroundColor) } });
+  }
+  if (style.fontSize) marks.push({ type: 'fontSize', attrs: { size: style.fontSize } });
+
+  return marks;
+}
+
+/**
+ * Attach marks to an inline node: inner marks win over outer marks of the
+ * same type, and marks are sorted in DOC_MARK_ORDER.
+ */
+function _docWithMarks(node, marks) {
+  const byType = {};
+  marks.forEach(mark => {
+    byType[mark.type] = mark;
+  });
+  const sorted = DOC_MARK_ORDER.filter(type => byType[type]).map(type => byType[type]);
+  if (sorted.length > 0) node.marks = sorted;
+  return node;
+}
+
+function _docSameMarks(a, b) {
+  return JSON.stringify(a.marks || []) === JSON.stringify(b.marks || []);
+}
+
+/**
+ * Merge adjacent text runs with equal marks, trim the block edges and drop
+ * empty runs and the trailing line break Summernote keeps in empty blocks.
+ */
+function _docNormalizeInline(nodes) {
+  const merged = [];
+  nodes.forEach(node => {
+    const last = merged[merged.length - 1];
+    if (node.type === 'text' && last && last.type === 'text' && _docSameMarks(last, node)) {
+      last.text += node.text;
+    } else {
+      merged.push(node);
+    }
+  });
+
+  const first = merged[0];
+  const last = merged[merged.length - 1];
+  if (first && first.type === 'text') first.text = first.text.replace(/^ +/, '');
+  if (last && last.type === 'text') last.text = last.text.replace(/ +$/, '');
+
+  const content = merged.filter(node => node.type !== 'text' || node.text.length > 0);
+  if (content.length > 0 && content[content.length - 1].type === 'hardBreak') content.pop();
+  return content;
+}
+
+function _docRenderBlocks(blocks, parent) {
+  blocks.forEach(block => {
+    const element = _docRenderBlock(block || {});
+    if (element) parent.appendChild(element);
+  });
+}
+
+function _docRenderBlock(block) {
+  const attrs = block.attrs || {};
+  const content = Array.isArray(block.content) ? block.content : [];
+  let element;
+
+  switch (block.type) {
+    case 'paragraph':
+    case 'heading': {
+      const level = Math.min(6, Math.max(1, Number(attrs.level) || 1));
+      element = document.createElement(block.type === 'heading' ? 'h' + level : 'p');
+      if (attrs.align) element.style.textAlign = attrs.align;
+      _docRenderInline(content, element, []);
+      if (!element.hasChildNodes()) element.appendChild(document.createElement('br'));
+      return element;
+    }
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+      element = document.createElement(block.type === 'orderedList' ? 'ol' : 'ul');
+      if (attrs.start) element.setAttribute('start', String(attrs.start));
+      if (block.type === 'taskList') element.className = 'task-list';
+      content.forEach(item => {
+        const itemAttrs = (item && item.attrs) || {};
+        const li = block.type === 'taskList' ? _createTaskItem(itemAttrs.checked === true) : document.createElement('li');
+        if (itemAttrs.id && block.type === 'taskList') li.setAttribute('data-task-id', String(itemAttrs.id));
+        _docRenderBlocks((item && item.content) || [], li);
+        // Summernote expects list item text directly in the <li>
+        if (li.firstChild && li.firstChild.nodeName === 'P') {
+          li.firstChild.replaceWith(...Array.from(li.firstChild.childNodes));
+        }
+        element.appendChild(li);
+      });
+      return element;
+    case 'blockquote':
+      element = document.createElement('blockquote');
+      if (attrs.source) element.setAttribute('data-quote', attrs.source);
+      _docRenderBlocks(content, element);
+      return element;
+    case 'spoiler':
+      element = document.createElement('div');
+      element.className = 'spoiler';
+      element.setAttribute('data-spoiler-title', attrs.title || 'Spoiler');
+      _docRenderBlocks(content, element);
+      return element;
+    case 'codeBlock':
+      element = document.createElement('pre');
+      if (attrs.language) element.setAttribute('data-language', String(attrs.language));
+      element.textContent = content.map(node => node.text || '').join('');
+      return element;
+    case 'horizontalRule':
+      return document.createElement('hr');
+    case 'video':
+    case 'audio':
+      element = document.createElement(block.type);
+      ['src', 'width', 'height'].forEach(name => {
+        if (attrs[name]) element.setAttribute(name, String(attrs[name]));
+      });
+      element.setAttribute('controls', '');
+      return element;
+    case 'embed':
+      // Drawn by _renderEmbeds once the content is set
+      if (!attrs.provider || !attrs.id) return null;
+      element = document.createElement('div');
+      element.className = 'media-embed';
+      element.setAttribute('data-embed-provider', String(attrs.provider));
+      element.setAttribute('data-embed-id', String(attrs.id));
+      ['url', 'width', 'height'].forEach(name => {
+        if (attrs[name]) element.setAttribute('data-embed-' + name, String(attrs[name]));
+      });
+      return element;
+    case 'html': {
+      const template = document.createElement('template');
+      template.innerHTML = RE.sanitizeHtml(attrs.html || '');
+      return template.content;
+    }
+    default:
+      if (content.length === 0) return null;
+      element = document.createDocumentFragment();
+      _docRenderBlocks(content, element);
+      return element;
+  }
+}
+
+/**
+ * Render inline nodes, wrapping consecutive nodes that share a mark in a
+ * single element so `bold(a) bold+italic(b)` becomes `<b>a<i>b</i></b>`.
+ */
+function _docRenderInline(nodes, parent, applied) {
+  const isApplied = mark => applied.some(other => JSON.stringify(other) === JSON.stringify(mark));
+  const hasMark = (node, mark) => (node.marks || []).some(other => JSON.stringify(other) === JSON.stringify(mark));
+
+  let i = 0;
+  while (i < nodes.length) {
+    const node = nodes[i] || {};
+    const mark = (node.marks || []).find(candidate => !isApplied(candidate));
+    if (!mark) {
+      const element = _docRenderInlineNode(node);
+      if (element) parent.appendChild(element);
+      i++;
+      continue;
+    }
+
+    let end = i + 1;
+    while (end < nodes.length && nodes[end] && hasMark(nodes[end], mark)) end++;
+    const wrapper = _docRenderMark(mark);
+    _docRenderInline(nodes.slice(i, end), wrapper, applied.concat([mark]));
+    parent.appendChild(wrapper);
+    i = end;
+  }
+}
+
+function _docRenderMark(mark) {
+  const attrs = mark.attrs || {};
+  if (DOC_MARK_ELEMENTS[mark.type]) return document.createElement(DOC_MARK_ELEMENTS[mark.type]);
+
+  if (mark.type === 'link') {
+    const link = document.createElement('a');
+    link.setAttribute('href', attrs.href || '');
+    if (attrs.title) link.setAttribute('title', attrs.title);
+    return link;
+  }
+
+  // textColor, backgroundColor, fontSize and unknown marks
+  const span = document.createElement('span');
+  if (mark.type === 'textColor') span.style.color = attrs.color || '';
+  if (mark.type === 'backgroundColor') span.style.backgroundColor = attrs.color || '';
+  if (mark.type === 'fontSize') span.style.fontSize = attrs.size || '';
+  return span;
+}
+
+function _docRenderInlineNode(node) {
+  const attrs = node.attrs || {};
+  let element;
+
+  switch (node.type) {
+    case 'text':
+      // Keep runs of spaces visible
+      return document.createTextNode(String(node.text || '').replace(/ {2}/g, ' \u00a0'));
+    case 'hardBreak':
+      return document.createElement('br');
+    case 'image':
+      element = document.createElement('img');
+      element.setAttribute('src', attrs.src || '');
+      element.setAttribute('alt', attrs.alt || '');
+      if (attrs.width) element.setAttribute('width', String(attrs.width).replace(/px$/, ''));
+      if (attrs.height) element.setAttribute('height', String(attrs.height).replace(/px$/, ''));
+      if (attrs.attachment) element.setAttribute('data-attachment', attrs.attachment);
+      return element;
+    case 'emoji':
+      element = document.createElement('img');
+      element.className = 'emoji';
+      element.setAttribute('src', attrs.src || '');
+      element.setAttribute('alt', attrs.alt || 'emoji');
+      if (attrs.id) element.setAttribute('data-emoji-id', attrs.id);
+      return element;
+    case 'mention':
+      element = document.createElement('span');
+      element.className = 'mention';
+      element.setAttribute('data-mention-id', attrs.id || '');
+      element.setAttribute('data-mention-trigger', attrs.trigger || '@');
+      element.textContent = (attrs.trigger || '@') + (attrs.label || '');
+      return element;
+    case 'todo':
+      element = document.createElement('input');
+      element.setAttribute('type', 'checkbox');
+      if (attrs.checked) element.setAttribute('checked', '');
+      return element;
+    default:
+      return null;
+  }
+}
+
+// ==================== Text Formatting ====================
+
+RE.setBold = function () {
+  $editor.summernote('bold');
+  RE.enabledEditingItems();
+};
+
+RE.setItalic = function () {
+  $editor.summernote('italic');
+  RE.enabledEditingItems();
+};
+
+RE.setUnderline = function () {
+  $editor.summernote('underline');
+  RE.enabledEditingItems();
+};
+
+RE.setStrikeThrough = function () {
+  $editor.summernote('strikethrough');
+  RE.enabledEditingItems();
+};
+
+RE.setSubscript = function () {
+  $editor.summernote('subscript');
+};
+
+RE.setSuperscript = function () {
+  $editor.summernote('superscript');
+};
+
+// ==================== Lists ====================
+
+RE.setBullets = function () {
+  $editor.summernote('insertUnorderedList');
+  RE.enabledEditingItems();
+};
+
+RE.setNumbers = function () {
+  $editor.summernote('insertOrderedList');
+  RE.enabledEditingItems();
+};
+
+// ==================== Task Lists ====================
+
+// Task lists are <ul class="task-list"> whose items carry data-task-id and
+// data-checked="true|false". The checkbox is drawn by CSS in the item gutter.
+
+const TASK_SOURCE_BLOCKS = 'p, div, h1, h2, h3, h4, h5, h6';
+
+let taskSequence = 0;
+
+/**
+ * Turn the selected blocks (or the current list) into a task list. Inside a
+ * task list, the current item becomes a paragraph again.
+ */
+RE.insertTaskList = function () {
+  const range = _editorRange();
+  if (!range) return;
+  const offsets = _rangeOffsets(range);
+  const item = _taskItem(range.startContainer);
+  const startNode = range.startContainer.nodeType === 1 ? range.startContainer : range.startContainer.parentElement;
+  const list = startNode.closest('ul, ol');
+
+  _undoableChange(() => {
+    if (item) {
+      _leaveTaskList(item);
+    } else if (list && RE.editor.contains(list)) {
+      _convertToTaskList(list);
+    } else {
+      _wrapInTaskList(_rangeBlocks(range, TASK_SOURCE_BLOCKS));
+    }
+    RE.setSelection(offsets.start, offsets.end);
+  });
+  RE.enabledEditingItems();
+};
+
+/**
+ * Check or uncheck a task item.
+ * @param {string} id - Value of the item's data-task-id
+ * @param {boolean} checked - New state
+ * @returns {boolean} False if there is no such item
+ */
+RE.setTaskChecked = function (id, checked) {
+  const item = Array.from(RE.editor.querySelectorAll('ul.task-list > li'))
+    .find(candidate => candidate.getAttribute('data-task-id') === String(id));
+  if (!item) return false;
+  _undoableChange(() => item.setAttribute('data-checked', checked ? 'true' : 'false'));
+  return true;
+};
+
+function _taskItem(node) {
+  const element = node && (node.nodeType === 1 ? node : node.parentElement);
+  const item = element && element.closest('li');
+  return item && item.parentNode.matches('ul.task-list') && RE.editor.contains(item) ? item : null;
+}
+
+function _createTaskItem(checked) {
+  const item = document.createElement('li');
+  item.setAttribute('data-task-id', _nextTaskId());
+  item.setAttribute('data-checked', checked ? 'true' : 'false');
+  return item;
+}
+
+function _nextTaskId() {
+  return 'task-' + Date.now().toString(36) + '-' + (taskSequence++).toString(36);
+}
+
+function _isEmptyTaskItem(item) {
+  return item.textContent.replace(/\u200b/g, '').length === 0 &&
+    !item.querySelector('img, video, audio, input');
+}
+
+/**
+ * @returns {HTMLElement[]} The new items
+ */
+function _wrapInTaskList(blocks) {
+  if (blocks.length === 0) return [];
+  const list = document.createElement('ul');
+  list.className = 'task-list';
+  blocks[0].before(list);
+  const items = blocks.map(block => {
+    const item = _createTaskItem(false);
+    while (block.firstChild) item.appendChild(block.firstChild);
+    if (!item.hasChildNodes()) item.appendChild(document.createElement('br'));
+    list.appendChild(item);
+    block.remove();
+    return item;
+  });
+  _mergeTaskLists(list);
+  return items;
+}
+
+function _convertToTaskList(list) {
+  let target = list;
+  if (list.nodeName === 'OL') {
+    target = document.createElement('ul');
+    while (list.firstChild) target.appendChild(list.firstChild);
+    list.replaceWith(target);
+  }
+  target.classList.add('task-list');
+  Array.from(target.children).forEach(item => {
+    if (item.nodeName !== 'LI') return;
+    if (!item.hasAttribute('data-task-id')) item.setAttribute('data-task-id', _nextTaskId());
+    if (!item.hasAttribute('data-checked')) item.setAttribute('data-checked', 'false');
+  });
+  _mergeTaskLists(target);
+}
+
+/**
+ * Join a task list with task lists directly before and after it.
+ */
+function _mergeTaskLists(list) {
+  const previous = list.previousElementSibling;
+  if (previous && previous.matches('ul.task-list')) {
+    while (list.firstChild) previous.appendChild(list.firstChild);
+    list.remove();
+    list = previous;
+  }
+  const next = list.nextElementSibling;
+  if (next && next.matches('ul.task-list')) {
+    while (next.firstChild) list.appendChild(next.firstChild);
+    next.remove();
+  }
+}
+
+/**
+ * Turn a task item into a paragraph, splitting its list around it.
+ * @returns {HTMLElement} The new paragraph
+ */
+function _leaveTaskList(item) {
+  const list = item.parentNode;
+  const paragraph = document.createElement('p');
+  while (item.firstChild) paragraph.appendChild(item.firstChild);
+  if (!paragraph.hasChildNodes()) paragraph.appendChild(document.createElement('br'));
+
+  const rest = document.createElement('ul');
+  rest.className = list.className;
+  while (item.nextSibling) rest.appendChild(item.nextSibling);
+  item.remove();
+
+  list.after(paragraph);
+  if (rest.hasChildNodes()) paragraph.after(rest);
+  if (!list.hasChildNodes()) list.remove();
+  return paragraph;
+}
+
+/**
+ * Enter starts a new unchecked item, or leaves the list on an empty item.
+ * Backspace on an empty item leaves the list.
+ * @param {string} key - 'enter' or 'backspace'
+ * @returns {boolean} True if the key was handled
+ */
+function _handleTaskKey(key) {
+  const selection = document.getSelection();
+  if (!RE.editor || selection.rangeCount === 0) return false;
+  const range = selection.getRangeAt(0);
+  const item = _taskItem(range.startContainer);
+  if (!item || !range.collapsed) return false;
+
+  if (_isEmptyTaskItem(item)) {
+    _undoableChange(() => _placeCaret(_leaveTaskList(item)));
+    return true;
+  }
+  if (key !== 'enter') return false;
+
+  _undoableChange(() => {
+    const tail = document.createRange();
+    tail.selectNodeContents(item);
+    tail.setStart(range.startContainer, range.startOffset);
+    const next = _createTaskItem(false);
+    next.appendChild(tail.extractContents());
+    [item, next].forEach(part => {
+      if (_isEmptyTaskItem(part)) part.innerHTML = '<br>';
+    });
+    item.after(next);
+    _placeCaret(next);
+  });
+  return true;
+}
+
+// Tapping the checkbox in the item gutter toggles the item
+document.addEventListener('click', function (e) {
+  if (!RE.editor || RE.editor.getAttribute('contenteditable') === 'false') return;
+  const item = _taskItem(e.target);
+  if (!item || e.target !== item) return;
+
+  const rect = item.getBoundingClientRect();
+  const rtl = window.getComputedStyle(item).direction === 'rtl';
+  if (rtl ? e.clientX <= rect.right : e.clientX >= rect.left) return;
+
+  e.preventDefault();
+  let id = item.getAttribute('data-task-id');
+  // Copied items share an id, give the toggled one its own
+  if (!id || Array.from(RE.editor.querySelectorAll('ul.task-list > li'))
+    .filter(other => other.getAttribute('data-task-id') === id).length > 1) {
+    id = _nextTaskId();
+    item.setAttribute('data-task-id', id);
+  }
+  const checked = item.getAttribute('data-checked') !== 'true';
+  _undoableChange(() => item.setAttribute('data-checked', checked ? 'true' : 'false'));
+
+  if (window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler('onTaskToggle', { id: id, checked: checked });
+  }
+});
+
+// Soft keyboards report keyCode 229, so Enter and Backspace also arrive here
+document.addEventListener('beforeinput', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target)) return;
+  const key = e.inputType === 'insertParagraph' ? 'enter'
+    : e.inputType === 'deleteContentBackward' ? 'backspace' : null;
+  if (key && _handleTaskKey(key)) e.preventDefault();
+});
+
+// ==================== Code ====================
+
+// Code blocks are <pre data-language="..."> holding plain text. Highlighting
+// wraps tokens in span.hl-* elements, which never leave the editor.
+
+// languages: names of the grammars to highlight (null for all)
+let codeOptions = {
+  languages: null
+};
+
+let codeObserver = null;
+let codeHighlightTimeout = null;
+const dirtyCodeBlocks = new Set();
+let codeComposing = false;
+
+// Minimal offline grammars: comments, strings, numbers, keywords and literals
+const CODE_GRAMMARS = {
+  javascript: {
+    aliases: ['js', 'jsx', 'typescript', 'ts', 'tsx'],
+    keywords: 'as async await break case catch class const continue debugger default delete do else enum export extends finally for from function get if implements import in instanceof interface let new of private protected public readonly return set static super switch this throw try type typeof var void while with yield',
+    literals: 'true false null undefined NaN Infinity',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"', "'", '`']
+  },
+  dart: {
+    keywords: 'abstract as assert async await break case catch class const continue covariant default deferred do dynamic else enum export extends extension external factory final finally for get if implements import in is late library mixin new on operator part required rethrow return sealed set show static super switch sync this throw try typedef var void while with yield',
+    literals: 'true false null',
+    comments: ['//', ['/*', '*/']],
+    strings: ["'''", '"""', '"', "'"]
+  },
+  python: {
+    aliases: ['py'],
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield',
+    literals: 'True False None',
+    comments: ['#'],
+    strings: ['"""', "'''", '"', "'"]
+  },
+  java: {
+    keywords: 'abstract assert break case catch class const continue default do else enum extends final finally for goto if implements import instanceof interface native new package private protected public record return static super switch synchronized this throw throws transient try var void volatile while',
+    literals: 'true false null',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"""', '"', "'"]
+  },
+  kotlin: {
+    aliases: ['kt'],
+    keywords: 'abstract as break by catch class companion const continue data do else enum external final finally for fun if import in init inline interface internal is lateinit object open operator out override package private protected public return sealed super suspend this throw try typealias val var vararg when where while',
+    literals: 'true false null',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"""', '"', "'"]
+  },
+  swift: {
+    keywords: 'actor as associatedtype async await break case catch class continue default defer deinit do else enum extension fallthrough fileprivate for func guard if import in init inout internal is let open operator private protocol public repeat rethrows return self static struct subscript super switch throw throws try typealias var where while',
+    literals: 'true false nil',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"""', '"']
+  },
+  c: {
+    aliases: ['cpp', 'c++', 'h', 'hpp', 'objc'],
+    keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long namespace new operator private protected public register return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while #include #define #ifdef #ifndef #endif #pragma',
+    literals: 'true false NULL nullptr',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"', "'"]
+  },
+  csharp: {
+    aliases: ['cs', 'c#'],
+    keywords: 'abstract as async await base bool break byte case catch char class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sealed set short sizeof static string struct switch this throw try typeof uint ulong using var virtual void volatile while',
+    literals: 'true false null',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"', "'"]
+  },
+  go: {
+    aliases: ['golang'],
+    keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+    literals: 'true false nil iota',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"', "'", '`']
+  },
+  rust: {
+    aliases: ['rs'],
+    keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+    literals: 'true false None Some Ok Err',
+    comments: ['//', ['/*', '*/']],
+    strings: ['"']
+  },
+  php: {
+    keywords: 'abstract and array as break case catch class clone const continue declare default do echo else elseif empty enum extends final finally fn for foreach function global if implements include instanceof interface isset list match namespace new or print private protected public readonly require return static switch throw trait try unset use var while yield',
+    literals: 'true false null TRUE FALSE NULL',
+    comments: ['//', '#', ['/*', '*/']],
+    strings: ['"', "'"]
+  },
+  ruby: {
+    aliases: ['rb'],
+    keywords: 'alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield',
+    literals: 'true false nil',
+    comments: ['#'],
+    strings: ['"', "'"]
+  },
+  shell: {
+    aliases: ['bash', 'sh', 'zsh', 'console'],
+    keywords: 'case do done elif else esac exit export fi for function if in local return then until while',
+    literals: 'true false',
+    comments: ['#'],
+    strings: ['"', "'"]
+  },
+  sql: {
+    caseInsensitive: true,
+    keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not on or order outer primary references right select set table then union update values view when where with',
+    literals: 'true false null',
+    comments: ['--', ['/*', '*/']],
+    strings: ["'", '"']
+  },
+  css: {
+    aliases: ['scss', 'less'],
+    rules: [
+      ['comment', /\/\*[\s\S]*?(?:\*\/|$)/],
+      ['string', /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/],
+      ['keyword', /@[\w-]+/],
+      ['attr', /[\w-]+(?=\s*:(?!:))/],
+      ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?/]
+    ]
+  },
+  json: {
+    rules: [
+      ['attr', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+      ['string', /"(?:\\.|[^"\\\n])*"?/],
+      ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+      ['literal', /\b(?:true|false|null)\b/]
+    ]
+  },
+  yaml: {
+    aliases: ['yml'],
+    rules: [
+      ['comment', /#.*/],
+      ['attr', /[\w.-]+(?=\s*:(?:\s|$))/],
+      ['string', /"(?:\\.|[^"\\\n])*"?|'[^'\n]*'?/],
+      ['number', /-?\b\d+(?:\.\d+)?\b/],
+      ['literal', /\b(?:true|false|null|yes|no)\b/]
+    ]
+  },
+  html: {
+    aliases: ['xml', 'svg', 'vue'],
+    rules: [
+      ['comment', /<!--[\s\S]*?(?:-->|$)/],
+      ['tag', /<\/?[\w:-]+|\/?>/],
+      ['attr', /[\w:-]+(?==)/],
+      ['string', /"[^"]*"?|'[^']*'?/]
+    ]
+  }
+};
+
+// Compiled patterns by grammar name
+const codePatterns = {};
+
+/**
+ * Configure code blocks.
+ * @param {Object} options - {languages}: grammar names or aliases to highlight, null for all
+ */
+RE.configureCodeBlocks = function (options) {
+  codeOptions = Object.assign({}, codeOptions, options || {});
+  if (RE.editor) RE.editor.querySelectorAll('pre').forEach(pre => dirtyCodeBlocks.add(pre));
+  _scheduleCodeHighlight();
+};
+
+/**
+ * Turn the selected blocks into a code block, or change the language of the
+ * current one. In a code block, calling it without a language (or with the
+ * current one) turns the code back into paragraphs.
+ * @param {string} language - Language name, e.g. 'dart' (optional)
+ */
+RE.setCodeBlock = function (language) {
+  const range = _editorRange();
+  if (!range) return;
+  const offsets = _rangeOffsets(range);
+  const pre = _codeBlock(range.startContainer);
+  language = String(language || '').trim().toLowerCase();
+
+  _undoableChange(() => {
+    if (pre && (!language || language === (pre.getAttribute('data-language') || ''))) {
+      const lines = _codeText(pre).replace(/\n$/, '').split('\n');
+      lines.forEach(line => {
+        const paragraph = document.createElement('p');
+        if (line) paragraph.textContent = line;
+        else paragraph.appendChild(document.createElement('br'));
+        pre.before(paragraph);
+      });
+      pre.remove();
+    } else if (pre) {
+      pre.setAttribute('data-language', language);
+      dirtyCodeBlocks.add(pre);
+    } else {
+      const blocks = _rangeBlocks(range, 'p, div, h1, h2, h3, h4, h5, h6, blockquote');
+      if (blocks.length === 0) return;
+      const block = document.createElement('pre');
+      if (language) block.setAttribute('data-language', language);
+      block.textContent = blocks.map(_codeText).join('\n');
+      blocks[0].before(block);
+      blocks.forEach(source => source.remove());
+    }
+    RE.setSelection(offsets.start, offsets.end);
+  });
+  RE.enabledEditingItems();
+};
+
+/**
+ * Wrap the selected text in <code>, or unwrap the inline code at the caret.
+ * @returns {boolean} False if nothing changed
+ */
+RE.toggleInlineCode = function () {
+  const range = _editorRange();
+  if (!range || _codeBlock(range.startContainer)) return false;
+  const start = range.startContainer.nodeType === 1 ? range.startContainer : range.startContainer.parentElement;
+  const code = start.closest('code');
+  const offsets = _rangeOffsets(range);
+
+  if (code && RE.editor.contains(code)) {
+    _undoableChange(() => {
+      code.replaceWith(...Array.from(code.childNodes));
+      RE.setSelection(offsets.start, offsets.end);
+    });
+  } else {
+    const text = range.toString();
+    if (!text || /\n/.test(text) || _rangeBlocks(range, 'p, div, li, h1, h2, h3, h4, h5, h6').length > 1) return false;
+    _undoableChange(() => {
+      const element = document.createElement('code');
+      element.textContent = text;
+      range.deleteContents();
+      range.insertNode(element);
+      RE.setSelection(offsets.start, offsets.end);
+    });
+  }
+  RE.enabledEditingItems();
+  return true;
+};
+
+function _codeBlock(node) {
+  const element = node && (node.nodeType === 1 ? node : node.parentElement);
+  const pre = element && element.closest('pre');
+  return pre && RE.editor.contains(pre) ? pre : null;
+}
+
+/**
+ * Code state at the caret, for the toolbar state.
+ * @returns {Object|null} {block, language}
+ */
+function _codeState() {
+  const range = _editorRange();
+  if (!range) return null;
+  const pre = _codeBlock(range.startContainer);
+  if (pre) return { block: true, language: pre.getAttribute('data-language') || '' };
+  const element = range.startContainer.nodeType === 1 ? range.startContainer : range.startContainer.parentElement;
+  return element && element.closest('code') && RE.editor.contains(element) ? { block: false, language: '' } : null;
+}
+
+/**
+ * Text of a node with line breaks as newlines.
+ */
+function _codeText(node) {
+  if (node.nodeType === 3) return node.nodeValue.replace(/\u00a0/g, ' ');
+  if (node.nodeName === 'BR') return '\n';
+  return Array.from(node.childNodes).map((child, index) => {
+    const text = _codeText(child);
+    // Browsers may wrap new lines in block elements
+    return index > 0 && /^(DIV|P)$/.test(child.nodeName) ? '\n' + text : text;
+  }).join('');
+}
+
+/**
+ * Enter inserts a newline and Tab indents inside code blocks. Enter on an
+ * empty last line leaves the block.
+ * @param {string} key - 'enter', 'tab' or 'shiftTab'
+ * @returns {boolean} True if the key was handled
+ */
+function _handleCodeKey(key) {
+  const selection = document.getSelection();
+  if (!RE.editor || selection.rangeCount === 0) return false;
+  const range = selection.getRangeAt(0);
+  const pre = _codeBlock(range.startContainer);
+  if (!pre) return false;
+
+  const text = _codeText(pre);
+  const start = _textOffset(pre, range.startContainer, range.startOffset);
+  const end = range.collapsed ? start : _textOffset(pre, range.endContainer, range.endOffset);
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const context = $editor.data('summernote');
+  const indent = ' '.repeat((context && context.options.tabsize) || 2);
+  let value;
+  let caret;
+
+  if (key === 'enter') {
+    const atEnd = text.slice(end).replace(/\n$/, '') === '';
+    if (atEnd && start === end && start > 0 && text.slice(lineStart, start) === '' && text[start - 1] === '\n') {
+      // Leave the block on an empty last line
+      _undoableChange(() => {
+        _setCodeText(pre, text.slice(0, start - 1));
+        const paragraph = document.createElement('p');
+        paragraph.appendChild(document.createElement('br'));
+        pre.after(paragraph);
+        _placeCaret(paragraph);
+      });
+      return true;
+    }
+    // Keep the indentation of the current line
+    const newline = '\n' + text.slice(lineStart, start).match(/^[ \t]*/)[0];
+    value = text.slice(0, start) + newline + text.slice(end);
+    caret = start + newline.length;
+    // A trailing newline is not rendered without another one after it
+    if (caret === value.length) value += '\n';
+  } else if (key === 'tab') {
+    value = text.slice(0, start) + indent + text.slice(end);
+    caret = start + indent.length;
+  } else {
+    const removed = text.slice(lineStart, lineStart + indent.length).match(/^ */)[0].length;
+    if (removed === 0) return true;
+    value = text.slice(0, lineStart) + text.slice(lineStart + removed);
+    caret = Math.max(lineStart, start - removed);
+  }
+
+  _undoableChange(() => {
+    _setCodeText(pre, value);
+    const point = _domPosition(pre, caret, true);
+    const caretRange = document.createRange();
+    caretRange.setStart(point.node, point.offset);
+    selection.removeAllRanges();
+    selection.addRange(caretRange);
+  });
+  return true;
+}
+
+/**
+ * Replace the text of a code block, highlighted right away.
+ */
+function _setCodeText(pre, text) {
+  pre.textContent = text;
+  _highlightCodeBlock(pre);
+}
+
+/**
+ * Paste plain text into code blocks.
+ * @returns {boolean} True if the paste was handled
+ */
+function _pasteIntoCode(text) {
+  const range = _editorRange();
+  const pre = range && _codeBlock(range.startContainer);
+  if (!pre) return false;
+  const start = _textOffset(pre, range.startContainer, range.startOffset);
+  const end = _textOffset(pre, range.endContainer, range.endOffset);
+  const code = _codeText(pre);
+  const pasted = _limitPlainText(range, String(text || '').replace(/\r\n?/g, '\n'), 'paste');
+  if (pasted === null) return true;
+
+  _undoableChange(() => {
+    _setCodeText(pre, code.slice(0, start) + pasted + code.slice(end));
+    const point = _domPosition(pre, start + pasted.length, true);
+    const caret = document.createRange();
+    caret.setStart(point.node, point.offset);
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(caret);
+  });
+  return true;
+}
+
+/**
+ * Grammar for a language name or alias, if highlighting is enabled for it.
+ */
+function _codeGrammar(language) {
+  const name = String(language || '').toLowerCase();
+  const key = Object.keys(CODE_GRAMMARS).find(candidate =>
+    candidate === name || (CODE_GRAMMARS[candidate].aliases || []).includes(name));
+  if (!key) return null;
+  const enabled = codeOptions.languages;
+  if (Array.isArray(enabled) && !enabled.some(entry => {
+    const wanted = String(entry).toLowerCase();
+    return wanted === key || (CODE_GRAMMARS[key].aliases || []).includes(wanted);
+  })) {
+    return null;
+  }
+  if (!codePatterns[key]) codePatterns[key] = _compileGrammar(CODE_GRAMMARS[key]);
+  return codePatterns[key];
+}
+
+/**
+ * Build one alternation with a capture group per token type.
+ * @returns {Object} {pattern, types}
+ */
+function _compileGrammar(grammar) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let rules = grammar.rules;
+  if (!rules) {
+    const words = list => list.split(' ').map(word =>
+      /^\w/.test(word) ? '\\b' + escape(word) + (/\w$/.test(word) ? '\\b' : '') : escape(word) + '\\b');
+    rules = [];
+    (grammar.comments || []).forEach(comment => {
+      rules.push(['comment', Array.isArray(comment)
+        ? escape(comment[0]) + '[\\s\\S]*?(?:' + escape(comment[1]) + '|$)'
+        : escape(comment) + '.*']);
+    });
+    (grammar.strings || []).forEach(quote => {
+      const multiline = quote.length > 1 || quote === '`';
+      rules.push(['string', escape(quote) + '(?:\\\\[\\s\\S]|(?!' + escape(quote) + ')[^\\\\' +
+        (multiline ? '' : '\\n') + '])*(?:' + escape(quote) + '|$)']);
+    });
+    rules.push(['number', '\\b(?:0[xX][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b']);
+    rules.push(['keyword', '(?:' + words(grammar.keywords).join('|') + ')']);
+    rules.push(['literal', '(?:' + words(grammar.literals).join('|') + ')']);
+  }
+  return {
+    pattern: new RegExp(rules.map(rule => '(' + (rule[1].source || rule[1]) + ')').join('|'),
+      grammar.caseInsensitive ? 'gi' : 'g'),
+    types: rules.map(rule => rule[0])
+  };
+}
+
+/**
+ * Rebuild the highlight spans of a code block, keeping the caret.
+ */
+function _highlightCodeBlock(pre) {
+  if (!pre.isConnected || !RE.editor.contains(pre)) return;
+  const text = _codeText(pre);
+  const grammar = _codeGrammar(pre.getAttribute('data-language'));
+
+  const template = document.createElement('template');
+  if (grammar) {
+    let last = 0;
+    text.replace(grammar.pattern, function (match) {
+      const offset = arguments[arguments.length - 2];
+      const group = Array.prototype.slice.call(arguments, 1, grammar.types.length + 1)
+        .findIndex(value => value !== undefined);
+      if (match.length === 0 || group < 0) return match;
+      template.content.append(text.slice(last, offset));
+      const span = document.createElement('span');
+      span.className = 'hl-' + grammar.types[group];
+      span.textContent = match;
+      template.content.append(span);
+      last = offset + match.length;
+      return match;
+    });
+    template.content.append(text.slice(last));
+  } else {
+    template.content.append(text);
+  }
+  template.content.normalize();
+  if (template.innerHTML === pre.innerHTML) return;
+
+  const selection = document.getSelection();
+  const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+  const inside = range && pre.contains(range.startContainer) && pre.contains(range.endContainer);
+  const start = inside ? _textOffset(pre, range.startContainer, range.startOffset) : 0;
+  const end = inside ? _textOffset(pre, range.endContainer, range.endOffset) : 0;
+
+  pre.replaceChildren(template.content);
+
+  if (inside) {
+    const from = _domPosition(pre, start, true);
+    const to = start === end ? from : _domPosition(pre, end, false);
+    const restored = document.createRange();
+    restored.setStart(from.node, from.offset);
+    restored.setEnd(to.node, to.offset);
+    selection.removeAllRanges();
+    selection.addRange(restored);
+  }
+  if (codeObserver) codeObserver.takeRecords();
+}
+
+function _scheduleCodeHighlight() {
+  clearTimeout(codeHighlightTimeout);
+  codeHighlightTimeout = setTimeout(function () {
+    // Rewriting the block under an IME composition would cancel it
+    if (codeComposing) {
+      _scheduleCodeHighlight();
+      return;
+    }
+    const blocks = Array.from(dirtyCodeBlocks);
+    dirtyCodeBlocks.clear();
+    blocks.forEach(_highlightCodeBlock);
+  }, 150);
+}
+
+/**
+ * Watch the editor for changed code blocks (typing, undo, setHtml, remote
+ * edits) and highlight them.
+ */
+function _startCodeHighlighting() {
+  if (codeObserver || !RE.editor) return;
+  codeObserver = new MutationObserver(records => {
+    records.forEach(record => {
+      const pre = _codeBlock(record.target);
+      if (pre) dirtyCodeBlocks.add(pre);
+      record.addedNodes.forEach(node => {
+        if (node.nodeType !== 1) return;
+        if (node.nodeName === 'PRE') dirtyCodeBlocks.add(node);
+        node.querySelectorAll('pre').forEach(child => dirtyCodeBlocks.add(child));
+      });
+    });
+    if (dirtyCodeBlocks.size > 0) _scheduleCodeHighlight();
+  });
+  codeObserver.observe(RE.editor, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['data-language'] });
+  RE.editor.querySelectorAll('pre').forEach(pre => dirtyCodeBlocks.add(pre));
+  _scheduleCodeHighlight();
+}
+
+document.addEventListener('compositionstart', function () {
+  codeComposing = true;
+});
+
+document.addEventListener('compositionend', function () {
+  codeComposing = false;
+});
+
+// Soft keyboards report keyCode 229, so Enter also arrives here
+document.addEventListener('beforeinput', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target)) return;
+  if ((e.inputType === 'insertParagraph' || e.inputType === 'insertLineBreak') && _handleCodeKey('enter')) {
+    e.preventDefault();
+  }
+});
+
+// Highlighting is display only
+htmlExportFilters.push(root => {
+  root.querySelectorAll('pre span[class^="hl-"]').forEach(span => span.replaceWith(...Array.from(span.childNodes)));
+  root.querySelectorAll('pre').forEach(pre => pre.normalize());
+});
+
+// ==================== Blocks ====================
+
+RE.setBlockquote = function () {
+  // Summernote doesn't have direct blockquote toggle, use formatBlock
+  document.execCommand('formatBlock', false, 'blockquote');
+  RE.enabledEditingItems();
+};
+
+RE.setHeading = function (level) {
+  $editor.summernote('formatH' + level);
+};
+
+RE.setIndent = function () {
+  $editor.summernote('indent');
+};
+
+RE.setOutdent = function () {
+  $editor.summernote('outdent');
+};
+
+// ==================== Tables ====================
+
+/**
+ * Insert an empty table at the caret.
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ */
+RE.insertTable = function (rows, cols) {
+  rows = Math.max(1, Math.floor(Number(rows)) || 1);
+  cols = Math.max(1, Math.floor(Number(cols)) || 1);
+  _setLastRange(_editorRange());
+  // Summernote takes the size as "<columns>x<rows>"
+  $editor.summernote('insertTable', cols + 'x' + rows);
+  RE.enabledEditingItems();
+};
+
+/**
+ * Insert a row above or below the current cell. Below a header row, the
+ * new row starts the table body.
+ * @param {string} position - 'above' or 'below' (default)
+ * @returns {boolean} False if the caret is not in a table
+ */
+RE.addTableRow = function (position) {
+  const range = _editorRange();
+  const cell = range && _tableCell(range.startContainer);
+  // Summernote would add a row of <td> cells inside the <thead>
+  if (position !== 'above' && cell && cell.parentNode.parentNode.tagName === 'THEAD') {
+    _startTableBody(cell.closest('table'));
+    return true;
+  }
+  return _tableCommand('addRow', position === 'above' ? 'top' : 'bottom');
+};
+
+function _startTableBody(table) {
+  const columns = Math.max(...Array.from(table.rows, row =>
+    Array.from(row.cells).reduce((width, cell) => width + cell.colSpan, 0)));
+  _undoableChange(() => {
+    let body = table.tBodies[0];
+    if (!body) body = table.insertBefore(document.createElement('tbody'), table.tHead.nextSibling);
+    const row = body.insertRow(0);
+    for (let i = 0; i < columns; i++) row.insertCell().appendChild(document.createElement('br'));
+    _placeCaret(row.cells[0]);
+  });
+  RE.enabledEditingItems();
+}
+
+/**
+ * Insert a column left or right of the current cell.
+ * @param {string} position - 'left' or 'right' (default)
+ * @returns {boolean} False if the caret is not in a table
+ */
+RE.addTableColumn = function (position) {
+  return _tableCommand('addCol', position === 'left' ? 'left' : 'right');
+};
+
+/**
+ * Delete the row of the current cell.
+ * @returns {boolean} False if the caret is not in a table
+ */
+RE.deleteTableRow = function () {
+  return _tableCommand('deleteRow');
+};
+
+/**
+ * Delete the column of the current cell.
+ * @returns {boolean} False if the caret is not in a table
+ */
+RE.deleteTableColumn = function () {
+  return _tableCommand('deleteCol');
+};
+
+/**
+ * Delete the table around the caret.
+ * @returns {boolean} False if the caret is not in a table
+ */
+RE.deleteTable = function () {
+  return _tableCommand('deleteTable');
+};
+
+/**
+ * Merge the selected cells into one. With a collapsed selection, the
+ * current cell is merged with its neighbour.
+ * @param {string} direction - 'right' (default) or 'down', for a collapsed selection
+ * @returns {boolean} False if there is nothing to merge
+ */
+RE.mergeTableCells = function (direction) {
+  const range = _editorRange();
+  const start = range && _tableCell(range.startContainer);
+  if (!start) return false;
+  const table = start.closest('table');
+  const grid = _tableGrid(table);
+  const from = _tableCellPosition(grid, start);
+
+  let end = _tableCell(range.endContainer);
+  if (range.collapsed || end === start) {
+    const row = direction === 'down' ? from.row + start.rowSpan : from.row;
+    const col = direction === 'down' ? from.col : from.col + start.colSpan;
+    end = grid[row] && grid[row][col];
+  }
+  if (!end || end === start || end.closest('table') !== table) return false;
+
+  const to = _tableCellPosition(grid, end);
+  const area = _tableArea(grid, {
+    top: Math.min(from.row, to.row),
+    left: Math.min(from.col, to.col),
+    bottom: Math.max(from.row + start.rowSpan, to.row + end.rowSpan) - 1,
+    right: Math.max(from.col + start.colSpan, to.col + end.colSpan) - 1
+  });
+  const cells = _tableAreaCells(grid, area);
+  const target = cells[0];
+
+  _undoableChange(() => {
+    cells.slice(1).forEach(cell => {
+      if (cell.textContent.trim() || cell.querySelector('img, video, audio, input')) {
+        if (target.textContent.trim() || target.querySelector('img, video, audio, input')) {
+          target.appendChild(document.createElement('br'));
+        } else {
+          target.innerHTML = '';
+        }
+        while (cell.firstChild) target.appendChild(cell.firstChild);
+      }
+      cell.remove();
+    });
+    target.colSpan = area.right - area.left + 1;
+    target.rowSpan = area.bottom - area.top + 1;
+    if (target.colSpan === 1) target.removeAttribute('colspan');
+    if (target.rowSpan === 1) target.removeAttribute('rowspan');
+    _placeCaret(target);
+  });
+  RE.enabledEditingItems();
+  return true;
+};
+
+/**
+ * Split a merged cell back into single cells.
+ * @returns {boolean} False if the current cell is not merged
+ */
+RE.splitTableCell = function () {
+  const range = _editorRange();
+  const cell = range && _tableCell(range.startContainer);
+  if (!cell || (cell.colSpan === 1 && cell.rowSpan === 1)) return false;
+  const grid = _tableGrid(cell.closest('table'));
+  const from = _tableCellPosition(grid, cell);
+  const rows = cell.closest('table').rows;
+
+  _undoableChange(() => {
+    for (let row = from.row; row < from.row + cell.rowSpan; row++) {
+      // New cells go before the first cell that starts right of the split one
+      const next = Array.from(rows[row].cells).find(other =>
+        other !== cell && _tableCellPosition(grid, other).col > from.col);
+      for (let col = from.col; col < from.col + cell.colSpan; col++) {
+        if (row === from.row && col === from.col) continue;
+        const added = document.createElement(cell.tagName.toLowerCase());
+        added.innerHTML = '<br>';
+        rows[row].insertBefore(added, next || null);
+      }
+    }
+    cell.removeAttribute('colspan');
+    cell.removeAttribute('rowspan');
+  });
+  RE.enabledEditingItems();
+  return true;
+};
+
+/**
+ * Turn the first rows of the current table into header rows (`<th>` cells
+ * in a `<thead>`). The remaining rows become body rows.
+ * @param {number} count - Number of header rows (0 removes the header)
+ * @returns {boolean} False if the caret is not in a table
+ */
+RE.setTableHeaderRows = function (count) {
+  const range = _editorRange();
+  const cell = range && _tableCell(range.startContainer);
+  if (!cell) return false;
+  const table = cell.closest('table');
+  const rows = Array.from(table.rows).filter(row => row.parentNode.tagName !== 'TFOOT');
+  count = Math.max(0, Math.min(rows.length, Math.floor(Number(count)) || 0));
+
+  _undoableChange(() => {
+    const head = document.createElement('thead');
+    const body = document.createElement('tbody');
+    rows.forEach((row, index) => {
+      const header = index < count;
+      Array.from(row.cells).forEach(current => {
+        const tag = header ? 'th' : 'td';
+        if (current.tagName.toLowerCase() === tag) return;
+        const replacement = document.createElement(tag);
+        Array.from(current.attributes).forEach(attribute => {
+          if (attribute.name !== 'scope') replacement.setAttribute(attribute.name, attribute.value);
+        });
+        if (header) replacement.setAttribute('scope', 'col');
+        while (current.firstChild) replacement.appendChild(current.firstChild);
+        current.replaceWith(replacement);
+      });
+      (header ? head : body).appendChild(row);
+    });
+
+    Array.from(table.querySelectorAll(':scope > thead, :scope > tbody')).forEach(section => section.remove());
+    if (count > 0) table.insertBefore(head, table.firstChild);
+    table.insertBefore(body, table.querySelector(':scope > tfoot'));
+    _placeCaret(table.rows[0].cells[0]);
+  });
+  RE.enabledEditingItems();
+  return true;
+};
+
+/**
+ * Position of the caret in a table, for the toolbar state.
+ * @returns {Object|null} {row, column, rows, columns} (zero-based indexes)
+ */
+function _tableState() {
+  const range = _editorRange();
+  const cell = range && _tableCell(range.startContainer);
+  if (!cell) return null;
+  const grid = _tableGrid(cell.closest('table'));
+  const position = _tableCellPosition(grid, cell);
+  return {
+    row: position.row,
+    column: position.col,
+    rows: grid.length,
+    columns: Math.max(0, ...grid.map(row => row.length))
+  };
+}
+
+/**
+ * Run a Summernote table command on the current cell.
+ */
+function _tableCommand(command, argument) {
+  const range = _editorRange();
+  const cell = range && _tableCell(range.startContainer);
+  if (!cell) return false;
+  const table = cell.closest('table');
+  const position = _tableCellPosition(_tableGrid(table), cell);
+
+  // Summernote only runs table commands on a collapsed range
+  const caret = range.cloneRange();
+  caret.collapse(true);
+  _setLastRange(caret);
+  $editor.summernote(command, argument);
+
+  if (RE.editor.contains(table)) {
+    table.querySelectorAll(':scope > thead, :scope > tbody, :scope > tfoot').forEach(section => {
+      if (section.rows.length === 0) section.remove();
+    });
+    // Keep the caret in the table after deleting its row or column
+    if (!RE.editor.contains(cell)) {
+      const grid = _tableGrid(table);
+      const row = grid[Math.min(position.row, grid.length - 1)];
+      if (row) _placeCaret(row[Math.min(position.col, row.length - 1)]);
+    }
+  }
+  RE.enabledEditingItems();
+  return true;
+}
+
+function _tableCell(node) {
+  const element = node && (node.nodeType === 1 ? node : node.parentElement);
+  const cell = element && element.closest('td, th');
+  return cell && RE.editor.contains(cell) ? cell : null;
+}
+
+/**
+ * Map a table to a grid of cells, with spanned slots pointing at the
+ * spanning cell.
+ * @returns {Array<Array<HTMLTableCellElement>>} grid[row][column]
+ */
+function _tableGrid(table) {
+  const grid = [];
+  Array.from(table.rows).forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let col = 0;
+    Array.from(row.cells).forEach(cell => {
+      while (grid[rowIndex][col]) col++;
+      for (let r = 0; r < cell.rowSpan; r++) {
+        if (rowIndex + r >= table.rows.length) break;
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < cell.colSpan; c++) {
+          grid[rowIndex + r][col + c] = cell;
+        }
+      }
+      col += cell.colSpan;
+    });
+  });
+  return grid;
+}
+
+function _tableCellPosition(grid, cell) {
+  for (let row = 0; row < grid.length; row++) {
+    const col = grid[row].indexOf(cell);
+    if (col >= 0) return { row: row, col: col };
+  }
+  return { row: -1, col: -1 };
+}
+
+/**
+ * Grow a rectangle until no cell crosses its border.
+ */
+function _tableArea(grid, area) {
+  let grown = true;
+  while (grown) {
+    grown = false;
+    _tableAreaCells(grid, area).forEach(cell => {
+      const position = _tableCellPosition(grid, cell);
+      const bottom = position.row + cell.rowSpan - 1;
+      const right = position.col + cell.colSpan - 1;
+      if (position.row < area.top) { area.top = position.row; grown = true; }
+      if (position.col < area.left) { area.left = position.col; grown = true; }
+      if (bottom > area.bottom) { area.bottom = bottom; grown = true; }
+      if (right > area.right) { area.right = right; grown = true; }
+    });
+  }
+  return area;
+}
+
+/**
+ * Distinct cells in a rectangle, in document order.
+ */
+function _tableAreaCells(grid, area) {
+  const cells = [];
+  for (let row = area.top; row <= area.bottom; row++) {
+    for (let col = area.left; col <= area.right; col++) {
+      const cell = grid[row] && grid[row][col];
+      if (cell && !cells.includes(cell)) cells.push(cell);
+    }
+  }
+  return cells;
+}
+
+function _placeCaret(element) {
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  range.collapse(true);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  lastEditorRange = range.cloneRange();
+}
+
+// ==================== Alignment ====================
+
+RE.setJustifyLeft = function () {
+  $editor.summernote('justifyLeft');
+};
+
+RE.setJustifyCenter = function () {
+  $editor.summernote('justifyCenter');
+};
+
+RE.setJustifyRight = function () {
+  $editor.summernote('justifyRight');
+};
+
+RE.setJustifyFull = function () {
+  $editor.summernote('justifyFull');
+};
+
+// ==================== Colors ====================
+
+RE.setTextColor = function (color) {
+  $editor.summernote('foreColor', color);
+};
+
+RE.setTextBackgroundColor = function (color) {
+  $editor.summernote('backColor', color);
+};
+
+// ==================== Font Size ====================
+
+RE.setFontSize = function (size) {
+  $editor.summernote('fontSize', size);
+};
+
+// ==================== Editor Appearance ====================
+
+RE.setBaseTextColor = function (color) {
+  $(RE.editor).css('color', color);
+};
+
+RE.setBaseFontSize = function (size) {
+  $(RE.editor).css('font-size', size);
+};
+
+RE.setPadding = function (left, top, right, bottom) {
+  $(RE.editor).css({
+    'padding-left': left,
+    'padding-top': top,
+    'padding-right': right,
+    'padding-bottom': bottom
+  });
+};
+
+RE.setBackgroundColor = function (color) {
+  $('body').css('background-color', color);
+  $(RE.editor).css('background-color', color);
+};
+
+RE.setWidth = function (size) {
+  $(RE.editor).css('min-width', size);
+};
+
+RE.setHeight = function (size) {
+  $(RE.editor).css('height', size);
+};
+
+RE.setPlaceholder = function (placeholder) {
+  // Update placeholder through Summernote options
+  $('.note-placeholder').text(placeholder);
+};
+
+RE.setInputEnabled = function (enabled) {
+  if (enabled) {
+    $editor.summernote('enable');
+  } else {
+    $editor.summernote('disable');
+  }
+};
+
+// ==================== Media Insertion ====================
+
+RE.insertImage = function (url, alt) {
+  if (!_isAllowedUrl(url, 'img', 'src')) return;
+  $editor.summernote('insertImage', url, alt || '');
+};
+
+RE.insertImageAttach = function (url, dataAttachment) {
+  var html = '<img src="' + _escapeHtml(url) + '" data-attachment="' + _escapeHtml(dataAttachment) + '" />';
+  _pasteHTML(html);
+};
+
+RE.insertImageW = function (url, alt, width) {
+  var html = '<img src="' + _escapeHtml(url) + '" alt="' + _escapeHtml(alt || '') + '" width="' + _escapeHtml(width) + '"/>';
+  _pasteHTML(html);
+};
+
+RE.insertImageWH = function (url, alt, width, height) {
+  var html = '<img src="' + _escapeHtml(url) + '" alt="' + _escapeHtml(alt || '') + '" style="width:' + parseFloat(width) + 'px; height:' + parseFloat(height) + 'px;" />';
+  _pasteHTML(html);
+};
+
+RE.insertVideo = function (url) {
+  var html = '<video src="' + _escapeHtml(url) + '" controls></video><br>';
+  _pasteHTML(html);
+};
+
+RE.insertVideoW = function (url, width) {
+  var html = '<video src="' + _escapeHtml(url) + '" width="' + _escapeHtml(width) + '" controls></video><br>';
+  _pasteHTML(html);
+};
+
+RE.insertVideoWH = function (url, width, height) {
+  var html = '<video src="' + _escapeHtml(url) + '" width="' + _escapeHtml(width) + '" height="' + _escapeHtml(height) + '" controls></video><br>';
+  _pasteHTML(html);
+};
+
+RE.insertAudio = function (url) {
+  var html = '<audio src="' + _escapeHtml(url) + '" controls></audio><br>';
+  _pasteHTML(html);
+};
+
+/**
+ * Insert a YouTube embed.
+ * @param {string} url - YouTube URL, optionally with a start time (t=)
+ * @param {number} [width] - Width of the exported iframe
+ * @param {number} [height] - Height of the exported iframe
+ */
+RE.insertYoutubeVideo = function (url, width, height) {
+  if (!extractYouTubeVideoIdAndTime(url) || !RE.insertEmbed(url, { width: width, height: height })) {
+    console.log("Invalid YouTube URL.");
+  }
+};
+
+RE.insertMediaBBCode = function (data) {
+  _pasteHTML(data);
+};
+
+RE.insertLink = function (url, title) {
+  if (!_isAllowedUrl(url, 'a', 'href')) {
+    console.log('Link URL rejected by sanitizer policy:', url);
+    return;
+  }
+  RE.restorerange();
+  var sel = document.getSelection();
+  if (sel.toString().length == 0) {
+    _pasteHTML('<a href="' + _escapeHtml(url) + '">' + _escapeHtml(title) + '</a>');
+  } else {
+    $editor.summernote('createLink', {
+      url: url,
+      text: title,
+      isNewWindow: false
+    });
+  }
+  RE.callback();
+};
+
+RE.insertEmoji = function (emojiData) {
+  _pasteHTML(_emojiHtml(emojiData));
+};
+
+// Deprecated: use RE.insertTaskList
+RE.setTodo = function () {
+  RE.insertTaskList();
+};
+
+// ==================== Media Embeds ====================
+
+// Embeds are atomic blocks for media URLs handled by a registered provider:
+//   <div class="media-embed" contenteditable="false" data-embed-provider
+//     data-embed-id data-embed-url [data-embed-width data-embed-height]>
+// The embed id holds the provider's URL match groups joined by ':' (e.g.
+// 'dQw4w9WgXcQ:30' for a YouTube video at 30 s), the same data XenForo
+// keeps in [MEDIA=youtube]dQw4w9WgXcQ:30[/MEDIA]. The preview card inside
+// the block is rebuilt when content is loaded and never leaves the editor.
+// RE.getHtml writes embeds as [MEDIA] BBCode, iframes or the bare block
+// (embedOptions.export). Loaded or inserted [MEDIA] text becomes an embed.
+
+const EMBED_SELECTOR = 'div.media-embed[data-embed-provider]';
+
+const embedProviders = new Map(); // id -> provider (see _embedProvider)
+
+// export: 'bbcode' | 'iframe' | 'html'; offerPastedUrls: ask Dart through
+// onEmbedOffer whether a pasted provider URL becomes an embed
+let embedOptions = {
+  export: 'bbcode',
+  offerPastedUrls: false
+};
+
+/**
+ * Configure embeds.
+ * @param {Object} options - {export, offerPastedUrls}
+ */
+RE.configureEmbeds = function (options) {
+  embedOptions = Object.assign({}, embedOptions, options || {});
+};
+
+/**
+ * Register an embed provider, or replace the one with the same id.
+ * String templates may use {id} (the embed id), {url}, {name} and {0},
+ * {1}... (the URL match groups); JavaScript callers may pass functions
+ * (parts, embed) instead.
+ * @param {Object} options - {id, name, patterns, bbcode, url, iframe,
+ *   thumbnail, preview, width, height}: patterns are regular expression
+ *   sources whose groups make up the embed id; url builds the canonical
+ *   URL; iframe the player URL; preview the HTML of the preview card
+ *   (default: thumbnail, provider name and URL)
+ */
+RE.registerEmbedProvider = function (options) {
+  if (!options || !options.id) return;
+  embedProviders.set(String(options.id), _embedProvider(options));
+  if (RE.editor) _renderEmbeds();
+};
+
+/**
+ * Remove an embed provider. Existing embeds are kept as they are.
+ * @param {string} id - Provider id
+ */
+RE.unregisterEmbedProvider = function (id) {
+  embedProviders.delete(String(id));
+};
+
+/**
+ * Insert an embed for a media URL at the caret.
+ * @param {string} url - Media URL
+ * @param {Object} [options] - {width, height}: size of the exported iframe
+ * @returns {boolean} False if no provider handles the URL
+ */
+RE.insertEmbed = function (url, options) {
+  const match = _matchEmbedUrl(url);
+  if (!match) return false;
+  RE.restorerange();
+  let range = _editorRange();
+  if (!range) {
+    range = document.createRange();
+    range.selectNodeContents(RE.editor);
+    range.collapse(false);
+  }
+  return _insertEmbed(range, _embedElement(match.provider, match.id, url, options));
+};
+
+/**
+ * Normalize a provider definition.
+ */
+function _embedProvider(options) {
+  const provider = {
+    id: String(options.id),
+    name: options.name || String(options.id),
+    bbcode: options.bbcode || String(options.id),
+    patterns: (options.patterns || []).map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')),
+    width: options.width || 560,
+    height: options.height || 315
+  };
+  provider.url = _embedTemplate(options.url, provider);
+  provider.iframe = _embedTemplate(options.iframe, provider);
+  provider.thumbnail = _embedTemplate(options.thumbnail, provider);
+  provider.preview = _embedTemplate(options.preview, provider, true);
+  return provider;
+}
+
+/**
+ * Turn a template into a function of (parts, embed), escaping the values
+ * substituted into HTML templates.
+ */
+function _embedTemplate(template, provider, isHtml) {
+  if (typeof template === 'function') return template;
+  if (!template) return null;
+  return (parts, embed) => String(template).replace(/\{(\w+)\}/g, (token, key) => {
+    const value = key === 'id' ? embed.id : key === 'url' ? embed.url : key === 'name' ? provider.name
+      : /^\d+$/.test(key) ? parts[Number(key)] || '' : token;
+    return isHtml ? _escapeHtml(value) : encodeURIComponent(value).replace(/%2F/gi, '/').replace(/%3A/gi, ':');
+  });
+}
+
+/**
+ * Find the provider handling a URL.
+ * @returns {Object|null} {provider, id}
+ */
+function _matchEmbedUrl(url) {
+  const value = String(url || '').trim();
+  if (!/^https?:\/\/\S+$/i.test(value)) return null;
+  for (const provider of embedProviders.values()) {
+    for (const pattern of provider.patterns) {
+      const match = value.match(pattern);
+      if (match) {
+        return { provider: provider, id: match.slice(1).filter(part => part !== undefined).join(':') };
+      }
+    }
+  }
+  return null;
+}
+
+function _embedData(element) {
+  const provider = embedProviders.get(element.getAttribute('data-embed-provider'));
+  const id = element.getAttribute('data-embed-id') || '';
+  const embed = {
+    id: id,
+    url: element.getAttribute('data-embed-url') || '',
+    width: Number(element.getAttribute('data-embed-width')) || (provider ? provider.width : 560),
+    height: Number(element.getAttribute('data-embed-height')) || (provider ? provider.height : 315)
+  };
+  return { provider: provider, parts: id.split(':'), embed: embed };
+}
+
+function _embedElement(provider, id, url, options) {
+  const element = document.createElement('div');
+  element.className = 'media-embed';
+  element.setAttribute('data-embed-provider', provider.id);
+  element.setAttribute('data-embed-id', id);
+  const embed = { id: id, url: '' };
+  const canonical = url || (provider.url ? provider.url(id.split(':'), embed) : '');
+  if (canonical) element.setAttribute('data-embed-url', canonical);
+  if (options && options.width) element.setAttribute('data-embed-width', String(parseInt(options.width, 10)));
+  if (options && options.height) element.setAttribute('data-embed-height', String(parseInt(options.height, 10)));
+  _renderEmbed(element);
+  return element;
+}
+
+/**
+ * Make an embed block atomic and draw its preview card.
+ */
+function _renderEmbed(element) {
+  const data = _embedData(element);
+  if (!data.provider) return;
+  element.setAttribute('contenteditable', 'false');
+  if (data.provider.preview) {
+    element.innerHTML = RE.sanitizeHtml(data.provider.preview(data.parts, data.embed));
+    return;
+  }
+  // Text comes from CSS, so the card adds nothing to the document text
+  const card = document.createElement('div');
+  card.className = 'media-embed-card';
+  card.setAttribute('data-embed-name', data.provider.name);
+  card.setAttribute('data-embed-label', data.embed.url.replace(/^https?:\/\/(www\.)?/i, ''));
+  const thumbnail = data.provider.thumbnail && data.provider.thumbnail(data.parts, data.embed);
+  if (thumbnail && _isAllowedUrl(thumbnail, 'img', 'src')) {
+    const image = document.createElement('div');
+    image.className = 'media-embed-thumbnail';
+    image.style.backgroundImage = 'url("' + thumbnail.replace(/["\\]/g, '\\$&') + '")';
+    card.appendChild(image);
+  }
+  element.replaceChildren(card);
+}
+
+/**
+ * Draw the embeds of the document and turn [MEDIA] text of registered
+ * providers into embeds.
+ */
+function _renderEmbeds() {
+  const pattern = /\[MEDIA=(\w+)\]([^\[\]\s]+)\[\/MEDIA\]/gi;
+  const walker = document.createTreeWalker(RE.editor, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeValue.indexOf('[MEDIA=') >= 0 && !node.parentElement.closest('pre, code, .media-embed')) nodes.push(node);
+  }
+
+  nodes.forEach(node => {
+    pattern.lastIndex = 0;
+    let match;
+    let text = node;
+    while ((match = pattern.exec(text.nodeValue)) !== null) {
+      const key = match[1].toLowerCase();
+      const provider = Array.from(embedProviders.values()).find(candidate => candidate.bbcode.toLowerCase() === key);
+      if (!provider) continue;
+      const rest = text.splitText(match.index);
+      text = rest.splitText(match[0].length);
+      // BBCode pasted as a suggestion stays one
+      const insertion = _changeElement(rest, 'INS');
+      let block = _embedElement(provider, match[2], null);
+      if (insertion) {
+        const wrapper = insertion.cloneNode(false);
+        wrapper.appendChild(block);
+        block = wrapper;
+      }
+      _replaceWithBlock(rest, block);
+      pattern.lastIndex = 0;
+    }
+  });
+
+  RE.editor.querySelectorAll(EMBED_SELECTOR).forEach(element => {
+    if (!element.firstChild || element.getAttribute('contenteditable') !== 'false') _renderEmbed(element);
+  });
+}
+
+/**
+ * Put a block where an inline node is, splitting its paragraph around it.
+ * The node is removed.
+ */
+function _replaceWithBlock(node, block) {
+  const paragraph = node.parentElement && node.parentElement.closest('p, div, h1, h2, h3, h4, h5, h6');
+  if (!paragraph || paragraph === RE.editor || !RE.editor.contains(paragraph)) {
+    node.replaceWith(block);
+    return;
+  }
+  const before = document.createRange();
+  before.setStart(paragraph, 0);
+  before.setEndBefore(node);
+  const after = document.createRange();
+  after.setStartAfter(node);
+  after.setEnd(paragraph, paragraph.childNodes.length);
+  const tail = paragraph.cloneNode(false);
+  tail.appendChild(after.extractContents());
+  const head = paragraph.cloneNode(false);
+  head.appendChild(before.extractContents());
+  node.remove();
+  paragraph.replaceWith(...[head, block, tail].filter(part => part === block || !_isEmptyBlock(part)));
+}
+
+function _isEmptyBlock(block) {
+  return !block.textContent.trim() && !block.querySelector('img, video, audio, iframe, input, hr, .media-embed');
+}
+
+/**
+ * Insert an embed at a range as one undo step, within the length limit and
+ * as a suggestion while track changes is on.
+ * @returns {boolean} False if the length limit rejected it
+ */
+function _insertEmbed(range, embed) {
+  // The preview card is not part of the content
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(embed.cloneNode(false));
+  if (!_applyLimit(range, fragment, 'insert').fragment) return false;
+
+  _undoableChange(() => {
+    let target = range;
+    let block = embed;
+    if (_isTracking(target)) {
+      if (!target.collapsed) {
+        _trackDelete(target, true);
+        target = _editorRange();
+      }
+      block = _changeMarkup('ins', _newChangeId(), Date.now());
+      block.appendChild(embed);
+    }
+    _insertEmbedBlock(target, block);
+  });
+  return true;
+}
+
+/**
+ * Insert an embed at a range, with a paragraph after it to keep typing in.
+ */
+function _insertEmbedBlock(range, embed) {
+  if (range && RE.editor.contains(range.startContainer)) {
+    range.deleteContents();
+    const marker = document.createTextNode('');
+    range.insertNode(marker);
+    _replaceWithBlock(marker, embed);
+  } else {
+    RE.editor.appendChild(embed);
+  }
+  let next = embed.nextElementSibling;
+  if (!next || next.matches(EMBED_SELECTOR)) {
+    next = document.createElement('p');
+    next.appendChild(document.createElement('br'));
+    embed.after(next);
+  }
+  const caret = document.createRange();
+  caret.setStart(next, 0);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(caret);
+  lastEditorRange = caret.cloneRange();
+}
+
+/**
+ * Serialize the embed blocks of exported HTML.
+ * @param {string} html - Sanitized export
+ * @param {string} [format] - 'bbcode' | 'iframe' | 'html' (default:
+ *   embedOptions.export)
+ */
+function _serializeEmbeds(html, format) {
+  const mode = format || embedOptions.export;
+  if (mode === 'html' || html.indexOf('media-embed') < 0) return html;
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  template.content.querySelectorAll(EMBED_SELECTOR).forEach(element => {
+    const data = _embedData(element);
+    const src = mode === 'iframe' && data.provider && data.provider.iframe
+      ? data.provider.iframe(data.parts, data.embed) : null;
+    if (src) {
+      const iframe = document.createElement('iframe');
+      iframe.setAttribute('src', src);
+      iframe.setAttribute('width', String(data.embed.width));
+      iframe.setAttribute('height', String(data.embed.height));
+      iframe.setAttribute('frameborder', '0');
+      iframe.setAttribute('allow', 'autoplay; encrypted-media; fullscreen; picture-in-picture');
+      iframe.setAttribute('allowfullscreen', '');
+      element.replaceWith(iframe);
+    } else {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = _embedBBCode(element);
+      element.replaceWith(paragraph);
+    }
+  });
+  return template.innerHTML;
+}
+
+function _embedBBCode(element) {
+  const data = _embedData(element);
+  const key = data.provider ? data.provider.bbcode : element.getAttribute('data-embed-provider');
+  return '[MEDIA=' + key + ']' + data.embed.id + '[/MEDIA]';
+}
+
+/**
+ * Ask Dart whether a pasted provider URL becomes an embed, once the paste
+ * happened.
+ */
+function _offerEmbed(url, match) {
+  setTimeout(function () {
+    const caret = _editorRange();
+    if (!caret || !window.flutter_inappwebview) return;
+    const end = _rangeOffsets(caret).end;
+    const range = _offsetRange(end - url.length, end);
+    if (range.toString() !== url) return;
+
+    window.flutter_inappwebview.callHandler('onEmbedOffer', {
+      url: url,
+      provider: match.provider.id,
+      name: match.provider.name
+    }).then(accept => {
+      if (accept !== true || range.toString() !== url || !RE.editor.contains(range.startContainer)) return;
+      const link = range.commonAncestorContainer.parentElement && range.commonAncestorContainer.parentElement.closest('a');
+      if (link && RE.editor.contains(link) && link.textContent === url) range.selectNode(link);
+      _insertEmbed(range, _embedElement(match.provider, match.id, url));
+    }).catch(error => console.log('Embed offer failed:', error));
+  }, 0);
+}
+
+// The preview card is editor-only; the block is serialized by RE.getHtml
+htmlExportFilters.push(root => {
+  root.querySelectorAll(EMBED_SELECTOR).forEach(element => {
+    element.replaceChildren();
+    element.removeAttribute('contenteditable');
+  });
+});
+
+// Tapping an embed selects it as a whole
+document.addEventListener('click', function (e) {
+  if (!RE.editor || !e.target.closest) return;
+  const element = e.target.closest(EMBED_SELECTOR);
+  if (!element || !RE.editor.contains(element)) return;
+  const range = document.createRange();
+  range.selectNode(element);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  lastEditorRange = range.cloneRange();
+});
+
+[
+  {
+    id: 'youtube',
+    name: 'YouTube',
+    patterns: [/(?:youtube\.com\/(?:watch\?(?:[^#]*&)?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})(?:[^#]*[?&](?:t|start)=(\d+))?/i],
+    url: parts => 'https://www.youtube.com/watch?v=' + parts[0] + (parts[1] ? '&t=' + parts[1] : ''),
+    iframe: parts => 'https://www.youtube-nocookie.com/embed/' + parts[0] + (parts[1] ? '?start=' + parts[1] : ''),
+    thumbnail: parts => 'https://i.ytimg.com/vi/' + parts[0] + '/hqdefault.jpg',
+    width: 560,
+    height: 315
+  },
+  {
+    id: 'vimeo',
+    name: 'Vimeo',
+    patterns: [/vimeo\.com\/(?:video\/|channels\/[\w-]+\/)?(\d+)/i],
+    url: 'https://vimeo.com/{0}',
+    iframe: 'https://player.vimeo.com/video/{0}',
+    width: 640,
+    height: 360
+  },
+  {
+    id: 'tiktok',
+    name: 'TikTok',
+    patterns: [/tiktok\.com\/@[\w.-]+\/video\/(\d+)/i],
+    url: 'https://www.tiktok.com/embed/v2/{0}',
+    iframe: 'https://www.tiktok.com/embed/v2/{0}',
+    width: 325,
+    height: 575
+  },
+  {
+    id: 'twitter',
+    name: 'X',
+    patterns: [/(?:twitter|x)\.com\/\w+\/status(?:es)?\/(\d+)/i],
+    url: 'https://x.com/i/status/{0}',
+    iframe: 'https://platform.twitter.com/embed/Tweet.html?id={0}',
+    width: 550,
+    height: 400
+  }
+].forEach(RE.registerEmbedProvider);
+
+// ==================== Links ====================
+
+// enabled: link URLs when a space or line break is typed after them
+let autolinkOptions = {
+  enabled: false
+};
+
+// Anchor the caret was last reported in through onLinkTap
+let activeLink = null;
+
+// A URL word, without the punctuation of the sentence around it
+const AUTOLINK_PATTERN = /^(?:https?:\/\/|www\.)[^\s<>"]+?(?=[.,;:!?)\]'"]*$)/i;
+
+/**
+ * Configure autolinking of typed URLs.
+ * @param {Object} options - {enabled}
+ */
+RE.configureAutolink = function (options) {
+  autolinkOptions = Object.assign({}, autolinkOptions, options || {});
+};
+
+/**
+ * Get the link under the caret.
+ * @returns {Object|null} {href, text, newTab}, or null outside a link
+ */
+RE.getLinkAtCursor = function () {
+  const anchor = _linkAtCursor();
+  return anchor ? _linkInfo(anchor) : null;
+};
+
+/**
+ * Change the link under the caret, as one undo step.
+ * @param {string} href - New URL
+ * @param {string} text - New link text (empty keeps the current text)
+ * @param {Object} options - {newTab}
+ * @returns {boolean} False if there is no link or the URL is rejected
+ */
+RE.updateLink = function (href, text, options) {
+  const anchor = _linkAtCursor();
+  if (!anchor) return false;
+  if (!_isAllowedUrl(href, 'a', 'href')) {
+    console.log('Link URL rejected by sanitizer policy:', href);
+    return false;
+  }
+
+  _undoableChange(() => {
+    anchor.setAttribute('href', href);
+    if (text && text !== anchor.textContent) {
+      anchor.textContent = text;
+    }
+    if (options && options.newTab) {
+      anchor.setAttribute('target', '_blank');
+      anchor.setAttribute('rel', 'noopener noreferrer');
+    } else if (options && options.newTab === false) {
+      anchor.removeAttribute('target');
+      anchor.removeAttribute('rel');
+    }
+  });
+  activeLink = null;
+  return true;
+};
+
+/**
+ * Remove the link under the caret and keep its text, as one undo step.
+ * @returns {boolean} False if there is no link
+ */
+RE.unlink = function () {
+  const anchor = _linkAtCursor();
+  if (!anchor) return false;
+
+  _undoableChange(() => {
+    while (anchor.firstChild) anchor.parentNode.insertBefore(anchor.firstChild, anchor);
+    anchor.remove();
+  });
+  activeLink = null;
+  return true;
+};
+
+function _linkAtCursor() {
+  const range = _editorRange();
+  if (!range) return null;
+  const node = range.startContainer.nodeType === 1 ? range.startContainer : range.startContainer.parentElement;
+  const anchor = node && node.closest('a[href]');
+  return anchor && RE.editor.contains(anchor) ? anchor : null;
+}
+
+function _linkInfo(anchor) {
+  return {
+    href: anchor.getAttribute('href') || '',
+    text: anchor.textContent,
+    newTab: anchor.getAttribute('target') === '_blank'
+  };
+}
+
+/**
+ * Report the link the caret moved into.
+ */
+function _checkActiveLink() {
+  const selection = document.getSelection();
+  if (!RE.editor || selection.rangeCount === 0 || !RE.editor.contains(selection.anchorNode)) return;
+  const anchor = _linkAtCursor();
+  if (anchor === activeLink) return;
+  activeLink = anchor;
+  if (anchor && window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler('onLinkTap', _linkInfo(anchor));
+  }
+}
+
+document.addEventListener('selectionchange', _checkActiveLink);
+
+/**
+ * Turn the URL that ends `skip` characters before the caret into a link.
+ * @param {number} skip - Characters typed after the URL (e.g. the space)
+ */
+function _autolinkBeforeCaret(skip) {
+  if (!autolinkOptions.enabled || !_autolinkMatch(skip)) return;
+
+  _undoableChange(() => {
+    // Recorded typing may have merged text nodes, so match again
+    const found = _autolinkMatch(skip);
+    if (!found) return;
+    const range = document.createRange();
+    range.setStart(found.node, found.start);
+    range.setEnd(found.node, found.start + found.url.length);
+    const anchor = document.createElement('a');
+    anchor.setAttribute('href', found.href);
+    range.surroundContents(anchor);
+
+    // Keep the caret after the typed characters
+    const caret = document.createRange();
+    if (anchor.nextSibling) {
+      caret.setStart(anchor.nextSibling, skip + found.word.length - found.url.length);
+    } else {
+      caret.setStartAfter(anchor);
+    }
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(caret);
+  });
+}
+
+/**
+ * Find the URL ending the word before the caret.
+ * @param {number} skip - Characters typed after the URL
+ * @returns {Object|null} {node, start, word, url, href}
+ */
+function _autolinkMatch(skip) {
+  const selection = document.getSelection();
+  if (selection.rangeCount === 0 || !selection.isCollapsed) return null;
+  let node = selection.anchorNode;
+  if (!node || node.nodeType !== 3 || !RE.editor.contains(node) || node.parentElement.closest('a, pre, code')) return null;
+
+  // Typing can leave the word split over several text nodes, merge them
+  // into the first one
+  let offset = selection.anchorOffset;
+  while (node.previousSibling && node.previousSibling.nodeType === 3) {
+    node = node.previousSibling;
+    offset += node.length;
+  }
+  if (node !== selection.anchorNode) {
+    node.parentNode.normalize();
+    selection.collapse(node, offset);
+  }
+
+  const end = offset - skip;
+  const word = node.data.slice(0, Math.max(0, end)).match(/\S+$/);
+  const match = word && word[0].match(AUTOLINK_PATTERN);
+  if (!match) return null;
+  const href = /^www\./i.test(match[0]) ? 'https://' + match[0] : match[0];
+  if (!_isAllowedUrl(href, 'a', 'href')) return null;
+  return { node: node, start: end - word[0].length, word: word[0], url: match[0], href: href };
+}
+
+// Soft keyboards report keyCode 229 on keydown, so spaces are handled after input
+document.addEventListener('input', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target)) return;
+  if (e.inputType === 'insertText' && /\s$/.test(e.data || '')) {
+    _autolinkBeforeCaret(1);
+  }
+});
+
+// ==================== Input Rules ====================
+
+// Markdown-style shortcuts applied while typing. Rules run on input events,
+// since soft keyboards report keyCode 229 for most keys. Rule types:
+// - block: `pattern` matches all text before the caret in a paragraph or
+//   heading, which becomes a `tag` (h1-h6, p, blockquote, ul, ol or hr)
+// - wrap: `pattern` matches the text before a typed space; its first group
+//   (or the whole match) is wrapped in an inline `tag`
+// - text: `pattern` matches the text before the caret, which is replaced by
+//   `replacement` ($1 refers to the first group)
+
+// enabled: apply rules while typing; disabled: names of rules to skip
+let inputRuleOptions = {
+  enabled: false,
+  disabled: []
+};
+
+// Rules registered from Dart, checked before the built-in ones
+let customInputRules = [];
+
+// History position and caret right after the last conversion
+let inputRuleUndo = null;
+
+const INPUT_RULE_BLOCK_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'blockquote', 'ul', 'ol', 'hr'];
+
+const INPUT_RULES = [
+  { name: 'heading', type: 'block', pattern: /^(#{1,6})\s$/, tag: match => 'h' + match[1].length },
+  { name: 'blockquote', type: 'block', pattern: /^>\s$/, tag: 'blockquote' },
+  { name: 'bulletList', type: 'block', pattern: /^[-*+]\s$/, tag: 'ul' },
+  { name: 'orderedList', type: 'block', pattern: /^(\d{1,9})[.)]\s$/, tag: 'ol' },
+  { name: 'taskList', type: 'block', pattern: /^\[([ xX]?)\]\s$/, tag: 'task' },
+  // `---` is typed as an em dash and a hyphen when the dashes rule is on
+  { name: 'horizontalRule', type: 'block', pattern: /^(?:---|\u2014-|\*\*\*|___)$/, tag: 'hr' },
+  {
+    name: 'bold', type: 'wrap', tag: 'b',
+    pattern: /(?:(?<![*\w])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*|(?<![_\w])__([^_\s](?:[^_]*[^_\s])?)__)$/
+  },
+  {
+    name: 'italic', type: 'wrap', tag: 'i',
+    pattern: /(?:(?<![*\w])\*([^*\s](?:[^*]*[^*\s])?)\*|(?<![_\w])_([^_\s](?:[^_]*[^_\s])?)_)$/
+  },
+  { name: 'strikethrough', type: 'wrap', tag: 's', pattern: /(?<!~)~~([^~\s](?:[^~]*[^~\s])?)~~$/ },
+  { name: 'inlineCode', type: 'wrap', tag: 'code', pattern: /(?<!`)`([^`]+)`$/ },
+  {
+    name: 'smartQuotes', type: 'text', pattern: /(^|[\s\S])(["'])$/,
+    replacement: (_, before, quote) => {
+      const opening = !before || /[\s(\[{\u2013\u2014-]/.test(before);
+      return before + (quote === '"' ? (opening ? '\u201c' : '\u201d') : (opening ? '\u2018' : '\u2019'));
+    }
+  },
+  { name: 'dashes', type: 'text', pattern: /--$/, replacement: '\u2014' }
+];
+
+/**
+ * Configure input rules.
+ * @param {Object} options - {enabled, disabled}: disabled is a list of rule names
+ */
+RE.configureInputRules = function (options) {
+  inputRuleOptions = Object.assign({}, inputRuleOptions, options || {});
+};
+
+/**
+ * Turn a single built-in or custom rule on or off.
+ * @param {string} name - Rule name, e.g. 'smartQuotes'
+ * @param {boolean} enabled - New state
+ */
+RE.setInputRuleEnabled = function (name, enabled) {
+  const disabled = inputRuleOptions.disabled.filter(other => other !== name);
+  if (!enabled) disabled.push(name);
+  inputRuleOptions = Object.assign({}, inputRuleOptions, { disabled: disabled });
+};
+
+/**
+ * Add a rule, or replace the rule (including a built-in one) with the same
+ * name.
+ * @param {Object} rule - {name, type, pattern, caseSensitive, tag, replacement}
+ * @returns {boolean} False if the pattern or tag is invalid
+ */
+RE.registerInputRule = function (rule) {
+  if (!rule || !rule.name || !rule.pattern) return false;
+  const tag = String(rule.tag || '').toLowerCase();
+  if (rule.type === 'block' ? !INPUT_RULE_BLOCK_TAGS.includes(tag)
+    : rule.type === 'wrap' ? !/^[a-z][a-z0-9]*$/.test(tag) || SANITIZER_DROP_TAGS.includes(tag)
+      : rule.type !== 'text') {
+    console.log('Invalid input rule:', rule.name);
+    return false;
+  }
+
+  let pattern;
+  try {
+    const source = '(?:' + rule.pattern + ')$';
+    pattern = new RegExp(rule.type === 'block' ? '^' + source : source, rule.caseSensitive === false ? 'i' : '');
+  } catch (error) {
+    console.log('Invalid input rule pattern:', rule.pattern);
+    return false;
+  }
+
+  RE.unregisterInputRule(rule.name);
+  customInputRules.push({
+    name: String(rule.name),
+    type: rule.type,
+    pattern: pattern,
+    tag: tag,
+    replacement: String(rule.replacement || '')
+  });
+  return true;
+};
+
+/**
+ * Remove a custom rule. Built-in rules are turned off with
+ * RE.setInputRuleEnabled instead.
+ * @param {string} name - Rule name
+ * @returns {boolean} False if there is no such rule
+ */
+RE.unregisterInputRule = function (name) {
+  const count = customInputRules.length;
+  customInputRules = customInputRules.filter(rule => rule.name !== name);
+  return customInputRules.length !== count;
+};
+
+/**
+ * Caret and block around it, if rules may run there.
+ * @returns {Object|null} {selection, node, offset, block}
+ */
+function _inputRuleContext() {
+  const selection = document.getSelection();
+  if (selection.rangeCount === 0 || !selection.isCollapsed) return null;
+  const node = selection.anchorNode;
+  if (!node || node.nodeType !== 3 || !RE.editor.contains(node) || node.parentElement.closest('pre, code')) return null;
+
+  // Lists are not nested by typing, so blocks inside list items are skipped
+  const block = node.parentElement.closest(TASK_SOURCE_BLOCKS);
+  const ownBlock = block && block !== RE.editor && RE.editor.contains(block) && !block.closest('li');
+  return { selection: selection, node: node, offset: selection.anchorOffset, block: ownBlock ? block : null };
+}
+
+/**
+ * First enabled rule matching at the caret.
+ * @param {Object} context - From _inputRuleContext
+ * @param {boolean} spaceTyped - Whether the input ended with whitespace
+ * @returns {Object|null} {rule, match}
+ */
+function _matchInputRule(context, spaceTyped) {
+  const custom = customInputRules.map(rule => rule.name);
+  const rules = customInputRules
+    .concat(INPUT_RULES.filter(rule => !custom.includes(rule.name)))
+    .filter(rule => !inputRuleOptions.disabled.includes(rule.name));
+
+  let blockText = null;
+  for (const rule of rules) {
+    let match = null;
+    if (rule.type === 'block' && context.block) {
+      if (blockText === null) {
+        const head = document.createRange();
+        head.setStart(context.block, 0);
+        head.setEnd(context.node, context.offset);
+        blockText = head.toString();
+      }
+      match = blockText.match(rule.pattern);
+    } else if (rule.type === 'wrap' && spaceTyped) {
+      match = context.node.data.slice(0, context.offset - 1).match(rule.pattern);
+    } else if (rule.type === 'text') {
+      match = context.node.data.slice(0, context.offset).match(rule.pattern);
+    }
+    if (match) return { rule: rule, match: match };
+  }
+  return null;
+}
+
+/**
+ * Apply the first rule matching the text just typed, as one undo step.
+ * @param {string} typed - Inserted text
+ */
+function _applyInputRules(typed) {
+  // Rules rewrite typed text, which track changes would not record
+  if (!inputRuleOptions.enabled || trackOptions.enabled) return;
+  const spaceTyped = /\s$/.test(typed);
+  const context = _inputRuleContext();
+  if (!context || !_matchInputRule(context, spaceTyped)) return;
+
+  let converted = false;
+  _undoableChange(() => {
+    // Recorded typing may have merged text nodes, so match again
+    const current = _inputRuleContext();
+    const found = current && _matchInputRule(current, spaceTyped);
+    if (!found) return;
+    converted = _limitConversion(() => {
+      if (found.rule.type === 'block') {
+        _applyBlockRule(current, found.rule, found.match);
+      } else {
+        _applyTextRule(current, found.rule, found.match);
+      }
+    });
+  });
+  if (converted) _recordInputRuleUndo();
+  RE.enabledEditingItems();
+}
+
+/**
+ * Let Backspace undo the conversion just made.
+ */
+function _recordInputRuleUndo() {
+  const history = _summernoteHistory();
+  const range = _editorRange();
+  inputRuleUndo = history && range ? { stackOffset: history.stackOffset, caret: _rangeOffsets(range).start } : null;
+}
+
+function _applyBlockRule(context, rule, match) {
+  const block = context.block;
+  const tag = typeof rule.tag === 'function' ? rule.tag(match) : rule.tag;
+  const head = document.createRange();
+  head.setStart(block, 0);
+  head.setEnd(context.node, context.offset);
+  head.deleteContents();
+
+  let target;
+  if (tag === 'task') {
+    target = _wrapInTaskList([block])[0];
+    target.setAttribute('data-checked', /x/i.test(match[1]) ? 'true' : 'false');
+  } else if (tag === 'ul' || tag === 'ol') {
+    // Continue a list of the same kind right before the block
+    let list = block.previousElementSibling;
+    if (!list || list.nodeName.toLowerCase() !== tag || list.classList.contains('task-list')) {
+      list = document.createElement(tag);
+      const start = parseInt(match[1], 10);
+      if (tag === 'ol' && start > 1) list.setAttribute('start', start);
+      block.before(list);
+    }
+    target = document.createElement('li');
+    while (block.firstChild) target.appendChild(block.firstChild);
+    list.appendChild(target);
+    block.remove();
+  } else {
+    target = document.createElement(tag === 'hr' ? 'p' : tag);
+    while (block.firstChild) target.appendChild(block.firstChild);
+    block.replaceWith(target);
+    if (tag === 'hr') target.before(document.createElement('hr'));
+  }
+
+  if (!target.textContent && !target.querySelector('br, img, video, audio, iframe')) {
+    target.innerHTML = '<br>';
+  }
+  _placeCaret(target);
+}
+
+function _applyTextRule(context, rule, match) {
+  const node = context.node;
+  const caret = document.createRange();
+
+  if (rule.type === 'wrap') {
+    // The typed space and the rest of the text stay outside the element
+    const rest = node.splitText(context.offset - 1);
+    const element = document.createElement(rule.tag);
+    element.textContent = match.slice(1).find(group => group !== undefined) || match[0];
+    node.data = node.data.slice(0, match.index);
+    node.after(element);
+    caret.setStart(rest, 1);
+  } else {
+    const before = node.data.slice(0, context.offset).replace(rule.pattern, rule.replacement);
+    node.data = before + node.data.slice(context.offset);
+    caret.setStart(node, before.length);
+  }
+  context.selection.removeAllRanges();
+  context.selection.addRange(caret);
+}
+
+/**
+ * Backspace right after a conversion restores the typed text.
+ * @returns {boolean} True if a conversion was undone
+ */
+function _undoInputRule() {
+  const undo = inputRuleUndo;
+  inputRuleUndo = null;
+  // Backspace is a tracked deletion while track changes is on
+  if (trackOptions.enabled) return false;
+  const history = _summernoteHistory();
+  if (!undo || !history || history.stackOffset !== undo.stackOffset ||
+    RE.editor.innerHTML !== history.stack[history.stackOffset].contents) return false;
+  const range = _editorRange();
+  if (!range || !range.collapsed || _rangeOffsets(range).start !== undo.caret) return false;
+  RE.undo();
+  return true;
+}
+
+document.addEventListener('input', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target)) return;
+  inputRuleUndo = null;
+  if (e.inputType === 'insertText' && e.data) {
+    _applyInputRules(e.data);
+  }
+});
+
+// Runs before the task list handler, which also handles Backspace
+document.addEventListener('beforeinput', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target)) return;
+  if (e.inputType === 'deleteContentBackward' && _undoInputRule()) e.preventDefault();
+}, true);
+
+// ==================== Triggers ====================
+
+// Characters such as `@`, `#` or `/` that open a picker for the word typed
+// after them. While the caret is in a trigger word, Dart receives onTrigger
+// {id, trigger, query, rect}; once it leaves, onTriggerHide {id}. The picker
+// result replaces the word through RE.completeTrigger.
+
+const triggers = new Map(); // id -> {id, trigger, pattern, minQueryLength, onQuery, onHide}
+
+// Trigger word at the caret: {id, query, text, start, end, rect}, with
+// start and end as text offsets
+let activeTrigger = null;
+
+/**
+ * Register a trigger, or replace the one with the same id.
+ * JavaScript callers may pass onQuery(event) and onHide(event) functions,
+ * which are called instead of the Dart handlers.
+ * @param {Object} options - {id, trigger, pattern, minQueryLength}: pattern is
+ *   a regular expression the whole query must match (default: no whitespace)
+ * @returns {boolean} False if the id, trigger or pattern is invalid
+ */
+RE.registerTrigger = function (options) {
+  if (!options || !options.id || !options.trigger) return false;
+  let pattern;
+  try {
+    pattern = new RegExp('^(?:' + (options.pattern || '\\S*') + ')$');
+  } catch (error) {
+    console.log('Invalid trigger pattern:', options.pattern);
+    return false;
+  }
+
+  const id = String(options.id);
+  if (activeTrigger && activeTrigger.id === id) _setActiveTrigger(null);
+  triggers.set(id, {
+    id: id,
+    trigger: String(options.trigger),
+    pattern: pattern,
+    minQueryLength: Math.max(0, Number(options.minQueryLength) || 0),
+    onQuery: typeof options.onQuery === 'function' ? options.onQuery : null,
+    onHide: typeof options.onHide === 'function' ? options.onHide : null
+  });
+  return true;
+};
+
+/**
+ * Remove a trigger.
+ * @param {string} id - Trigger id
+ * @returns {boolean} False if there is no such trigger
+ */
+RE.unregisterTrigger = function (id) {
+  if (activeTrigger && activeTrigger.id === id) _setActiveTrigger(null);
+  return triggers.delete(id);
+};
+
+/**
+ * Replace the active trigger word (the trigger and its query) with HTML,
+ * as one undo step. The caret is placed after the inserted content.
+ * @param {string} id - Trigger id
+ * @param {string} html - Replacement, sanitized before insertion
+ * @returns {boolean} False if the trigger is not active or the word changed
+ */
+RE.completeTrigger = function (id, html) {
+  const active = activeTrigger;
+  if (!RE.editor || !active || active.id !== id) return false;
+  const range = _offsetRange(active.start, active.end);
+  if (_triggerText(range.cloneContents()) !== active.text) return false;
+  const limited = _applyLimit(range, range.createContextualFragment(RE.sanitizeHtml(html)), 'insert');
+  if (!limited.fragment) return false;
+
+  _undoableChange(() => {
+    const fragment = limited.fragment;
+    const last = fragment.lastChild;
+    range.deleteContents();
+    range.insertNode(fragment);
+    const caret = document.createRange();
+    if (last) {
+      caret.setStartAfter(last);
+    } else {
+      caret.setStart(range.startContainer, range.startOffset);
+    }
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(caret);
+    lastEditorRange = caret.cloneRange();
+  });
+  _setActiveTrigger(null);
+  return true;
+};
+
+/**
+ * Text of a node as counted by text offsets (images and line breaks are
+ * one character each). Tokens such as mentions are masked, so they never
+ * start a trigger word.
+ */
+function _triggerText(node) {
+  if (node.nodeType === 3) return node.nodeValue;
+  if (['IMG', 'BR', 'INPUT'].includes(node.nodeName)) return '\ufffc';
+  if (node.nodeType === 1 && node.getAttribute('contenteditable') === 'false') {
+    return '\ufffc'.repeat(_contentLength(node));
+  }
+  return Array.from(node.childNodes).map(_triggerText).join('');
+}
+
+/**
+ * Trigger word ending at a caret. A trigger only counts at the start of a
+ * block or after whitespace or an opening bracket or quote, so e-mail
+ * addresses do not open the mention picker.
+ * @returns {Object|null} Active trigger state
+ */
+function _findTrigger(range) {
+  const container = range.startContainer;
+  const element = container.nodeType === 1 ? container : container.parentElement;
+  if (element.closest('pre, code')) return null;
+  const block = _isMdBlock(container) ? container : _findBlock(container);
+  const head = document.createRange();
+  head.setStart(block, 0);
+  head.setEnd(container, range.startOffset);
+  const text = _triggerText(head.cloneContents());
+
+  let best = null;
+  triggers.forEach(trigger => {
+    const index = text.lastIndexOf(trigger.trigger);
+    if (index < 0 || (best && index <= best.index)) return;
+    if (index > 0 && !/[\s([{"'\ufffc]/.test(text[index - 1])) return;
+    const query = text.slice(index + trigger.trigger.length);
+    if (query.length < trigger.minQueryLength || !trigger.pattern.test(query)) return;
+    best = { index: index, trigger: trigger, query: query };
+  });
+  if (!best) return null;
+
+  const end = _textOffset(RE.editor, container, range.startOffset);
+  const length = text.length - best.index;
+  return {
+    id: best.trigger.id,
+    query: best.query,
+    text: text.slice(best.index),
+    start: end - length,
+    end: end,
+    rect: _caretRect(range)
+  };
+}
+
+/**
+ * Update the trigger word at the caret and notify its listeners.
+ */
+function _checkTriggers() {
+  const selection = document.getSelection();
+  // Keep the trigger while the selection is outside, e.g. in the picker
+  if (!RE.editor || triggers.size === 0 || selection.rangeCount === 0 ||
+    !RE.editor.contains(selection.anchorNode)) return;
+  _setActiveTrigger(selection.isCollapsed ? _findTrigger(selection.getRangeAt(0)) : null);
+}
+
+function _setActiveTrigger(next) {
+  const previous = activeTrigger;
+  activeTrigger = next;
+  if (previous && (!next || next.id !== previous.id)) {
+    _sendTriggerEvent(previous, false);
+  }
+  if (next && (!previous || next.id !== previous.id || next.query !== previous.query ||
+    next.start !== previous.start)) {
+    _sendTriggerEvent(next, true);
+  }
+}
+
+function _sendTriggerEvent(active, visible) {
+  const trigger = triggers.get(active.id);
+  if (!trigger) return;
+  const event = visible
+    ? { id: trigger.id, trigger: trigger.trigger, query: active.query, rect: active.rect }
+    : { id: trigger.id };
+  const listener = visible ? trigger.onQuery : trigger.onHide;
+  if (listener) {
+    listener(event);
+  } else if (window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler(visible ? 'onTrigger' : 'onTriggerHide', event);
+  }
+}
+
+document.addEventListener('input', function (e) {
+  if (RE.editor && RE.editor.contains(e.target)) _checkTriggers();
+});
+
+// Moving the caret out of the trigger word closes the picker
+document.addEventListener('selectionchange', function () {
+  if (activeTrigger) _checkTriggers();
+});
+
+// ==================== Mentions ====================
+
+// Mentions are <span class="mention" data-mention-id data-mention-trigger>
+// tokens whose text is the trigger and label (e.g. `@john_doe`). In the
+// editor they are contenteditable="false", which the sanitizer drops again
+// on export. The caret is kept out of them, arrow keys jump over them and
+// Backspace or Delete removes them whole.
+
+const MENTION_SELECTOR = 'span.mention[data-mention-id]';
+
+let mentionObserver = null;
+
+/**
+ * Get every mention in the document, in order.
+ * @returns {Array} [{id, trigger, label, start, end}], with text offsets
+ */
+RE.getMentions = function () {
+  if (!RE.editor) return [];
+  return Array.from(RE.editor.querySelectorAll(MENTION_SELECTOR)).map(mention => {
+    const trigger = mention.getAttribute('data-mention-trigger') || '@';
+    const text = mention.textContent;
+    const start = _textOffset(RE.editor, mention, 0);
+    return {
+      id: mention.getAttribute('data-mention-id'),
+      trigger: trigger,
+      label: text.startsWith(trigger) ? text.slice(trigger.length) : text,
+      start: start,
+      end: start + _contentLength(mention)
+    };
+  });
+};
+
+function _mentionAt(node) {
+  const element = node && (node.nodeType === 1 ? node : node.parentElement);
+  const mention = element && element.closest(MENTION_SELECTOR);
+  return mention && RE.editor.contains(mention) ? mention : null;
+}
+
+/**
+ * Mention right before (or after) a collapsed range.
+ */
+function _adjacentMention(range, backward) {
+  const node = range.startContainer;
+  let sibling;
+  if (node.nodeType === 3) {
+    if (backward ? range.startOffset > 0 : range.startOffset < node.nodeValue.length) return null;
+    sibling = backward ? node.previousSibling : node.nextSibling;
+  } else {
+    sibling = node.childNodes[backward ? range.startOffset - 1 : range.startOffset];
+  }
+  // Editing can leave empty text nodes between the caret and the token
+  while (sibling && sibling.nodeType === 3 && sibling.nodeValue === '') {
+    sibling = backward ? sibling.previousSibling : sibling.nextSibling;
+  }
+  return sibling && sibling.nodeType === 1 && sibling.matches(MENTION_SELECTOR) ? sibling : null;
+}
+
+function _placeCaretBeside(mention, after) {
+  const range = document.createRange();
+  const next = after ? mention.nextSibling : mention.previousSibling;
+  if (next && next.nodeType === 3) {
+    range.setStart(next, after ? 0 : next.nodeValue.length);
+  } else if (after) {
+    range.setStartAfter(mention);
+  } else {
+    range.setStartBefore(mention);
+  }
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  lastEditorRange = range.cloneRange();
+}
+
+/**
+ * Remove the mention before (or after) the caret, as one undo step.
+ * @param {boolean} backward - True for Backspace, false for Delete
+ * @returns {boolean} True if a mention was removed
+ */
+function _deleteMention(backward) {
+  const selection = document.getSelection();
+  if (!RE.editor || selection.rangeCount === 0 || !selection.isCollapsed) return false;
+  const mention = _adjacentMention(selection.getRangeAt(0), backward);
+  if (!mention) return false;
+
+  const range = document.createRange();
+  range.selectNode(mention);
+  if (_isTracking(range)) {
+    _undoableChange(() => _trackDelete(range, !backward));
+    return true;
+  }
+
+  _undoableChange(() => {
+    const caret = document.createRange();
+    caret.setStartBefore(mention);
+    mention.remove();
+    selection.removeAllRanges();
+    selection.addRange(caret);
+  });
+  return true;
+}
+
+/**
+ * Move the caret over the mention next to it.
+ * @param {boolean} backward - True for the left arrow
+ * @returns {boolean} True if the caret was moved
+ */
+function _skipMention(backward) {
+  const selection = document.getSelection();
+  if (!RE.editor || selection.rangeCount === 0 || !selection.isCollapsed) return false;
+  const mention = _adjacentMention(selection.getRangeAt(0), backward);
+  if (!mention) return false;
+  _placeCaretBeside(mention, !backward);
+  return true;
+}
+
+/**
+ * Make mentions in a subtree uneditable.
+ */
+function _lockMentions(root) {
+  if (root.nodeType !== 1) return;
+  if (root.matches(MENTION_SELECTOR)) root.setAttribute('contenteditable', 'false');
+  root.querySelectorAll(MENTION_SELECTOR).forEach(mention => mention.setAttribute('contenteditable', 'false'));
+}
+
+/**
+ * Lock mentions as they are inserted, loaded or restored by undo.
+ */
+function _startMentionTracking() {
+  _lockMentions(RE.editor);
+  mentionObserver = new MutationObserver(records => {
+    records.forEach(record => record.addedNodes.forEach(_lockMentions));
+  });
+  mentionObserver.observe(RE.editor, { childList: true, subtree: true });
+}
+
+// Taps can still put the caret inside a token
+document.addEventListener('selectionchange', function () {
+  const selection = document.getSelection();
+  if (!RE.editor || selection.rangeCount === 0 || !selection.isCollapsed) return;
+  const mention = _mentionAt(selection.anchorNode);
+  if (mention) _placeCaretBeside(mention, true);
+});
+
+// Soft keyboards report keyCode 229, so deletions also arrive here
+document.addEventListener('beforeinput', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target) || e.defaultPrevented) return;
+  if ((e.inputType === 'deleteContentBackward' && _deleteMention(true)) ||
+    (e.inputType === 'deleteContentForward' && _deleteMention(false))) {
+    e.preventDefault();
+  }
+});
+
+// ==================== Emoji ====================
+
+// Emoji set pushed from Dart through RE.setEmojiSet. It drives three things:
+// - `:shortcode` autocomplete, a trigger whose results Dart fills from its
+//   EmojiSource and completes through RE.completeEmoji
+// - conversion of a typed `:shortcode:` (Backspace right after restores it)
+// - mapping of pasted Unicode emoji onto image emoji with the same character
+// Emoji images are <img class="emoji" data-emoji-id>; RE.getHtml and
+// RE.getText can write them back as shortcodes or Unicode.
+
+const EMOJI_TRIGGER_ID = 'emoji';
+
+// autocomplete: register the `:` trigger; minQueryLength: characters typed
+// before it opens; convertShortcodes: replace a completed `:shortcode:`;
+// mapUnicode: replace pasted Unicode emoji that have an image in the set
+let emojiOptions = {
+  autocomplete: false,
+  minQueryLength: 2,
+  convertShortcodes: true,
+  mapUnicode: true
+};
+
+const emojiById = new Map(); // id -> {id, shortcodes, unicode, imageUrl, alt}
+const emojiByShortcode = new Map(); // lowercase shortcode without colons -> emoji
+const emojiByUnicode = new Map(); // character, with and without U+FE0F -> image emoji
+let emojiUnicodePattern = null;
+
+/**
+ * Configure emoji autocomplete and conversion.
+ * @param {Object} options - {autocomplete, minQueryLength, convertShortcodes, mapUnicode}
+ */
+RE.configureEmoji = function (options) {
+  emojiOptions = Object.assign({}, emojiOptions, options || {});
+  if (emojiOptions.autocomplete) {
+    RE.registerTrigger({
+      id: EMOJI_TRIGGER_ID,
+      trigger: ':',
+      pattern: '[\\w+-]*',
+      minQueryLength: emojiOptions.minQueryLength
+    });
+  } else {
+    RE.unregisterTrigger(EMOJI_TRIGGER_ID);
+  }
+};
+
+/**
+ * Replace the emoji set used for shortcodes, Unicode mapping and export.
+ * @param {Array} emojis - Emoji as sent by Dart: {id, name, shortcodes,
+ *   unicode, imageUrl, metadata}; shortcodes is a string such as
+ *   ':smile: :grin:' or a list
+ */
+RE.setEmojiSet = function (emojis) {
+  emojiById.clear();
+  emojiByShortcode.clear();
+  emojiByUnicode.clear();
+  (emojis || []).forEach(data => {
+    if (!data || !data.id) return;
+    const emoji = _emojiEntry(data);
+    emojiById.set(emoji.id, emoji);
+    emoji.shortcodes.forEach(code => {
+      if (!emojiByShortcode.has(code)) emojiByShortcode.set(code, emoji);
+    });
+    if (emoji.unicode && emoji.imageUrl) {
+      [emoji.unicode, emoji.unicode.replace(/\ufe0f/g, '')].forEach(key => {
+        if (key && !emojiByUnicode.has(key)) emojiByUnicode.set(key, emoji);
+      });
+    }
+  });
+
+  // Longest first, so sequences win over the emoji they are made of
+  const keys = Array.from(emojiByUnicode.keys()).sort((a, b) => b.length - a.length);
+  emojiUnicodePattern = keys.length > 0
+    ? new RegExp(keys.map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g')
+    : null;
+};
+
+/**
+ * Replace the active `:shortcode` word with an emoji, as one undo step.
+ * @param {Object} emojiData - Emoji as sent by Dart
+ * @returns {boolean} False if emoji autocomplete is not active
+ */
+RE.completeEmoji = function (emojiData) {
+  return RE.completeTrigger(EMOJI_TRIGGER_ID, _emojiHtml(emojiData));
+};
+
+function _emojiEntry(data) {
+  const shortcodes = Array.isArray(data.shortcodes)
+    ? data.shortcodes
+    : String(data.shortcodes || '').split(/[\s,]+/);
+  return {
+    id: String(data.id),
+    shortcodes: shortcodes
+      .map(code => String(code).replace(/^:|:$/g, '').toLowerCase())
+      .filter(code => /^[\w+-]+$/.test(code)),
+    unicode: data.unicode || '',
+    imageUrl: data.imageUrl || '',
+    alt: data.alt || (data.metadata && data.metadata.alt) || data.name || String(data.shortcodes || '') || 'emoji'
+  };
+}
+
+/**
+ * Markup for an emoji: an image for custom emoji, the character otherwise.
+ * @param {Object} emojiData - Emoji as sent by Dart, or an emoji set entry
+ */
+function _emojiHtml(emojiData) {
+  const emoji = _emojiEntry(emojiData);
+  if (!emoji.imageUrl && emoji.unicode) return _escapeHtml(emoji.unicode);
+  return '<img src="' + _escapeHtml(emoji.imageUrl) + '" class="emoji" alt="' + _escapeHtml(emoji.alt) +
+    '" data-emoji-id="' + _escapeHtml(emoji.id) + '" />';
+}
+
+/**
+ * Text written in place of an emoji image on export.
+ * @param {Element} image - img.emoji
+ * @param {string} format - 'shortcode' or 'unicode'
+ */
+function _emojiText(image, format) {
+  const emoji = emojiById.get(image.getAttribute('data-emoji-id'));
+  const shortcode = emoji && emoji.shortcodes.length > 0 ? ':' + emoji.shortcodes[0] + ':' : '';
+  if (format === 'unicode' && emoji && emoji.unicode) return emoji.unicode;
+  return shortcode || image.getAttribute('alt') || '';
+}
+
+/**
+ * Export filter replacing emoji images with text.
+ * @param {Object} options - {emoji: 'image' | 'shortcode' | 'unicode'}
+ * @returns {Function|null} Null when images are kept
+ */
+function _emojiExportFilter(options) {
+  const format = options && options.emoji;
+  if (format !== 'shortcode' && format !== 'unicode') return null;
+  return root => {
+    root.querySelectorAll('img.emoji').forEach(image => {
+      image.replaceWith(document.createTextNode(_emojiText(image, format)));
+    });
+  };
+}
+
+function _hasUnicodeEmoji(text) {
+  if (!emojiOptions.mapUnicode || !emojiUnicodePattern || !text) return false;
+  emojiUnicodePattern.lastIndex = 0;
+  return emojiUnicodePattern.test(text);
+}
+
+/**
+ * Replace Unicode emoji that have an image in the set, outside code.
+ * @param {string} html - Cleaned paste fragment
+ * @returns {string} Fragment with emoji images
+ */
+function _mapUnicodeEmoji(html) {
+  if (!emojiOptions.mapUnicode || !emojiUnicodePattern) return html;
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!node.parentElement?.closest('pre, code') && _hasUnicodeEmoji(node.nodeValue)) nodes.push(node);
+  }
+  if (nodes.length === 0) return html;
+
+  nodes.forEach(node => {
+    const replacement = document.createElement('template');
+    replacement.innerHTML = _escapeHtml(node.nodeValue)
+      .replace(emojiUnicodePattern, character => _emojiHtml(emojiByUnicode.get(character)));
+    node.replaceWith(replacement.content);
+  });
+  return template.innerHTML;
+}
+
+/**
+ * Replace a `:shortcode:` just typed before the caret, as one undo step.
+ */
+function _convertShortcode() {
+  if (!emojiOptions.convertShortcodes || emojiByShortcode.size === 0 || trackOptions.enabled) return;
+  const pattern = /(^|[\s([{"'])(:([\w+-]+):)$/;
+  const find = context => {
+    const match = context && context.node.data.slice(0, context.offset).match(pattern);
+    const emoji = match && emojiByShortcode.get(match[3].toLowerCase());
+    return emoji ? { context: context, match: match, emoji: emoji } : null;
+  };
+  if (!find(_inputRuleContext())) return;
+
+  let converted = false;
+  _undoableChange(() => {
+    // Recorded typing may have merged text nodes, so match again
+    const found = find(_inputRuleContext());
+    if (!found) return;
+    const { context, match, emoji } = found;
+    converted = _limitConversion(() => {
+      const range = document.createRange();
+      range.setStart(context.node, context.offset - match[2].length);
+      range.setEnd(context.node, context.offset);
+      const fragment = range.createContextualFragment(RE.sanitizeHtml(_emojiHtml(emoji)));
+      const last = fragment.lastChild;
+      range.deleteContents();
+      range.insertNode(fragment);
+      const caret = document.createRange();
+      caret.setStartAfter(last);
+      context.selection.removeAllRanges();
+      context.selection.addRange(caret);
+    });
+  });
+  if (converted) _recordInputRuleUndo();
+  RE.enabledEditingItems();
+}
+
+// Runs after the trigger listener, which closes the picker on the final `:`
+document.addEventListener('input', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target)) return;
+  if (e.inputType === 'insertText' && e.data && e.data.endsWith(':')) _convertShortcode();
+});
+
+// ==================== Limits and Statistics ====================
+
+// maxLength counts one of three units:
+// - characters: visible characters including spaces, with an emoji image
+//   as one character. Line breaks are not counted.
+// - words: runs of non-whitespace
+// - markup: characters of the HTML returned by RE.getHtml
+// Typing, paste and inserts (including trigger completions and find and
+// replace) that would go over it are rejected or cut (mode 'truncate') and
+// reported to Dart as onLimitExceeded {source, count, maxLength, unit,
+// truncated}. Input rules and emoji shortcodes are not converted when the
+// result would not fit. RE.setHtml never cuts content.
+
+// maxLength: 0 for no limit; unit: 'characters' | 'words' | 'markup';
+// mode: 'reject' | 'truncate'
+let limitOptions = {
+  maxLength: 0,
+  unit: 'characters',
+  mode: 'reject'
+};
+
+// Content before an input that is only checked once it happened (IME
+// composition, drag and drop, spell checker replacements)
+let limitSnapshot = null;
+
+// enabled: send onStats at most once per `interval` milliseconds
+let statsOptions = {
+  enabled: false,
+  interval: 500
+};
+let statsTimeout = null;
+let lastStatsJson = '';
+
+const LIMIT_BLOCK_TAGS = ['P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE',
+  'UL', 'OL', 'TABLE', 'TR', 'TD', 'TH', 'FIGURE', 'FIGCAPTION'];
+const LIMIT_LEAF_TAGS = ['IMG', 'BR', 'INPUT', 'HR', 'VIDEO', 'AUDIO', 'IFRAME'];
+const STATS_PARAGRAPH_SELECTOR = 'p, div, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, figcaption';
+const WORDS_PER_MINUTE = 200;
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter() : null;
+
+/**
+ * Configure the length limit.
+ * @param {Object} options - {maxLength, unit, mode}
+ */
+RE.configureLimit = function (options) {
+  limitOptions = Object.assign({}, limitOptions, options || {});
+  limitOptions.maxLength = Math.max(0, Number(limitOptions.maxLength) || 0);
+};
+
+/**
+ * Configure the throttled onStats updates.
+ * @param {Object} options - {enabled, interval}
+ */
+RE.configureStats = function (options) {
+  statsOptions = Object.assign({}, statsOptions, options || {});
+  lastStatsJson = '';
+  _scheduleStats();
+};
+
+/**
+ * Count the document.
+ * @returns {Object} {characters, words, paragraphs, images, mentions,
+ *   readingTime}: readingTime in seconds
+ */
+RE.getStats = function () {
+  if (!RE.editor) {
+    return { characters: 0, words: 0, paragraphs: 0, images: 0, mentions: 0, readingTime: 0 };
+  }
+  const text = _limitText(RE.editor);
+  const words = _countText(text, 'words');
+  const paragraphs = Array.from(RE.editor.querySelectorAll(STATS_PARAGRAPH_SELECTOR)).filter(block =>
+    !block.querySelector(STATS_PARAGRAPH_SELECTOR) && (_limitText(block).trim() || block.querySelector('img')));
+  const images = Array.from(RE.editor.querySelectorAll('img:not(.emoji)'))
+    .filter(image => !image.closest('.upload-placeholder'));
+  return {
+    characters: _countText(text, 'characters'),
+    words: words,
+    paragraphs: paragraphs.length,
+    images: images.length,
+    mentions: RE.editor.querySelectorAll(MENTION_SELECTOR).length,
+    readingTime: Math.ceil(words * 60 / WORDS_PER_MINUTE)
+  };
+};
+
+/**
+ * Text as counted by the limit: emoji images are U+FFFC, other media are
+ * left out and line breaks and block ends are newlines.
+ */
+function _limitText(node) {
+  if (node.nodeType === 3) return node.nodeValue;
+  if (node.nodeName === 'BR') return '\n';
+  if (node.nodeName === 'IMG') return node.classList.contains('emoji') ? '\ufffc' : '';
+  if (node.nodeType === 1 && node.classList.contains('upload-placeholder')) return '';
+  const text = Array.from(node.childNodes).map(_limitText).join('');
+  return LIMIT_BLOCK_TAGS.includes(node.nodeName) ? text + '\n' : text;
+}
+
+/**
+ * Count text from _limitText. Characters are grapheme clusters, so a
+ * Unicode emoji is one character.
+ * @param {string} unit - 'characters' or 'words'
+ */
+function _countText(text, unit) {
+  if (unit === 'words') return (text.match(/\S+/g) || []).length;
+  return _graphemes(text.replace(/\n/g, '')).length;
+}
+
+function _graphemes(text) {
+  return graphemeSegmenter
+    ? Array.from(graphemeSegmenter.segment(text), segment => segment.segment)
+    : Array.from(text);
+}
+
+/**
+ * Current document size in the limit unit.
+ */
+function _limitCount() {
+  if (limitOptions.unit === 'markup') return RE.getHtml().length;
+  return _countText(_limitText(RE.editor), limitOptions.unit);
+}
+
+/**
+ * Function measuring the document size if a fragment replaced a range.
+ */
+function _limitMeasure(range) {
+  if (limitOptions.unit === 'markup') {
+    const selected = document.createElement('div');
+    selected.appendChild(range.cloneContents());
+    const base = RE.getHtml().length - selected.innerHTML.length;
+    return fragment => {
+      const inserted = document.createElement('div');
+      inserted.appendChild(fragment.cloneNode(true));
+      return base + inserted.innerHTML.length;
+    };
+  }
+
+  const head = document.createRange();
+  head.setStart(RE.editor, 0);
+  head.setEnd(range.startContainer, range.startOffset);
+  const tail = document.createRange();
+  tail.setStart(range.endContainer, range.endOffset);
+  tail.setEnd(RE.editor, RE.editor.childNodes.length);
+
+  // The blocks around the start are cut in two, so they do not end there
+  let open = 0;
+  for (let node = range.startContainer; node && node !== RE.editor; node = node.parentNode) {
+    if (LIMIT_BLOCK_TAGS.includes(node.nodeName)) open++;
+  }
+  const headText = _limitText(head.cloneContents());
+  const before = headText.slice(0, headText.length - open);
+  const after = _limitText(tail.cloneContents());
+  return fragment => _countText(before + _limitText(fragment) + after, limitOptions.unit);
+}
+
+/**
+ * Number of cut points in a fragment: text graphemes and media elements.
+ */
+function _fragmentLength(fragment) {
+  const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  let length = 0;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === 3) {
+      length += _graphemes(node.nodeValue).length;
+    } else if (LIMIT_LEAF_TAGS.includes(node.nodeName)) {
+      length++;
+    }
+  }
+  return length;
+}
+
+/**
+ * Keep the first `keep` graphemes and media elements of a fragment.
+ * @returns {DocumentFragment} The same fragment
+ */
+function _truncateFragment(fragment, keep) {
+  const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  const removed = [];
+  let remaining = keep;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === 3) {
+      const graphemes = _graphemes(node.nodeValue);
+      if (remaining <= 0) {
+        removed.push(node);
+      } else if (graphemes.length > remaining) {
+        node.nodeValue = graphemes.slice(0, remaining).join('');
+      }
+      remaining -= graphemes.length;
+    } else if (LIMIT_LEAF_TAGS.includes(node.nodeName)) {
+      if (remaining <= 0) removed.push(node);
+      remaining--;
+    }
+  }
+  removed.forEach(node => node.remove());
+  return fragment;
+}
+
+/**
+ * Check content about to replace a range against the limit.
+ * @param {Range} range - Where the content goes
+ * @param {DocumentFragment} fragment - Content to insert
+ * @param {string} source - 'typing', 'paste' or 'insert'
+ * @returns {Object} {exceeded, fragment}: fragment is cut in truncate mode,
+ *   and null when the content is rejected
+ */
+function _applyLimit(range, fragment, source) {
+  const maxLength = limitOptions.maxLength;
+  if (!maxLength || !RE.editor || !range || !RE.editor.contains(range.startContainer)) {
+    return { exceeded: false, fragment: fragment };
+  }
+  const measure = _limitMeasure(range);
+  if (measure(fragment) <= maxLength) return { exceeded: false, fragment: fragment };
+
+  let fitted = null;
+  if (limitOptions.mode === 'truncate') {
+    // Longest prefix that fits
+    let low = 0;
+    let high = _fragmentLength(fragment) - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (measure(_truncateFragment(fragment.cloneNode(true), middle)) <= maxLength) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    if (low > 0) fitted = _truncateFragment(fragment, low);
+  }
+  _reportLimit(source, fitted !== null);
+  return { exceeded: true, fragment: fitted };
+}
+
+/**
+ * Apply the limit to HTML inserted at the caret.
+ * @returns {string|null} HTML to insert, or null if rejected
+ */
+function _limitHtml(html, source) {
+  if (!limitOptions.maxLength) return html;
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const result = _applyLimit(_editorRange(), template.content, source);
+  if (!result.exceeded) return html;
+  if (!result.fragment) return null;
+  const container = document.createElement('div');
+  container.appendChild(result.fragment);
+  return container.innerHTML;
+}
+
+/**
+ * Apply the limit to plain text replacing a range.
+ * @returns {string|null} Text to insert, or null if rejected
+ */
+function _limitPlainText(range, text, source) {
+  if (!limitOptions.maxLength) return text;
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(document.createTextNode(text));
+  const result = _applyLimit(range, fragment, source);
+  if (!result.exceeded) return text;
+  return result.fragment ? result.fragment.textContent : null;
+}
+
+function _reportLimit(source, truncated) {
+  if (!window.flutter_inappwebview) return;
+  window.flutter_inappwebview.callHandler('onLimitExceeded', {
+    source: source,
+    count: _limitCount(),
+    maxLength: limitOptions.maxLength,
+    unit: limitOptions.unit,
+    truncated: truncated
+  });
+}
+
+function _limitState() {
+  const range = _editorRange();
+  const history = _summernoteHistory();
+  const blocks = Array.from(RE.editor.childNodes);
+  return {
+    step: history ? history.stackOffset : -1,
+    blocks: blocks,
+    copies: blocks.map(block => block.cloneNode(true)),
+    count: _limitCount(),
+    offsets: range ? _rangeOffsets(range) : null
+  };
+}
+
+/**
+ * Restore the content of a _limitState if it is now over the limit and
+ * larger than it was. Only the changed blocks are restored, into their
+ * original nodes, so block ids of the change stream survive; an undo step
+ * recorded for the rejected input is dropped.
+ * @returns {boolean} True if the content was restored
+ */
+function _restoreOverLimit(state) {
+  const count = _limitCount();
+  if (count <= limitOptions.maxLength || count <= state.count) return false;
+
+  const current = Array.from(RE.editor.childNodes);
+  const unchanged = (node, index) => node === state.blocks[index] && node.isEqualNode(state.copies[index]);
+  let head = 0;
+  while (head < current.length && head < state.blocks.length && unchanged(current[head], head)) head++;
+  let tail = 0;
+  while (tail < current.length - head && tail < state.blocks.length - head &&
+    unchanged(current[current.length - 1 - tail], state.blocks.length - 1 - tail)) tail++;
+
+  const next = current[current.length - tail] || null;
+  current.slice(head, current.length - tail).forEach(node => node.remove());
+  for (let i = head; i < state.blocks.length - tail; i++) {
+    const block = state.blocks[i];
+    const copy = state.copies[i];
+    if (block.nodeType === 1) {
+      Array.from(block.attributes).forEach(attribute => block.removeAttribute(attribute.name));
+      Array.from(copy.attributes).forEach(attribute => block.setAttribute(attribute.name, attribute.value));
+      block.replaceChildren(...copy.childNodes);
+    } else {
+      block.nodeValue = copy.nodeValue;
+    }
+    RE.editor.insertBefore(block, next);
+  }
+
+  const history = _summernoteHistory();
+  if (history && state.step >= 0 && history.stackOffset > state.step) {
+    history.stack.splice(state.step + 1);
+    history.stackOffset = state.step;
+  }
+  if (state.offsets) {
+    const range = _offsetRange(state.offsets.start, state.offsets.end);
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    lastEditorRange = range.cloneRange();
+  }
+  _reportLimit('typing', false);
+  return true;
+}
+
+/**
+ * Convert content already in the editor (input rules, emoji shortcodes),
+ * giving the conversion up if it takes the document over the limit.
+ * @param {Function} convert - Changes the DOM
+ * @returns {boolean} False if the conversion was given up
+ */
+function _limitConversion(convert) {
+  if (!limitOptions.maxLength) {
+    convert();
+    return true;
+  }
+  const state = _limitState();
+  convert();
+  return !_restoreOverLimit(state);
+}
+
+function _takeLimitSnapshot() {
+  limitSnapshot = _limitState();
+}
+
+/**
+ * Undo an input that went over the limit, once it happened.
+ */
+function _checkLimitSnapshot() {
+  const snapshot = limitSnapshot;
+  limitSnapshot = null;
+  if (!snapshot || !limitOptions.maxLength) return;
+  if (_restoreOverLimit(snapshot)) RE.callback();
+}
+
+function _scheduleStats() {
+  if (!statsOptions.enabled || !RE.editor || statsTimeout) return;
+  statsTimeout = setTimeout(function () {
+    statsTimeout = null;
+    const stats = RE.getStats();
+    const json = JSON.stringify(stats);
+    if (json === lastStatsJson) return;
+    lastStatsJson = json;
+    if (window.flutter_inappwebview) {
+      window.flutter_inappwebview.callHandler('onStats', stats);
+    }
+  }, statsOptions.interval);
+}
+
+// Typed text is checked before it is inserted; other insertions are
+// checked once they happened
+document.addEventListener('beforeinput', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target) || !limitOptions.maxLength || e.defaultPrevented) return;
+  if (/^(delete|format|history)/.test(e.inputType)) return;
+
+  const text = e.data != null ? e.data : e.dataTransfer ? e.dataTransfer.getData('text/plain') : '';
+  if ((e.inputType !== 'insertText' && e.inputType !== 'insertReplacementText') || !text || e.isComposing) {
+    if (!e.isComposing) _takeLimitSnapshot();
+    return;
+  }
+
+  const target = e.getTargetRanges ? e.getTargetRanges()[0] : null;
+  let range = _editorRange();
+  if (target) {
+    range = document.createRange();
+    range.setStart(target.startContainer, target.startOffset);
+    range.setEnd(target.endContainer, target.endOffset);
+  }
+  const fitted = _limitPlainText(range, text, 'typing');
+  if (fitted === text) return;
+
+  e.preventDefault();
+  if (fitted && _isTracking(range)) {
+    _trackInsert(range, fitted);
+    RE.callback();
+  } else if (fitted) {
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.execCommand('insertText', false, fitted);
+  }
+});
+
+document.addEventListener('input', function (e) {
+  if (RE.editor && RE.editor.contains(e.target) && !e.isComposing) _checkLimitSnapshot();
+});
+
+document.addEventListener('compositionstart', function (e) {
+  if (RE.editor && RE.editor.contains(e.target) && limitOptions.maxLength) _takeLimitSnapshot();
+});
+
+document.addEventListener('compositionend', function (e) {
+  if (RE.editor && RE.editor.contains(e.target)) _checkLimitSnapshot();
+});
+
+// ==================== Drafts ====================
+
+// Drafts are kept in the WebView's localStorage so they survive the WebView
+// process being killed. Each draft is stored under DRAFT_STORAGE_PREFIX + key
+// as {key, html, selection: {start, end} | null, savedAt}, where savedAt is
+// in milliseconds since the epoch. Content loaded with RE.setHtml is not a
+// draft: only changes made after it are saved.
+
+const DRAFT_STORAGE_PREFIX = 'mb_rich_editor.draft.';
+const DRAFT_PREVIEW_LENGTH = 120;
+
+// key: draft being autosaved (null to stop); interval: shortest time in
+// milliseconds between two saves
+let draftOptions = {
+  key: null,
+  interval: 1000
+};
+let draftTimeout = null;
+let lastDraftHtml = null; // content at the last save or load
+
+/**
+ * Configure autosaving. A pending save of the previous draft is written
+ * first; the current content becomes the new draft's baseline.
+ * @param {Object} options - {key, interval}
+ */
+RE.configureDrafts = function (options) {
+  _saveDraft();
+  if (options && 'key' in options) draftOptions.key = options.key ? String(options.key) : null;
+  if (options && options.interval > 0) draftOptions.interval = options.interval;
+  lastDraftHtml = RE.editor ? _draftHtml() : null;
+};
+
+/**
+ * Save the current draft now, if the content changed since the last save.
+ * @returns {boolean} True if a draft was written
+ */
+RE.saveDraft = function () {
+  return _saveDraft();
+};
+
+/**
+ * Get a saved draft.
+ * @param {string} [key] - Draft key (default: the autosaved draft)
+ * @returns {Object|null} {key, html, selection, savedAt, preview}
+ */
+RE.getDraft = function (key) {
+  return _readDraft(key || draftOptions.key);
+};
+
+/**
+ * List saved drafts, most recent first.
+ * @returns {Array} [{key, html, selection, savedAt, preview}]
+ */
+RE.listDrafts = function () {
+  const storage = _draftStorage();
+  if (!storage) return [];
+  const drafts = [];
+  for (let i = 0; i < storage.length; i++) {
+    const name = storage.key(i);
+    if (!name || name.indexOf(DRAFT_STORAGE_PREFIX) !== 0) continue;
+    const draft = _readDraft(name.slice(DRAFT_STORAGE_PREFIX.length));
+    if (draft) drafts.push(draft);
+  }
+  return drafts.sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Load a saved draft into the editor and restore its selection.
+ * @param {string} [key] - Draft key (default: the autosaved draft)
+ * @returns {boolean} True if the draft existed
+ */
+RE.restoreDraft = function (key) {
+  const draft = _readDraft(key || draftOptions.key);
+  if (!draft) return false;
+
+  if (draftTimeout) {
+    clearTimeout(draftTimeout);
+    draftTimeout = null;
+  }
+  _setCode(draft.html);
+  if (draft.selection) {
+    try {
+      RE.setSelection(draft.selection.start, draft.selection.end);
+    } catch (e) {
+      console.log('Could not restore draft selection:', e);
+    }
+  }
+  return true;
+};
+
+/**
+ * Delete a saved draft.
+ * @param {string} [key] - Draft key (default: the autosaved draft)
+ * @returns {boolean} True if the draft existed
+ */
+RE.discardDraft = function (key) {
+  const storage = _draftStorage();
+  const name = key || draftOptions.key;
+  if (!storage || !name) return false;
+
+  if (name === draftOptions.key) {
+    if (draftTimeout) {
+      clearTimeout(draftTimeout);
+      draftTimeout = null;
+    }
+    lastDraftHtml = RE.editor ? _draftHtml() : null;
+  }
+  const existed = storage.getItem(DRAFT_STORAGE_PREFIX + name) !== null;
+  storage.removeItem(DRAFT_STORAGE_PREFIX + name);
+  return existed;
 };
 
-RE.insertVideo = function (url) {
-  var html = '<video src="' + url + '" controls></video><br>';
-  $editor.summernote('pasteHTML', html);
+function _draftStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    // Storage can be disabled for file URLs
+    return null;
+  }
+}
+
+function _readDraft(key) {
+  const storage = _draftStorage();
+  if (!storage || !key) return null;
+  try {
+    const draft = JSON.parse(storage.getItem(DRAFT_STORAGE_PREFIX + key));
+    if (!draft || typeof draft.html !== 'string') return null;
+    const template = document.createElement('template');
+    template.innerHTML = draft.html;
+    return {
+      key: String(key),
+      html: draft.html,
+      selection: draft.selection || null,
+      savedAt: draft.savedAt || 0,
+      preview: template.content.textContent.replace(/\s+/g, ' ').trim().slice(0, DRAFT_PREVIEW_LENGTH)
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Drafts keep the editor's own form, whatever the export options, so a
+// restored draft looks as it did on screen
+function _draftHtml() {
+  return RE.getHtml({ emoji: 'image', embeds: 'html' });
+}
+
+function _saveDraft() {
+  if (draftTimeout) {
+    clearTimeout(draftTimeout);
+    draftTimeout = null;
+  }
+  const storage = _draftStorage();
+  if (!storage || !draftOptions.key || !RE.editor) return false;
+
+  const html = _draftHtml();
+  if (html === lastDraftHtml) return false;
+  const range = _editorRange();
+  const draft = {
+    key: draftOptions.key,
+    html: html,
+    selection: range ? _rangeOffsets(range) : null,
+    savedAt: Date.now()
+  };
+  try {
+    storage.setItem(DRAFT_STORAGE_PREFIX + draftOptions.key, JSON.stringify(draft));
+  } catch (e) {
+    console.log('Could not save draft:', e);
+    return false;
+  }
+  lastDraftHtml = html;
+  return true;
+}
+
+// Saves at most once per interval, when the WebView is idle
+function _scheduleDraftSave() {
+  if (!draftOptions.key || !RE.editor || draftTimeout) return;
+  draftTimeout = setTimeout(function () {
+    draftTimeout = null;
+    if (window.requestIdleCallback) {
+      window.requestIdleCallback(_saveDraft, { timeout: draftOptions.interval });
+    } else {
+      _saveDraft();
+    }
+  }, draftOptions.interval);
+}
+
+// Write pending changes before the WebView is hidden or unloaded, when it
+// may be killed without further notice
+document.addEventListener('visibilitychange', function () {
+  if (document.visibilityState === 'hidden') _saveDraft();
+});
+
+window.addEventListener('pagehide', function () {
+  _saveDraft();
+});
+
+// ==================== Track Changes ====================
+
+// While track changes is on, edits become suggestions instead of changing
+// the text: inserted text is wrapped in <ins class="tracked-change"> and
+// deleted text in <del class="tracked-change">, both carrying
+// data-change-id, data-change-author and data-change-time (milliseconds
+// since the epoch). One change can span several elements sharing its id.
+// Deleting your own suggested text removes it for real. Block splits and
+// merges, formatting and edits inside code blocks are not tracked. Mentions
+// and other tokens are marked as a whole, also when Backspace or Delete
+// removes them.
+
+const CHANGE_SELECTOR = 'ins.tracked-change, del.tracked-change';
+
+// author: id stored on new changes
+let trackOptions = {
+  enabled: false,
+  author: ''
+};
+let changeSequence = 0;
+
+// Content before an input that is only marked once it happened (IME
+// composition, drag and drop)
+let trackSnapshot = null;
+let trackComposing = false;
+
+/**
+ * Turn track changes on or off.
+ * @param {boolean} enabled - Whether edits become suggestions
+ * @param {string} [author] - Author id stored on new changes
+ */
+RE.setTrackChanges = function (enabled, author) {
+  trackOptions.enabled = !!enabled;
+  if (author !== undefined && author !== null) trackOptions.author = String(author);
+  trackSnapshot = null;
+};
+
+/**
+ * List the tracked changes in document order.
+ * @returns {Array} [{id, type: 'insertion' | 'deletion', author, timestamp,
+ *   text, start, end}], with start and end as text offsets
+ */
+RE.getChanges = function () {
+  if (!RE.editor) return [];
+  const changes = new Map();
+  RE.editor.querySelectorAll(CHANGE_SELECTOR).forEach(element => {
+    const id = element.getAttribute('data-change-id');
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    const offsets = _rangeOffsets(range);
+    const change = changes.get(id);
+    if (change) {
+      change.text += element.textContent;
+      change.end = offsets.end;
+      return;
+    }
+    changes.set(id, {
+      id: id,
+      type: element.nodeName === 'INS' ? 'insertion' : 'deletion',
+      author: element.getAttribute('data-change-author') || '',
+      timestamp: Number(element.getAttribute('data-change-time')) || 0,
+      text: element.textContent,
+      start: offsets.start,
+      end: offsets.end
+    });
+  });
+  return Array.from(changes.values());
+};
+
+/**
+ * Apply a tracked change, as one undo step.
+ * @param {string} id - Change id
+ * @returns {boolean} True if the change existed
+ */
+RE.acceptChange = function (id) {
+  return _resolveChanges(_changeElements(id), true);
+};
+
+/**
+ * Drop a tracked change, as one undo step.
+ * @param {string} id - Change id
+ * @returns {boolean} True if the change existed
+ */
+RE.rejectChange = function (id) {
+  return _resolveChanges(_changeElements(id), false);
+};
+
+/**
+ * Apply every tracked change, as one undo step.
+ * @returns {boolean} True if there was any
+ */
+RE.acceptAllChanges = function () {
+  return _resolveChanges(RE.editor ? Array.from(RE.editor.querySelectorAll(CHANGE_SELECTOR)) : [], true);
+};
+
+/**
+ * Drop every tracked change, as one undo step.
+ * @returns {boolean} True if there was any
+ */
+RE.rejectAllChanges = function () {
+  return _resolveChanges(RE.editor ? Array.from(RE.editor.querySelectorAll(CHANGE_SELECTOR)) : [], false);
+};
+
+function _changeElements(id) {
+  if (!RE.editor || !id) return [];
+  return Array.from(RE.editor.querySelectorAll(CHANGE_SELECTOR))
+    .filter(element => element.getAttribute('data-change-id') === String(id));
+}
+
+function _resolveChanges(elements, accept) {
+  if (elements.length === 0) return false;
+  _undoableChange(() => _applyChanges(elements, accept));
+  return true;
+}
+
+// Accepting keeps insertions and drops deletions; rejecting does the opposite
+function _applyChanges(elements, accept) {
+  elements.forEach(element => {
+    if ((element.nodeName === 'INS') === accept) {
+      element.replaceWith(...Array.from(element.childNodes));
+    } else {
+      element.remove();
+    }
+  });
+}
+
+/**
+ * Export filter for tracked changes.
+ * @param {Object} [options] - {changes: 'marked' | 'accepted' | 'rejected'}
+ * @returns {Function|null} Filter, or null to keep the markup
+ */
+function _changesExportFilter(options) {
+  const format = options && options.changes;
+  if (format !== 'accepted' && format !== 'rejected') return null;
+  return root => _applyChanges(Array.from(root.querySelectorAll(CHANGE_SELECTOR)), format === 'accepted');
+}
+
+function _changeMarkup(tagName, id, time) {
+  const element = document.createElement(tagName);
+  element.className = 'tracked-change';
+  element.setAttribute('data-change-id', id);
+  element.setAttribute('data-change-author', trackOptions.author);
+  element.setAttribute('data-change-time', String(time));
+  return element;
+}
+
+function _newChangeId() {
+  changeSequence++;
+  return 'c' + Date.now().toString(36) + changeSequence.toString(36);
+}
+
+function _changeElement(node, tagName) {
+  const element = node.nodeType === 1 ? node : node.parentElement;
+  const change = element && element.closest(CHANGE_SELECTOR);
+  return change && RE.editor.contains(change) && change.nodeName === tagName ? change : null;
+}
+
+function _isOwnChange(node, tagName) {
+  return !!node && node.nodeType === 1 && node.nodeName === tagName &&
+    node.classList.contains('tracked-change') &&
+    node.getAttribute('data-change-author') === trackOptions.author;
+}
+
+// Sibling that is not an empty text node
+function _trackSibling(node, forward) {
+  let sibling = forward ? node.nextSibling : node.previousSibling;
+  while (sibling && sibling.nodeType === 3 && !sibling.nodeValue) {
+    sibling = forward ? sibling.nextSibling : sibling.previousSibling;
+  }
+  return sibling;
+}
+
+function _isTracking(range) {
+  return trackOptions.enabled && !!range && !_codeBlock(range.startContainer) && !_codeBlock(range.endContainer);
+}
+
+/**
+ * Mark the content of a range as inserted or deleted by the current author.
+ * Text is split at the range boundaries; each piece joins a neighbouring
+ * change of the same author and type, or gets a new element. Deleting own
+ * insertions removes them.
+ * @param {Range} range - Content to mark
+ * @param {string} tagName - 'INS' or 'DEL'
+ * @returns {Object} {start, end}: empty text nodes at the range boundaries,
+ *   to be removed by the caller once the caret is placed
+ */
+function _markRange(range, tagName) {
+  const start = document.createTextNode('');
+  const end = document.createTextNode('');
+  const endPoint = range.cloneRange();
+  endPoint.collapse(false);
+  endPoint.insertNode(end);
+  const startPoint = range.cloneRange();
+  startPoint.collapse(true);
+  startPoint.insertNode(start);
+
+  const pieces = [];
+  const walker = document.createTreeWalker(RE.editor, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  walker.currentNode = start;
+  while (walker.nextNode() && walker.currentNode !== end) {
+    const node = walker.currentNode;
+    if (node.nodeType === 1 && node.getAttribute('contenteditable') === 'false') {
+      // Tokens such as mentions are marked whole
+      pieces.push(node);
+      let last = node;
+      while (last.lastChild) last = last.lastChild;
+      walker.currentNode = last;
+    } else if ((node.nodeType === 3 && node.nodeValue) || ['IMG', 'BR'].includes(node.nodeName)) {
+      pieces.push(node);
+    }
+  }
+
+  const id = _newChangeId();
+  const time = Date.now();
+  pieces.forEach(node => {
+    if (tagName === 'DEL') {
+      const insertion = _changeElement(node, 'INS');
+      if (insertion && insertion.getAttribute('data-change-author') === trackOptions.author) {
+        node.remove();
+        if (!insertion.textContent && !insertion.querySelector('img')) insertion.remove();
+        return;
+      }
+    }
+    if (_changeElement(node, tagName) || _changeElement(node, 'DEL')) return;
+
+    const previous = _trackSibling(node, false);
+    const next = _trackSibling(node, true);
+    if (_isOwnChange(previous, tagName)) {
+      previous.appendChild(node);
+    } else if (_isOwnChange(next, tagName)) {
+      next.insertBefore(node, next.firstChild);
+    } else {
+      const element = _changeMarkup(tagName.toLowerCase(), id, time);
+      node.parentNode.insertBefore(element, node);
+      element.appendChild(node);
+    }
+  });
+  return { start: start, end: end };
+}
+
+function _placeTrackCaret(marker, markers) {
+  const caret = document.createRange();
+  caret.setStartBefore(marker);
+  markers.start.remove();
+  markers.end.remove();
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(caret);
+  lastEditorRange = caret.cloneRange();
+}
+
+/**
+ * Mark a range as deleted and put the caret before it (Backspace) or
+ * after it.
+ */
+function _trackDelete(range, forward) {
+  const markers = _markRange(range, 'DEL');
+  _placeTrackCaret(forward ? markers.end : markers.start, markers);
+}
+
+/**
+ * Insert typed text as a suggestion, continuing the current author's
+ * insertion at the caret when there is one.
+ */
+function _trackInsert(range, text) {
+  let caret = range.cloneRange();
+  if (!range.collapsed) {
+    _trackDelete(range, true);
+    caret = _editorRange().cloneRange();
+  }
+
+  // Never type into deleted text
+  const deletion = _changeElement(caret.startContainer, 'DEL');
+  if (deletion) {
+    const atStart = caret.startOffset === 0 && _textOffset(deletion, caret.startContainer, 0) === 0;
+    if (atStart) caret.setStartBefore(deletion);
+    else caret.setStartAfter(deletion);
+    caret.collapse(true);
+  }
+
+  let node = caret.startContainer;
+  let offset = caret.startOffset;
+  const insertion = _changeElement(node, 'INS');
+  if (!(insertion && _isOwnChange(insertion, 'INS'))) {
+    const previous = node.nodeType === 3
+      ? (offset === 0 ? _trackSibling(node, false) : null)
+      : (offset > 0 ? node.childNodes[offset - 1] : null);
+    const own = previous && (_isOwnChange(previous, 'INS') ? previous : null);
+    if (own) {
+      if (!own.lastChild || own.lastChild.nodeType !== 3) own.appendChild(document.createTextNode(''));
+      node = own.lastChild;
+      offset = node.nodeValue.length;
+    } else {
+      const element = _changeMarkup('ins', _newChangeId(), Date.now());
+      node = element.appendChild(document.createTextNode(''));
+      offset = 0;
+      caret.insertNode(element);
+    }
+  } else if (node.nodeType !== 3) {
+    const text = document.createTextNode('');
+    caret.insertNode(text);
+    node = text;
+    offset = 0;
+  }
+
+  // Keep spaces at the end of a line visible, as browsers do when typing
+  let value = text;
+  if (value === ' ' && (offset === node.nodeValue.length || /[ \u00a0]/.test(node.nodeValue[offset - 1] || ' '))) {
+    value = '\u00a0';
+  } else if (value !== ' ' && offset > 1 && node.nodeValue[offset - 1] === '\u00a0' &&
+    !/[ \u00a0]/.test(node.nodeValue[offset - 2])) {
+    node.replaceData(offset - 1, 1, ' ');
+  }
+  node.insertData(offset, value);
+
+  const selection = document.getSelection();
+  const after = document.createRange();
+  after.setStart(node, offset + value.length);
+  selection.removeAllRanges();
+  selection.addRange(after);
+  lastEditorRange = after.cloneRange();
+}
+
+/**
+ * Wrap inserted fragment content in the current author's insertion.
+ * @param {string} html - Sanitized HTML about to be inserted
+ * @returns {string} Marked HTML
+ */
+function _trackHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const id = _newChangeId();
+  const time = Date.now();
+  const wrap = parent => {
+    let current = null;
+    Array.from(parent.childNodes).forEach(child => {
+      if (child.nodeType === 1 && LIMIT_BLOCK_TAGS.includes(child.nodeName)) {
+        current = null;
+        if (child.nodeName !== 'PRE') wrap(child);
+        return;
+      }
+      if (child.nodeType !== 1 && child.nodeType !== 3) return;
+      if (!current) {
+        current = _changeMarkup('ins', id, time);
+        parent.insertBefore(current, child);
+      }
+      current.appendChild(child);
+    });
+  };
+  wrap(template.content);
+  return template.innerHTML;
+}
+
+/**
+ * Plain text of the editor with the offsets of _rangeOffsets.
+ */
+function _trackText(node) {
+  if (node.nodeType === 3) return node.nodeValue;
+  if (['IMG', 'BR', 'INPUT'].includes(node.nodeName)) return '\ufffc';
+  return Array.from(node.childNodes).map(_trackText).join('');
+}
+
+// Text between two offsets of a copy of the editor, leaving out own
+// insertions and deleted text
+function _trackRemovedText(root, start, end) {
+  let offset = 0;
+  let removed = '';
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode() && offset < end) {
+    const node = walker.currentNode;
+    const length = node.nodeType === 3 ? node.nodeValue.length : ['IMG', 'BR', 'INPUT'].includes(node.nodeName) ? 1 : 0;
+    if (node.nodeType === 3 && offset + length > start) {
+      const change = node.parentElement.closest(CHANGE_SELECTOR);
+      const kept = !change || (change.nodeName === 'INS' && change.getAttribute('data-change-author') !== trackOptions.author);
+      if (kept) removed += node.nodeValue.slice(Math.max(0, start - offset), end - offset);
+    }
+    offset += length;
+  }
+  return removed;
+}
+
+function _takeTrackSnapshot() {
+  trackSnapshot = {
+    text: _trackText(RE.editor),
+    copy: RE.editor.cloneNode(true)
+  };
+}
+
+/**
+ * Mark an input that already happened: the text that differs from the
+ * snapshot becomes an insertion, the text it replaced a deletion.
+ */
+function _checkTrackSnapshot() {
+  const snapshot = trackSnapshot;
+  trackSnapshot = null;
+  if (!snapshot || !trackOptions.enabled) return;
+  const before = snapshot.text;
+  const after = _trackText(RE.editor);
+  if (before === after) return;
+
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+    suffix++;
+  }
+  const insertedEnd = after.length - suffix;
+  const removed = _trackRemovedText(snapshot.copy, prefix, before.length - suffix);
+  const caretRange = _offsetRange(insertedEnd, insertedEnd);
+  if (_codeBlock(caretRange.startContainer)) return;
+
+  let markers = null;
+  if (insertedEnd > prefix) {
+    markers = _markRange(_offsetRange(prefix, insertedEnd), 'INS');
+  } else {
+    markers = { start: document.createTextNode(''), end: document.createTextNode('') };
+    const point = _offsetRange(prefix, prefix);
+    point.insertNode(markers.end);
+    markers.end.parentNode.insertBefore(markers.start, markers.end);
+  }
+  if (removed) {
+    const deletion = _changeMarkup('del', _newChangeId(), Date.now());
+    deletion.textContent = removed;
+    markers.start.parentNode.insertBefore(deletion, markers.start);
+  }
+  const insertion = markers.end.previousSibling;
+  if (_isOwnChange(insertion, 'INS') && insertion.lastChild && insertion.lastChild.nodeType === 3) {
+    // Keep composing inside the insertion
+    const text = insertion.lastChild;
+    markers.start.remove();
+    markers.end.remove();
+    const caret = document.createRange();
+    caret.setStart(text, text.nodeValue.length);
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(caret);
+    lastEditorRange = caret.cloneRange();
+  } else {
+    _placeTrackCaret(markers.end, markers);
+  }
+  RE.callback();
+}
+
+/**
+ * Range an input event applies to.
+ */
+function _trackTargetRange(e) {
+  const targets = e.getTargetRanges ? e.getTargetRanges() : [];
+  if (targets.length > 0) {
+    const range = document.createRange();
+    range.setStart(targets[0].startContainer, targets[0].startOffset);
+    range.setEnd(targets[0].endContainer, targets[0].endOffset);
+    return range;
+  }
+  const range = _editorRange();
+  if (!range || !range.collapsed || !/^delete/.test(e.inputType)) return range && range.cloneRange();
+
+  const selection = document.getSelection();
+  if (!selection.modify) return null;
+  const granularity = /Word/.test(e.inputType) ? 'word' : /Line/.test(e.inputType) ? 'lineboundary' : 'character';
+  selection.modify('extend', /Backward$/.test(e.inputType) ? 'backward' : 'forward', granularity);
+  return selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+}
+
+document.addEventListener('beforeinput', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target) || !trackOptions.enabled || e.defaultPrevented) return;
+  if (/^(format|history)/.test(e.inputType) || e.isComposing || trackComposing) return;
+
+  const range = _trackTargetRange(e);
+  if (!_isTracking(range)) return;
+  const text = e.data != null ? e.data : e.dataTransfer ? e.dataTransfer.getData('text/plain') : '';
+
+  if ((e.inputType === 'insertText' || e.inputType === 'insertReplacementText') && text) {
+    e.preventDefault();
+    _trackInsert(range, text);
+    RE.callback();
+  } else if (/^delete/.test(e.inputType) && e.inputType !== 'deleteByDrag') {
+    e.preventDefault();
+    if (!range.collapsed) _trackDelete(range, /Forward$/.test(e.inputType));
+    RE.callback();
+  } else if (e.inputType === 'insertParagraph' || e.inputType === 'insertLineBreak') {
+    // The block split itself is not tracked
+    if (!range.collapsed) _trackDelete(range, true);
+  } else {
+    _takeTrackSnapshot();
+  }
+});
+
+document.addEventListener('input', function (e) {
+  if (RE.editor && RE.editor.contains(e.target) && !e.isComposing && !trackComposing) _checkTrackSnapshot();
+});
+
+document.addEventListener('compositionstart', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target) || !_isTracking(_editorRange())) return;
+  trackComposing = true;
+  _takeTrackSnapshot();
+});
+
+document.addEventListener('compositionend', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target)) return;
+  trackComposing = false;
+  _checkTrackSnapshot();
+});
+
+// ==================== Annotations ====================
+
+// Annotations anchor comments to text. The annotated text is wrapped in
+// <span class="annotation" data-annotation-id>, split into several spans
+// where it crosses formatting, blocks or other annotations, so the anchor
+// follows the text as it is edited. The data attached by Dart stays in the
+// bridge; RE.getAnnotations serializes anchors and data separately from the
+// content, and RE.getHtml({annotations: false}) leaves the markup out.
+
+const ANNOTATION_SELECTOR = 'span.annotation[data-annotation-id]';
+
+const annotationData = new Map(); // id -> data
+
+/**
+ * Highlight a range and anchor an annotation to it, as one undo step.
+ * An existing annotation with the same id is replaced.
+ * @param {string} id - Annotation id
+ * @param {Object} [range] - {start, end} text offsets (default: the selection)
+ * @param {*} [data] - JSON data returned by RE.getAnnotations
+ * @returns {boolean} False if the range is empty
+ */
+RE.addAnnotation = function (id, range, data) {
+  if (!RE.editor || !id) return false;
+  const target = range ? _offsetRange(range.start, range.end) : _editorRange();
+  if (!target || target.collapsed) return false;
+  const offsets = _rangeOffsets(target);
+
+  _undoableChange(() => {
+    _unwrapAnnotation(String(id));
+    _wrapAnnotation(_offsetRange(offsets.start, offsets.end), String(id));
+  });
+  annotationData.set(String(id), data === undefined ? null : data);
+  return true;
+};
+
+/**
+ * List the annotations in document order.
+ * @returns {Array} [{id, start, end, text, data}], with start and end as
+ *   text offsets of the first and last annotated text
+ */
+RE.getAnnotations = function () {
+  if (!RE.editor) return [];
+  const annotations = new Map();
+  RE.editor.querySelectorAll(ANNOTATION_SELECTOR).forEach(span => {
+    const id = span.getAttribute('data-annotation-id');
+    const range = document.createRange();
+    range.selectNodeContents(span);
+    const offsets = _rangeOffsets(range);
+    const annotation = annotations.get(id);
+    if (annotation) {
+      annotation.end = Math.max(annotation.end, offsets.end);
+      annotation.text += span.textContent;
+      return;
+    }
+    annotations.set(id, {
+      id: id,
+      start: offsets.start,
+      end: offsets.end,
+      text: span.textContent,
+      data: annotationData.has(id) ? annotationData.get(id) : null
+    });
+  });
+  return Array.from(annotations.values());
+};
+
+/**
+ * Remove an annotation and its highlight, as one undo step.
+ * @param {string} id - Annotation id
+ * @returns {boolean} True if the annotation existed
+ */
+RE.removeAnnotation = function (id) {
+  annotationData.delete(String(id));
+  if (!RE.editor || _annotationSpans(String(id)).length === 0) return false;
+  _undoableChange(() => _unwrapAnnotation(String(id)));
+  return true;
+};
+
+function _annotationSpans(id) {
+  return Array.from(RE.editor.querySelectorAll(ANNOTATION_SELECTOR))
+    .filter(span => span.getAttribute('data-annotation-id') === id);
+}
+
+function _unwrapAnnotation(id) {
+  _annotationSpans(id).forEach(span => span.replaceWith(...Array.from(span.childNodes)));
+}
+
+/**
+ * Wrap the text and images of a range in annotation spans, splitting text
+ * nodes at the range boundaries.
+ */
+function _wrapAnnotation(range, id) {
+  const nodes = [];
+  const walker = document.createTreeWalker(range.commonAncestorContainer, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+  let node = walker.currentNode;
+  while (node) {
+    if (((node.nodeType === 3 && node.nodeValue) || node.nodeName === 'IMG') && range.intersectsNode(node)) {
+      nodes.push(node);
+    }
+    node = walker.nextNode();
+  }
+
+  nodes.forEach(node => {
+    let target = node;
+    if (node.nodeType === 3) {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.nodeValue.length;
+      if (start >= end) return;
+      if (end < target.nodeValue.length) target.splitText(end);
+      if (start > 0) target = target.splitText(start);
+    }
+    if (_codeBlock(target)) return;
+    const span = document.createElement('span');
+    span.className = 'annotation';
+    span.setAttribute('data-annotation-id', id);
+    target.parentNode.insertBefore(span, target);
+    span.appendChild(target);
+  });
+}
+
+// Annotations never leave the editor through the clipboard
+function _stripAnnotations(root) {
+  root.querySelectorAll(ANNOTATION_SELECTOR).forEach(span => span.replaceWith(...Array.from(span.childNodes)));
+}
+
+/**
+ * Export filter for annotations.
+ * @param {Object} [options] - {annotations}: false to leave the markup out
+ * @returns {Function|null} Filter, or null to keep the markup
+ */
+function _annotationExportFilter(options) {
+  return options && options.annotations === false ? _stripAnnotations : null;
+}
+
+// Innermost annotation under the tap
+document.addEventListener('click', function (e) {
+  if (!RE.editor || !RE.editor.contains(e.target) || !e.target.closest) return;
+  const span = e.target.closest(ANNOTATION_SELECTOR);
+  if (!span || !RE.editor.contains(span) || !window.flutter_inappwebview) return;
+  const rect = span.getBoundingClientRect();
+  window.flutter_inappwebview.callHandler('onAnnotationTap', {
+    id: span.getAttribute('data-annotation-id'),
+    rect: { left: rect.left, top: rect.top, width: rect.width, height: rect.height }
+  });
+});
+
+// ==================== Image Tools ====================
+
+// Tapping an image selects it: Dart receives onImageSelected with the image
+// details (see _imageInfo) and touch-friendly resize handles are drawn in an
+// overlay layer. Tapping elsewhere sends onImageDeselected. This replaces
+// Summernote's mouse-only resize handle.
+// Alignment is a class on the image, or on its figure when it has a caption:
+// image-align-left | image-align-right | image-align-center. Left and right
+// also set an inline float, so they work without the editor styles.
+
+const IMAGE_ALIGNMENTS = ['left', 'right', 'center'];
+const IMAGE_HANDLE_SIZE = 28;
+const IMAGE_MIN_WIDTH = 16;
+
+let selectedImageElement = null;
+let imageToolsLayer = null;
+let imageResize = null; // {image, corner, startX, startWidth, width, original}
+
+/**
+ * Get the selected image.
+ * @returns {Object|null} Image details (see onImageSelected), or null
+ */
+RE.getSelectedImage = function () {
+  _checkSelectedImage();
+  return selectedImageElement ? _imageInfo(selectedImageElement) : null;
+};
+
+/**
+ * Change the selected image, as one undo step. Omitted keys are unchanged.
+ * @param {Object} options - {width, align, alt, caption}
+ *   - width: pixels, or a CSS length such as '50%'; '' or null for the
+ *     natural size
+ *   - align: 'left' | 'right' | 'center' | 'none'
+ *   - alt: alternative text
+ *   - caption: wraps the image in a figure with a figcaption; '' or null
+ *     removes it
+ * @returns {boolean} False if no image is selected
+ */
+RE.updateSelectedImage = function (options) {
+  _checkSelectedImage();
+  const image = selectedImageElement;
+  if (!image || !options) return false;
+
+  _undoableChange(() => {
+    if ('width' in options) _setImageWidth(image, options.width);
+    if ('alt' in options) image.setAttribute('alt', options.alt == null ? '' : String(options.alt));
+    const align = 'align' in options ? options.align : _imageAlignment(image);
+    if ('caption' in options) {
+      _setImageAlignment(image, 'none');
+      _setImageCaption(image, options.caption == null ? '' : String(options.caption));
+    }
+    _setImageAlignment(image, align);
+  });
+  _selectImage(image);
+  return true;
+};
+
+/**
+ * Delete the selected image with its caption, as one undo step. While
+ * track changes is on, they are marked as deleted.
+ * @returns {boolean} False if no image is selected
+ */
+RE.deleteSelectedImage = function () {
+  _checkSelectedImage();
+  const image = selectedImageElement;
+  if (!image) return false;
+  _deselectImage();
+  _undoableChange(() => {
+    const outer = _imageOuter(image);
+    const range = document.createRange();
+    range.selectNode(outer);
+    if (_isTracking(range)) {
+      _trackDelete(range, true);
+      return;
+    }
+    const parent = outer.parentElement;
+    outer.remove();
+    // Keep an emptied paragraph editable
+    if (parent !== RE.editor && !parent.hasChildNodes()) parent.appendChild(document.createElement('br'));
+  });
+  return true;
+};
+
+/**
+ * Replace the source of the selected image, keeping its size, alignment
+ * and caption, as one undo step.
+ * @param {string} url - New image URL
+ * @param {string} [alt] - New alternative text (default: unchanged)
+ * @returns {boolean} False if no image is selected or the URL is rejected
+ */
+RE.replaceSelectedImage = function (url, alt) {
+  _checkSelectedImage();
+  const image = selectedImageElement;
+  if (!image || !_isAllowedUrl(url, 'img', 'src')) return false;
+  _undoableChange(() => {
+    image.setAttribute('src', url);
+    if (alt !== undefined && alt !== null) image.setAttribute('alt', String(alt));
+  });
+  _selectImage(image);
+  return true;
 };
 
-RE.insertVideoW = function (url, width) {
-  var html = '<video src="' + url + '" width="' + width + '" controls></video><br>';
-  $editor.summernote('pasteHTML', html);
-};
+/**
+ * Details of an image.
+ * @returns {Object} {src, width, height, naturalWidth, naturalHeight, alt,
+ *   align, caption, data}: width and height are the displayed size in CSS
+ *   pixels, caption is null without a figure, data holds the data-*
+ *   attributes
+ */
+function _imageInfo(image) {
+  const rect = image.getBoundingClientRect();
+  const figure = _imageFigure(image);
+  const caption = figure && figure.querySelector('figcaption');
+  const data = {};
+  Array.from(image.attributes).forEach(attribute => {
+    if (attribute.name.indexOf('data-') === 0) data[attribute.name.slice(5)] = attribute.value;
+  });
+  return {
+    src: image.getAttribute('src') || '',
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+    naturalWidth: image.naturalWidth || 0,
+    naturalHeight: image.naturalHeight || 0,
+    alt: image.getAttribute('alt') || '',
+    align: _imageAlignment(image),
+    caption: caption ? caption.textContent : null,
+    data: data
+  };
+}
+
+function _isEditableImage(node) {
+  return !!node && node.nodeName === 'IMG' && RE.editor.contains(node) &&
+    !node.classList.contains('emoji') && !node.closest('.upload-placeholder');
+}
+
+function _imageFigure(image) {
+  const parent = image.parentElement;
+  return parent && parent.nodeName === 'FIGURE' && RE.editor.contains(parent) ? parent : null;
+}
+
+// Element that carries the alignment and is removed with the image
+function _imageOuter(image) {
+  return _imageFigure(image) || image;
+}
+
+function _imageAlignment(image) {
+  const outer = _imageOuter(image);
+  return IMAGE_ALIGNMENTS.find(align => outer.classList.contains('image-align-' + align)) || 'none';
+}
+
+function _setImageAlignment(image, align) {
+  [image, _imageOuter(image)].forEach(element => {
+    IMAGE_ALIGNMENTS.forEach(name => element.classList.remove('image-align-' + name));
+    element.style.removeProperty('float');
+    if (!element.getAttribute('class')) element.removeAttribute('class');
+    if (!element.getAttribute('style')) element.removeAttribute('style');
+  });
+  if (!IMAGE_ALIGNMENTS.includes(align)) return;
+  const outer = _imageOuter(image);
+  outer.classList.add('image-align-' + align);
+  if (align !== 'center') outer.style.setProperty('float', align);
+}
+
+function _setImageWidth(image, width) {
+  image.removeAttribute('width');
+  image.removeAttribute('height');
+  image.style.removeProperty('height');
+  if (width === null || width === undefined || width === '') {
+    image.style.removeProperty('width');
+  } else {
+    image.style.setProperty('width', typeof width === 'number' ? Math.round(width) + 'px' : String(width));
+  }
+  if (!image.getAttribute('style')) image.removeAttribute('style');
+}
+
+/**
+ * Add, change or remove the caption. A figure is a block, so the image is
+ * moved out of its paragraph, splitting it around the image. While track
+ * changes is on, the caption text is marked as inserted or deleted and a
+ * figure is kept.
+ */
+function _setImageCaption(image, caption) {
+  let figure = _imageFigure(image);
+  const range = document.createRange();
+  range.selectNode(image);
+  const tracking = _isTracking(range);
+  if (!caption) {
+    if (!figure) return;
+    if (tracking) {
+      const figcaption = figure.querySelector('figcaption');
+      if (figcaption) _trackCaptionDelete(figcaption);
+      return;
+    }
+    const paragraph = document.createElement('p');
+    figure.replaceWith(paragraph);
+    paragraph.appendChild(image);
+    return;
+  }
+
+  if (!figure) {
+    figure = document.createElement('figure');
+    figure.className = 'image-figure';
+    _replaceWithBlock(image, figure);
+    figure.appendChild(image);
+  }
+  let figcaption = figure.querySelector('figcaption');
+  if (!figcaption) figcaption = figure.appendChild(document.createElement('figcaption'));
+  if (tracking) {
+    _trackCaptionDelete(figcaption);
+    figcaption.insertAdjacentHTML('beforeend', _trackHtml(_escapeHtml(caption)));
+  } else {
+    figcaption.textContent = caption;
+  }
+}
 
-RE.insertVideoWH = function (url, width, height) {
-  var html = '<video src="' + url + '" width="' + width + '" height="' + height + '" controls></video><br>';
-  $editor.summernote('pasteHTML', html);
-};
+function _trackCaptionDelete(figcaption) {
+  if (!figcaption.hasChildNodes()) return;
+  const range = document.createRange();
+  range.selectNodeContents(figcaption);
+  _trackDelete(range, true);
+}
 
-RE.insertAudio = function (url) {
-  var html = '<audio src="' + url + '" controls></audio><br>';
-  $editor.summernote('pasteHTML', html);
-};
+function _selectImage(image) {
+  selectedImageElement = image;
+  $(RE.editor).data('target', image);
+  const range = document.createRange();
+  range.selectNode(image);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  lastEditorRange = range.cloneRange();
+  _renderImageTools();
+  RE.enabledEditingItems();
+  if (window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler('onImageSelected', _imageInfo(image));
+  }
+}
 
-RE.insertYoutubeVideo = function (url) {
-  const videoData = extractYouTubeVideoIdAndTime(url);
-  if (!videoData) {
-    console.log("Invalid YouTube URL.");
-    return;
+function _deselectImage() {
+  if (!selectedImageElement) return;
+  selectedImageElement = null;
+  imageResize = null;
+  $(RE.editor).removeData('target');
+  _renderImageTools();
+  if (window.flutter_inappwebview) {
+    window.flutter_inappwebview.callHandler('onImageDeselected');
   }
-  const formattedMediaTag = '[MEDIA=youtube]' + videoData + '[/MEDIA]';
-  $editor.summernote('pasteHTML', formattedMediaTag);
-};
+}
 
-RE.insertMediaBBCode = function (data) {
-  $editor.summernote('pasteHTML', data);
-};
+// Drop the selection once the image left the document (delete, undo)
+function _checkSelectedImage() {
+  if (selectedImageElement && !RE.editor.contains(selectedImageElement)) _deselectImage();
+}
 
-RE.insertLink = function (url, title) {
-  RE.restorerange();
-  var sel = document.getSelection();
-  if (sel.toString().length == 0) {
-    $editor.summernote('pasteHTML', '<a href="' + url + '">' + title + '</a>');
-  } else {
-    $editor.summernote('createLink', {
-      url: url,
-      text: title,
-      isNewWindow: false
-    });
+function _renderImageTools() {
+  if (!RE.editor) return;
+  if (!imageToolsLayer) {
+    imageToolsLayer = _createOverlayLayer('image-tools-layer');
+    RE.editor.addEventListener('scroll', _renderImageTools);
+    window.addEventListener('resize', _renderImageTools);
   }
-  RE.callback();
-};
+  imageToolsLayer.innerHTML = '';
+  const image = selectedImageElement;
+  if (!image) return;
+
+  const rect = image.getBoundingClientRect();
+  _addOverlayBox(imageToolsLayer, 'image-selection', rect);
+  const corners = {
+    nw: [rect.left, rect.top],
+    ne: [rect.right, rect.top],
+    sw: [rect.left, rect.bottom],
+    se: [rect.right, rect.bottom]
+  };
+  Object.keys(corners).forEach(corner => {
+    const [x, y] = corners[corner];
+    const half = IMAGE_HANDLE_SIZE / 2;
+    const handle = _addOverlayBox(imageToolsLayer, 'image-handle image-handle-' + corner,
+      { left: x - half, top: y - half, width: IMAGE_HANDLE_SIZE, height: IMAGE_HANDLE_SIZE });
+    handle.addEventListener('pointerdown', e => _startImageResize(e, corner));
+  });
+}
 
-RE.insertEmoji = function (emojiData) {
-  const url = emojiData.imageUrl || '';
-  const alt = emojiData.metadata?.alt || emojiData.name || emojiData.shortcodes || 'emoji';
-  const className = 'emoji';
+function _startImageResize(e, corner) {
+  const image = selectedImageElement;
+  if (!image) return;
+  e.preventDefault();
+  e.stopPropagation();
+  imageResize = {
+    image: image,
+    corner: corner,
+    startX: e.clientX,
+    startWidth: image.getBoundingClientRect().width,
+    width: null,
+    original: {
+      style: image.getAttribute('style'),
+      width: image.getAttribute('width'),
+      height: image.getAttribute('height')
+    }
+  };
+}
 
-  var html = '<img src="' + url + '" class="' + className + '" alt="' + alt + '" data-emoji-id="' + emojiData.id + '" />';
-  $editor.summernote('pasteHTML', html);
-};
+// Corners on the left grow the image when dragged to the left
+document.addEventListener('pointermove', function (e) {
+  const resize = imageResize;
+  if (!resize) return;
+  e.preventDefault();
+  const delta = (e.clientX - resize.startX) * (/w$/.test(resize.corner) ? -1 : 1);
+  const maxWidth = RE.editor.clientWidth || Infinity;
+  resize.width = Math.round(Math.max(IMAGE_MIN_WIDTH, Math.min(maxWidth, resize.startWidth + delta)));
+  _setImageWidth(resize.image, resize.width);
+  _renderImageTools();
+});
+
+// The drag is applied live, then again from the original size as one
+// undo step
+function _endImageResize() {
+  const resize = imageResize;
+  if (!resize) return;
+  imageResize = null;
+  if (resize.width === null) return;
+  ['style', 'width', 'height'].forEach(name => {
+    if (resize.original[name] === null) resize.image.removeAttribute(name);
+    else resize.image.setAttribute(name, resize.original[name]);
+  });
+  _undoableChange(() => _setImageWidth(resize.image, resize.width));
+  _selectImage(resize.image);
+}
 
-RE.setTodo = function (text) {
-  var html = '<input type="checkbox" name="' + text + '" value="' + text + '"/> &nbsp;';
-  $editor.summernote('pasteHTML', html);
-};
+document.addEventListener('pointerup', _endImageResize);
+document.addEventListener('pointercancel', _endImageResize);
+
+document.addEventListener('click', function (e) {
+  if (!RE.editor) return;
+  if (_isEditableImage(e.target)) {
+    _selectImage(e.target);
+  } else if (selectedImageElement && RE.editor.contains(e.target)) {
+    _deselectImage();
+  }
+});
 
 // ==================== Editor Control ====================
 
 RE.undo = function () {
   $editor.summernote('undo');
+  RE.enabledEditingItems();
 };
 
 RE.redo = function () {
   $editor.summernote('redo');
+  RE.enabledEditingItems();
 };
 
 RE.removeFormat = function () {
@@ -527,6 +7402,10 @@ RE.backuprange = function () {
       "endContainer": range.endContainer,
       "endOffset": range.endOffset
     };
+    // Text offsets survive setHtml and re-renders that replace the nodes
+    if (RE.editor && RE.editor.contains(range.startContainer)) {
+      Object.assign(RE.currentSelection, _rangeOffsets(range));
+    }
   }
 };
 
@@ -535,20 +7414,462 @@ RE.restorerange = function () {
   selection.removeAllRanges();
   var range = document.createRange();
   try {
-    range.setStart(RE.currentSelection.startContainer, RE.currentSelection.startOffset);
-    range.setEnd(RE.currentSelection.endContainer, RE.currentSelection.endOffset);
+    const current = RE.currentSelection;
+    if (current.start !== undefined && !(RE.editor.contains(current.startContainer) && RE.editor.contains(current.endContainer))) {
+      range = _offsetRange(current.start, current.end);
+    } else {
+      range.setStart(current.startContainer, current.startOffset);
+      range.setEnd(current.endContainer, current.endOffset);
+    }
     selection.addRange(range);
   } catch (e) {
     console.log('Could not restore range:', e);
   }
 };
 
+/**
+ * Get the selection as plain-text offsets into the document.
+ * Offsets count characters; images, line breaks and checkboxes count as one.
+ * When the editor is not focused, the last selection inside it is used.
+ * @returns {Object|null} {start, end, collapsed, text, html, rect, blockType}
+ */
+RE.getSelection = function () {
+  const range = _editorRange();
+  if (!range) return null;
+
+  const offsets = _rangeOffsets(range);
+  const fragment = document.createElement('div');
+  fragment.appendChild(range.cloneContents());
+
+  return {
+    start: offsets.start,
+    end: offsets.end,
+    collapsed: range.collapsed,
+    text: range.toString(),
+    html: _exportHtml(fragment.innerHTML),
+    rect: _caretRect(range),
+    blockType: _blockType(range.endContainer)
+  };
+};
+
+/**
+ * Select a range of the document by plain-text offsets.
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (defaults to start, a caret)
+ */
+RE.setSelection = function (start, end) {
+  const range = _offsetRange(start, end === undefined || end === null ? start : end);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  lastEditorRange = range.cloneRange();
+  $editor.summernote('setLastRange');
+  RE.backuprange();
+};
+
+/**
+ * Replace a range of the document with sanitized HTML, as one undo step.
+ * While track changes is on, the range is marked as deleted.
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {string} html - Replacement HTML (empty to delete)
+ */
+RE.replaceRange = function (start, end, html) {
+  RE.setSelection(start, end);
+  const range = document.getSelection().getRangeAt(0);
+
+  if (html) {
+    // _pasteHTML marks a selected range as deleted itself
+    if (!_isTracking(range)) range.deleteContents();
+    $editor.summernote('setLastRange');
+    _pasteHTML(html);
+    RE.callback();
+  } else {
+    _undoableChange(() => {
+      if (_isTracking(range)) {
+        _trackDelete(range, true);
+      } else {
+        range.deleteContents();
+      }
+    });
+  }
+};
+
+let lastEditorRange = null;
+
+document.addEventListener('selectionchange', function () {
+  const selection = document.getSelection();
+  if (RE.editor && selection.rangeCount > 0 && RE.editor.contains(selection.anchorNode)) {
+    lastEditorRange = selection.getRangeAt(0).cloneRange();
+  }
+});
+
+/**
+ * The live selection if it is inside the editor, else the last one that was.
+ */
+function _editorRange() {
+  if (!RE.editor) return null;
+  const selection = document.getSelection();
+  if (selection.rangeCount > 0 && RE.editor.contains(selection.anchorNode)) {
+    return selection.getRangeAt(0);
+  }
+  if (lastEditorRange && RE.editor.contains(lastEditorRange.startContainer) &&
+    RE.editor.contains(lastEditorRange.endContainer)) {
+    return lastEditorRange;
+  }
+  return null;
+}
+
+function _rangeOffsets(range) {
+  const start = _textOffset(RE.editor, range.startContainer, range.startOffset);
+  const end = range.collapsed ? start : start + _contentLength(range.cloneContents());
+  return { start: start, end: end };
+}
+
+function _offsetRange(start, end) {
+  const from = Math.max(0, Math.min(Number(start) || 0, Number(end) || 0));
+  const to = Math.max(Number(start) || 0, Number(end) || 0);
+  const startPoint = _domPosition(RE.editor, from, true);
+  const endPoint = from === to ? startPoint : _domPosition(RE.editor, to, false);
+
+  const range = document.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset);
+  return range;
+}
+
+/**
+ * Viewport rect of the caret at the end of the range, in CSS pixels.
+ */
+function _caretRect(range) {
+  const caret = range.cloneRange();
+  caret.collapse(false);
+  let rect = caret.getClientRects()[0];
+  if (!rect) {
+    // Empty blocks have no text to measure
+    const container = caret.startContainer.nodeType === 1 ? caret.startContainer : caret.startContainer.parentNode;
+    rect = container.getBoundingClientRect();
+  }
+  return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+}
+
+/**
+ * Lowercase tag name of the block enclosing a node, e.g. `p`, `h2` or `li`.
+ */
+function _blockType(node) {
+  for (let current = node; current && current !== RE.editor; current = current.parentNode) {
+    if (_isMdBlock(current)) return current.nodeName.toLowerCase();
+  }
+  return 'p';
+}
+
+// ==================== Find and Replace ====================
+//
+// Matches are live Ranges drawn in an overlay layer, so highlights never
+// touch the content, the undo history or RE.getHtml(). While track changes
+// is on, replacements are suggestions and suggested deletions are not
+// searched.
+
+let findMatches = []; // [{range, index, text}]: offset of the match in the searched text
+let findIndex = -1;
+let findState = null; // {query, options}
+let findLayer = null;
+let findRefreshTimeout = null;
+
+/**
+ * Highlight every match of a query.
+ * @param {string} query - Text or regular expression source
+ * @param {Object} options - {regex, caseSensitive, wholeWord, unicode}
+ *   - unicode: compile a regular expression with the `u` flag
+ * @returns {number} Number of matches, or -1 if the regular expression is invalid
+ */
+RE.find = function (query, options) {
+  findState = { query: String(query || ''), options: options || {} };
+  findIndex = -1;
+  if (!_runFind()) return -1;
+  if (findMatches.length > 0) findIndex = 0;
+  _renderFindMatches();
+  return findMatches.length;
+};
+
+/**
+ * Move to the next match and scroll it into view.
+ * @returns {number} Index of the current match, or -1 if there is none
+ */
+RE.findNext = function () {
+  return _moveFindIndex(1);
+};
+
+/**
+ * Move to the previous match and scroll it into view.
+ * @returns {number} Index of the current match, or -1 if there is none
+ */
+RE.findPrevious = function () {
+  return _moveFindIndex(-1);
+};
+
+/**
+ * Replace the current match as one undo step. With a regex query, the
+ * replacement patterns of String.prototype.replace (`$&`, `$1`, `$<name>`...)
+ * refer to the match and its groups.
+ * @param {string} replacement - Replacement text
+ * @returns {number} Number of remaining matches
+ */
+RE.replace = function (replacement) {
+  if (!findState || findIndex < 0 || !findMatches[findIndex]) return findMatches.length;
+  const match = findMatches[findIndex];
+  const offset = _textOffset(RE.editor, match.range.startContainer, match.range.startOffset);
+
+  _undoableChange(() => _replaceMatch(match, replacement));
+  _runFind();
+
+  // Continue with the first match after the replaced one
+  findIndex = findMatches.findIndex(next =>
+    _textOffset(RE.editor, next.range.startContainer, next.range.startOffset) >= offset);
+  if (findIndex < 0 && findMatches.length > 0) findIndex = 0;
+  _renderFindMatches();
+  _scrollToFindMatch();
+  return findMatches.length;
+};
+
+/**
+ * Replace every match as one undo step, from the last one, stopping at the
+ * first replacement the length limit rejects or cuts.
+ * @param {string} replacement - Replacement text
+ * @returns {number} Number of replaced matches
+ */
+RE.replaceAll = function (replacement) {
+  if (!findState || !_runFind() || findMatches.length === 0) return 0;
+  const matches = findMatches.slice().reverse();
+
+  let replaced = 0;
+  // Stop at the first replacement the length limit rejects or cuts
+  _undoableChange(() => matches.every(match => {
+    const fitted = _replaceMatch(match, replacement);
+    if (fitted !== null) replaced++;
+    return fitted !== false;
+  }));
+  _runFind();
+  findIndex = findMatches.length > 0 ? 0 : -1;
+  _renderFindMatches();
+  return replaced;
+};
+
+/**
+ * Remove all search highlights.
+ */
+RE.clearFind = function () {
+  findState = null;
+  findMatches = [];
+  findIndex = -1;
+  _renderFindMatches();
+};
+
+/**
+ * Search the document again, e.g. after the content changed.
+ * @returns {boolean} False if the regular expression is invalid
+ */
+function _runFind() {
+  findMatches = [];
+  if (!findState || !findState.query || !RE.editor) return true;
+
+  const pattern = _findPattern(findState.query, findState.options);
+  if (!pattern) return false;
+
+  // Text of the document, with a line break between blocks so matches
+  // never span two blocks
+  let text = '';
+  const segments = [];
+  let lastBlock = null;
+  const walker = document.createTreeWalker(RE.editor, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    // Suggested deletions are no longer part of the text
+    if (_changeElement(node, 'DEL')) continue;
+    const block = _findBlock(node);
+    if (lastBlock && block !== lastBlock) text += '\n';
+    lastBlock = block;
+    segments.push({ node: node, start: text.length });
+    text += node.nodeValue;
+  }
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0 || (findState.options.wholeWord && !_isWholeWord(text, match.index, match[0].length))) {
+      pattern.lastIndex = match.index + 1;
+      continue;
+    }
+    const range = document.createRange();
+    const start = _findPoint(segments, match.index, true);
+    const end = _findPoint(segments, match.index + match[0].length, false);
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    findMatches.push({ range: range, index: match.index, text: text });
+  }
+  if (findIndex >= findMatches.length) findIndex = findMatches.length - 1;
+  return true;
+}
+
+function _findPattern(query, options) {
+  const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Escaped text is valid in unicode mode, regular expressions only get it on request
+  const unicode = !options.regex || options.unicode;
+  try {
+    return new RegExp(source, 'g' + (unicode ? 'u' : '') + (options.caseSensitive ? '' : 'i'));
+  } catch (e) {
+    console.log('Invalid search pattern:', e.message);
+    return null;
+  }
+}
+
+// Whole words are not preceded or followed by a letter, digit or underscore
+function _isWholeWord(text, index, length) {
+  const isWordChar = ch => !!ch && /[\p{L}\p{N}_]/u.test(ch);
+  return !isWordChar(Array.from(text.slice(Math.max(0, index - 2), index)).pop()) &&
+    !isWordChar(Array.from(text.slice(index + length, index + length + 2))[0]);
+}
+
+function _findBlock(node) {
+  let current = node.parentNode;
+  while (current && current !== RE.editor && !_isMdBlock(current)) {
+    current = current.parentNode;
+  }
+  return current;
+}
+
+/**
+ * DOM point of an offset in the searched text. Starts prefer the following
+ * text node and ends the preceding one, so ranges stay inside their nodes.
+ */
+function _findPoint(segments, offset, isStart) {
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const length = segment.node.nodeValue.length;
+    if (isStart ? offset < segment.start + length : offset <= segment.start + length) {
+      return { node: segment.node, offset: Math.max(0, offset - segment.start) };
+    }
+  }
+  const last = segments[segments.length - 1];
+  return { node: last.node, offset: last.node.nodeValue.length };
+}
+
+/**
+ * Replace one match, within the length limit.
+ * @returns {boolean|null} True if replaced, false if the replacement was
+ *   cut and null if it was rejected
+ */
+function _replaceMatch(match, replacement) {
+  let text = String(replacement);
+  if (findState.options.regex) {
+    // Replay the match in the searched text to use the native $ expansion
+    const pattern = _findPattern(findState.query, findState.options);
+    const sticky = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y');
+    sticky.lastIndex = match.index;
+    const replaced = match.text.replace(sticky, text);
+    const after = match.text.length - sticky.lastIndex;
+    text = replaced.slice(match.index, replaced.length - after);
+  }
+
+  const fitted = _limitPlainText(match.range, text, 'insert');
+  if (fitted === null) return null;
+  if (_isTracking(match.range)) {
+    _trackDelete(match.range, true);
+    if (fitted) {
+      const template = document.createElement('template');
+      template.innerHTML = _trackHtml(_escapeHtml(fitted));
+      _editorRange().insertNode(template.content);
+    }
+  } else {
+    match.range.deleteContents();
+    if (fitted) match.range.insertNode(document.createTextNode(fitted));
+  }
+  return fitted === text;
+}
+
+function _moveFindIndex(step) {
+  if (findMatches.length === 0) return -1;
+  findIndex = (findIndex + step + findMatches.length) % findMatches.length;
+  _renderFindMatches();
+  _scrollToFindMatch();
+  return findIndex;
+}
+
+function _scrollToFindMatch() {
+  const match = findMatches[findIndex];
+  if (!match) return;
+  const rect = match.range.getBoundingClientRect();
+  if (rect.top < 0 || rect.bottom > window.innerHeight) {
+    window.scrollBy(0, rect.top - window.innerHeight / 2);
+  }
+}
+
+function _renderFindMatches() {
+  if (!RE.editor) return;
+  if (!findLayer) {
+    findLayer = _createOverlayLayer('find-layer');
+    RE.editor.addEventListener('scroll', _renderFindMatches);
+    window.addEventListener('resize', _renderFindMatches);
+  }
+  findLayer.innerHTML = '';
+  findMatches.forEach((match, index) => {
+    const className = index === findIndex ? 'find-match find-match-current' : 'find-match';
+    Array.from(match.range.getClientRects()).forEach(rect => _addOverlayBox(findLayer, className, rect));
+  });
+}
+
+/**
+ * Search again shortly after the content changed.
+ */
+function _scheduleFindRefresh() {
+  clearTimeout(findRefreshTimeout);
+  findRefreshTimeout = setTimeout(function () {
+    if (!findState) return;
+    _runFind();
+    _renderFindMatches();
+  }, 200);
+}
+
 // ==================== State Detection ====================
 
 // Track previous states to avoid duplicate callbacks
 let previousStateMap = {};
 
-RE.enabledEditingItems = function () {
+/**
+ * Get the formatting and caret state, as reported through onStateChange.
+ * @returns {Object} State map
+ */
+RE.getState = function () {
+  return _editorState().state;
+};
+
+// Whether the content changed since the undo history last moved, tracked
+// from input events so the state never serializes the document
+let historyDirty = false;
+
+/**
+ * Clear historyDirty whenever Summernote records, undoes, redoes or resets.
+ */
+function _watchHistory() {
+  const history = _summernoteHistory();
+  if (!history) return;
+  ['recordUndo', 'undo', 'redo', 'reset'].forEach(name => {
+    const original = history[name];
+    history[name] = function () {
+      historyDirty = false;
+      return original.apply(this, arguments);
+    };
+  });
+}
+
+document.addEventListener('input', function (e) {
+  if (RE.editor && RE.editor.contains(e.target)) historyDirty = true;
+}, true); // before input handlers that record a step
+
+/**
+ * Decoration items (for onDecorationState) and the state map.
+ * @returns {Object} {items, state}
+ */
+function _editorState() {
   var items = [];
 
   if (document.queryCommandState('bold')) items.push('bold');
@@ -587,7 +7908,68 @@ RE.enabledEditingItems = function () {
     }
   }
 
-  const stateString = items.join(',');
+  // Check if cursor is inside inline code or a code block
+  const code = _codeState();
+  if (code) {
+    items.push('code');
+  }
+
+  // Check if cursor is inside a table cell
+  const table = _tableState();
+  if (table) {
+    items.push('table');
+  }
+
+  const caret = _editorRange();
+  const element = caret && (caret.startContainer.nodeType === 1 ? caret.startContainer : caret.startContainer.parentElement);
+  const style = element && RE.editor.contains(element) ? window.getComputedStyle(element) : null;
+  const heading = element && element.closest('h1, h2, h3, h4, h5, h6');
+  const selected = caret && _selectedNode(caret);
+  const history = _summernoteHistory();
+  const snapshot = history && history.stack[history.stackOffset];
+  const unsaved = !!snapshot && historyDirty;
+
+  const state = {};
+  state['bold'] = items.includes('bold');
+  state['italic'] = items.includes('italic');
+  state['underline'] = items.includes('underline');
+  state['strikeThrough'] = items.includes('strikeThrough');
+  state['subscript'] = items.includes('subscript');
+  state['superscript'] = items.includes('superscript');
+  state['orderedList'] = items.includes('orderedList');
+  state['unorderedList'] = items.includes('unorderedList');
+  state['justifyLeft'] = items.includes('justifyLeft');
+  state['justifyCenter'] = items.includes('justifyCenter');
+  state['justifyRight'] = items.includes('justifyRight');
+  state['justifyFull'] = items.includes('justifyFull');
+  state['blockquote'] = items.includes('blockquote');
+  state['formatBlock'] = formatBlock || ''; // Include format block
+  state['code'] = !!code;
+  state['codeLanguage'] = code ? code.language : '';
+  state['table'] = !!table;
+  state['tableRow'] = table ? table.row : -1;
+  state['tableColumn'] = table ? table.column : -1;
+  state['tableRows'] = table ? table.rows : 0;
+  state['tableColumns'] = table ? table.columns : 0;
+  state['fontSize'] = style ? Math.round(parseFloat(style.fontSize)) || 0 : 0;
+  state['textColor'] = style ? _hexColor(style.color) : '';
+  state['backgroundColor'] = element ? _highlightColor(element) : '';
+  state['headingLevel'] = heading && RE.editor.contains(heading) ? Number(heading.nodeName[1]) : 0;
+  state['listDepth'] = element ? _listDepth(element) : 0;
+  state['link'] = !!_linkAtCursor();
+  state['image'] = !!_selectedImage(selected);
+  state['mention'] = !!(element && _mentionAt(element)) ||
+    !!(selected && selected.nodeType === 1 && selected.matches(MENTION_SELECTOR));
+  state['canUndo'] = !!history && (history.stackOffset > 0 || unsaved);
+  state['canRedo'] = !!history && history.stackOffset < history.stack.length - 1 && !unsaved;
+  state['collapsed'] = caret ? caret.collapsed : true;
+
+  return { items: items, state: state };
+}
+
+RE.enabledEditingItems = function () {
+  const current = _editorState();
+  const stateString = current.items.join(',');
 
   // Original callback for backward compatibility
   if (stateString !== lastStateString) {
@@ -604,21 +7986,7 @@ RE.enabledEditingItems = function () {
   }
 
   // NEW: Also call Dart callback if registered (as Map<String, bool> + String>)
-  const stateMap = {};
-  stateMap['bold'] = items.includes('bold');
-  stateMap['italic'] = items.includes('italic');
-  stateMap['underline'] = items.includes('underline');
-  stateMap['strikeThrough'] = items.includes('strikeThrough');
-  stateMap['subscript'] = items.includes('subscript');
-  stateMap['superscript'] = items.includes('superscript');
-  stateMap['orderedList'] = items.includes('orderedList');
-  stateMap['unorderedList'] = items.includes('unorderedList');
-  stateMap['justifyLeft'] = items.includes('justifyLeft');
-  stateMap['justifyCenter'] = items.includes('justifyCenter');
-  stateMap['justifyRight'] = items.includes('justifyRight');
-  stateMap['justifyFull'] = items.includes('justifyFull');
-  stateMap['blockquote'] = items.includes('blockquote');
-  stateMap['formatBlock'] = formatBlock || ''; // Include format block
+  const stateMap = current.state;
 
   // Check if state changed
   let stateChanged = false;
@@ -631,10 +7999,64 @@ RE.enabledEditingItems = function () {
 
   if (stateChanged) {
     previousStateMap = { ...stateMap };
+    if (window.flutter_inappwebview) {
+      window.flutter_inappwebview.callHandler('onEditorState', stateMap);
+    }
     _callDartCallback('onStateChange', stateMap);
   }
 };
 
+/**
+ * Node a range wraps exactly, such as a selected image or mention.
+ */
+function _selectedNode(range) {
+  const container = range.startContainer;
+  if (range.collapsed || container !== range.endContainer || container.nodeType !== 1 ||
+    range.endOffset !== range.startOffset + 1) return null;
+  return container.childNodes[range.startOffset];
+}
+
+/**
+ * Image selected by the range or by Summernote's resize handle. Emoji do
+ * not count.
+ */
+function _selectedImage(selected) {
+  const target = $(RE.editor).data('target');
+  const image = selected && selected.nodeName === 'IMG' ? selected
+    : target && target.nodeName === 'IMG' && RE.editor.contains(target) ? target : null;
+  return image && !image.classList.contains('emoji') ? image : null;
+}
+
+/**
+ * Background color of the nearest highlighted ancestor inside the editor.
+ */
+function _highlightColor(element) {
+  for (let node = element; node && node !== RE.editor && RE.editor.contains(node); node = node.parentElement) {
+    const color = _hexColor(window.getComputedStyle(node).backgroundColor);
+    if (color) return color;
+  }
+  return '';
+}
+
+/**
+ * Convert a computed `rgb()`/`rgba()` color to `#rrggbb`.
+ * @returns {string} Hex color, or '' when transparent
+ */
+function _hexColor(color) {
+  const match = String(color || '').match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (!match) return '';
+  if (match[4] !== undefined && parseFloat(match[4]) === 0) return '';
+  return '#' + match.slice(1, 4).map(value => Number(value).toString(16).padStart(2, '0')).join('');
+}
+
+function _listDepth(element) {
+  let depth = 0;
+  for (let node = element.closest('ul, ol'); node && RE.editor.contains(node); node = node.parentElement.closest('ul, ol')) {
+    depth++;
+  }
+  return depth;
+}
+
 // ==================== Keyboard Handling ====================
 
 RE.handleKeyup = function (e) {
@@ -642,11 +8064,84 @@ RE.handleKeyup = function (e) {
 };
 
 RE.handleKeydown = function (e) {
-  // Special key handling (e.g., Enter in blockquote) will be handled here if needed
+  if ((e.keyCode === 13 && _handleCodeKey('enter')) ||
+    (e.keyCode === 9 && _handleCodeKey(e.shiftKey ? 'shiftTab' : 'tab'))) {
+    e.preventDefault();
+    return;
+  }
+  // Link the URL before the block is split
+  if (e.keyCode === 13) {
+    _autolinkBeforeCaret(0);
+  }
+  if (e.keyCode === 8 && _undoInputRule()) {
+    e.preventDefault();
+    return;
+  }
+  if ((e.keyCode === 8 && _deleteMention(true)) || (e.keyCode === 46 && _deleteMention(false)) ||
+    (!e.shiftKey && e.keyCode === 37 && _skipMention(true)) ||
+    (!e.shiftKey && e.keyCode === 39 && _skipMention(false))) {
+    e.preventDefault();
+    return;
+  }
+  if ((e.keyCode === 13 && !e.shiftKey && _handleTaskKey('enter')) ||
+    (e.keyCode === 8 && _handleTaskKey('backspace'))) {
+    e.preventDefault();
+    return;
+  }
+  // Other special key handling (e.g., Enter in blockquote) will be handled here if needed
 };
 
 // ==================== Utility Functions ====================
 
+/**
+ * Blocks matching `selector` covered by the range, limited to the siblings
+ * of its first block.
+ */
+function _rangeBlocks(range, selector) {
+  const blockOf = node => {
+    const element = node.nodeType === 1 ? node : node.parentElement;
+    const block = element && element.closest(selector);
+    return block && block !== RE.editor && RE.editor.contains(block) ? block : null;
+  };
+  const first = blockOf(range.startContainer);
+  if (!first) return [];
+  const last = blockOf(range.endContainer);
+  const blocks = [first];
+  if (last && last !== first && last.parentNode === first.parentNode) {
+    for (let node = first.nextElementSibling; node; node = node.nextElementSibling) {
+      if (node.matches(selector)) blocks.push(node);
+      if (node === last) break;
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Escape a string for use as HTML text or a quoted attribute value.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function _escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert a CSS color value (e.g. `rgb(255, 0, 0)`) to a hex string.
+ * Values that are not rgb()/rgba() are returned unchanged.
+ * @param {string} color - CSS color
+ * @returns {string} Hex color such as `#ff0000`
+ */
+function _cssColorToHex(color) {
+  const match = String(color).match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (!match) return color;
+  return '#' + match.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('');
+}
+
 function extractYouTubeVideoIdAndTime(url) {
   const regex = /(?:https?:\/\/(?:www\.)?(?:youtube\.com\/(?:watch\?v=|embed\/)|youtu\.be\/)([a-zA-Z0-9_-]{11}))(?:.*(?:[?&]t=)(\d+))?/;
   const match = url.match(regex);
@@ -658,6 +8153,33 @@ function extractYouTubeVideoIdAndTime(url) {
   return null;
 }
 
+/**
+ * An absolutely positioned layer above the editor content, for highlights
+ * that must never become part of the document.
+ */
+function _createOverlayLayer(className) {
+  const layer = document.createElement('div');
+  layer.className = 'editor-overlay ' + className;
+  RE.editor.parentNode.appendChild(layer);
+  return layer;
+}
+
+/**
+ * Add a box covering a viewport rect to an overlay layer.
+ */
+function _addOverlayBox(layer, className, rect, color) {
+  const origin = layer.getBoundingClientRect();
+  const box = document.createElement('div');
+  box.className = className;
+  box.style.left = (rect.left - origin.left) + 'px';
+  box.style.top = (rect.top - origin.top) + 'px';
+  box.style.width = rect.width + 'px';
+  box.style.height = rect.height + 'px';
+  if (color) box.style.backgroundColor = color;
+  layer.appendChild(box);
+  return box;
+}
+
 RE.scrollToCursor = function () {
   var selection = window.getSelection();
   if (selection.rangeCount) {
@@ -0,0 +1,110 @@
+// A minimal WebSocket relay for testing collaborative editing locally.
+//
+// Run with `dart run tool/collab_relay.dart [port]` from the example
+// directory, then connect each editor to ws://<host>:<port>.
+//
+// Every message is forwarded to all other clients. Operations are also kept
+// in memory and replayed to clients that join later, so they receive the
+// current document. The history stays as large as the document: an update
+// based on the latest known version of a block is folded into the block's
+// insert, removed blocks keep an empty insert for ordering, and only
+// concurrent updates, which the editors merge, are kept as they are. When a
+// client disconnects, the others get a `{"type": "leave", "siteId": ...}`
+// message.
+//
+// Messages are JSON objects:
+//   {"type": "ops", "siteId": "a", "ops": [...]}
+//   {"type": "cursor", "siteId": "a", "cursor": {...}}
+import 'dart:convert';
+import 'dart:io';
+
+Future<void> main(List<String> args) async {
+  final port = args.isNotEmpty ? int.parse(args.first) : 8080;
+  final server = await HttpServer.bind(InternetAddress.anyIPv4, port);
+  final clients = <WebSocket, String?>{};
+  final history = _History();
+
+  stdout.writeln('Collaboration relay listening on ws://localhost:$port');
+
+  await for (final request in server) {
+    if (!WebSocketTransformer.isUpgradeRequest(request)) {
+      request.response
+        ..statusCode = HttpStatus.badRequest
+        ..close();
+      continue;
+    }
+
+    final socket = await WebSocketTransformer.upgrade(request);
+    clients[socket] = null;
+    final replay = history.replay();
+    if (replay.isNotEmpty) {
+      socket.add(jsonEncode({'type': 'ops', 'siteId': null, 'ops': replay}));
+    }
+
+    socket.listen(
+      (data) {
+        if (data is! String) return;
+        final Map<String, dynamic> message;
+        try {
+          message = jsonDecode(data) as Map<String, dynamic>;
+        } catch (_) {
+          return;
+        }
+        clients[socket] ??= message['siteId']?.toString();
+        if (message['type'] == 'ops' && message['ops'] is List) {
+          for (final op in message['ops'] as List) {
+            if (op is Map) history.add(Map<String, dynamic>.from(op));
+          }
+        }
+        for (final other in clients.keys) {
+          if (other != socket) other.add(data);
+        }
+      },
+      onDone: () {
+        final siteId = clients.remove(socket);
+        if (siteId == null) return;
+        final leave = jsonEncode({'type': 'leave', 'siteId': siteId});
+        for (final other in clients.keys) {
+          other.add(leave);
+        }
+      },
+    );
+  }
+}
+
+/// Compacted operation history of one document
+class _History {
+  final _inserts = <String, Map<String, dynamic>>{}; // in arrival order
+  final _updates = <String, List<Map<String, dynamic>>>{};
+  final _removed = <String>{};
+
+  void add(Map<String, dynamic> op) {
+    final id = op['id']?.toString();
+    if (id == null) return;
+    switch (op['type']) {
+      case 'insert':
+        _inserts.putIfAbsent(id, () => op);
+      case 'update':
+        final insert = _inserts[id];
+        if (insert == null || _removed.contains(id)) return;
+        final updates = _updates[id] ?? [];
+        if (updates.isEmpty && op['base'] == insert['html']) {
+          insert['html'] = op['html'];
+        } else {
+          _updates[id] = updates..add(op);
+        }
+      case 'remove':
+        final insert = _inserts[id];
+        if (insert == null) return;
+        insert['html'] = '';
+        _updates.remove(id);
+        _removed.add(id);
+    }
+  }
+
+  List<Map<String, dynamic>> replay() => [
+        ..._inserts.values,
+        for (final updates in _updates.values) ...updates,
+        for (final id in _removed) {'type': 'remove', 'id': id},
+      ];
+}
@@ -1,5 +1,24 @@
 export 'src/core/rich_editor.dart';
 export 'src/core/rich_editor_controller.dart';
+export 'src/models/collaboration.dart';
+export 'src/models/content_change.dart';
+export 'src/models/document_node.dart';
+export 'src/models/document_stats.dart';
+export 'src/models/editor_annotation.dart';
+export 'src/models/editor_draft.dart';
+export 'src/models/editor_image.dart';
+export 'src/models/editor_limit.dart';
+export 'src/models/editor_link.dart';
+export 'src/models/editor_mention.dart';
+export 'src/models/editor_selection.dart';
+export 'src/models/editor_trigger.dart';
+export 'src/models/image_upload.dart';
+export 'src/models/input_rule.dart';
+export 'src/models/media_embed.dart';
+export 'src/models/paste_data.dart';
+export 'src/models/sanitizer_policy.dart';
+export 'src/models/summernote_callbacks.dart';
+export 'src/models/tracked_change.dart';
 
 export 'src/toolbar/rich_editor_toolbar.dart';
 export 'src/toolbar/toolbar_button.dart';
@@ -1,4 +1,6 @@
+import 'dart:async';
 import 'dart:convert';
+import 'dart:typed_data';
 
 import 'package:flutter/material.dart';
 import 'package:flutter/services.dart';
@@ -6,12 +8,41 @@ import 'package:flutter_inappwebview/flutter_inappwebview.dart';
 
 import 'rich_editor_controller.dart';
 import '../css/custom_css.dart';
+import '../emoji/models/emoji.dart';
+import '../emoji/models/emoji_source.dart';
+import '../models/collaboration.dart';
+import '../models/content_change.dart';
+import '../models/document_stats.dart';
+import '../models/editor_draft.dart';
+import '../models/editor_image.dart';
+import '../models/editor_limit.dart';
+import '../models/editor_link.dart';
+import '../models/editor_trigger.dart';
+import '../models/image_upload.dart';
+import '../models/input_rule.dart';
+import '../models/media_embed.dart';
+import '../models/paste_data.dart';
+import '../models/sanitizer_policy.dart';
 import '../models/summernote_callbacks.dart';
 import '../plugin/summernote_plugin.dart';
 
 @Deprecated("Use MBRichEditor instead")
 typedef RichEditor = MBRichEditor;
 
+/// Callback when a task list item is checked or unchecked by the user.
+typedef TaskToggleCallback = void Function(String id, bool checked);
+
+/// Callback when the user taps annotated text, with the innermost
+/// annotation's id and its rectangle in WebView (CSS pixel) coordinates.
+typedef AnnotationTapCallback = void Function(String id, Rect rect);
+
+/// Callback with the emoji matching the `:shortcode` typed at the caret.
+typedef EmojiSuggestionsCallback =
+    void Function(TriggerQuery query, List<Emoji> suggestions);
+
+/// Trigger id registered by `RE.configureEmoji` for `:shortcode` autocomplete
+const _emojiTriggerId = 'emoji';
+
 ///
 /// A WebView-based rich text editor for Flutter.
 ///
@@ -143,6 +174,277 @@ class MBRichEditor extends StatefulWidget {
   /// ```
   final List<CustomCSS> customCSS;
 
+  /// Allowlist policy for the HTML sanitizer.
+  ///
+  /// Every content entry point (`setHtml`, `insertHtml`, paste, media and
+  /// link insertion) and `getHtml` runs through the sanitizer. When `null`,
+  /// the bridge defaults are used.
+  ///
+  /// Example:
+  /// ```dart
+  /// sanitizerPolicy: SanitizerPolicy(
+  ///   allowedUrlSchemes: ['https', 'mailto'],
+  /// )
+  /// ```
+  final SanitizerPolicy? sanitizerPolicy;
+
+  /// How pasted content is cleaned before insertion (default: [PasteMode.full]).
+  ///
+  /// Word and Google Docs markup is stripped in every mode.
+  final PasteMode pasteMode;
+
+  /// Rewrite the cleaned paste fragment before it is inserted.
+  ///
+  /// Return the HTML to insert, `null` to keep the cleaned fragment, or an
+  /// empty string to cancel the paste.
+  ///
+  /// Example:
+  /// ```dart
+  /// onPasteTransform: (data) => data.html.replaceAll('foo', 'bar'),
+  /// ```
+  final PasteTransformCallback? onPasteTransform;
+
+  /// Callback when images are dropped or pasted into the editor.
+  ///
+  /// When provided, a placeholder with a progress bar is inserted at the
+  /// caret and the image bytes are handed over for upload. Finish the upload
+  /// with [MBRichEditorController.resolveUpload] or
+  /// [MBRichEditorController.failUpload].
+  ///
+  /// Example:
+  /// ```dart
+  /// onImageUpload: (upload) async {
+  ///   try {
+  ///     final url = await myApi.upload(upload.bytes, onProgress: (pct) {
+  ///       controller.updateUploadProgress(upload.id, pct);
+  ///     });
+  ///     await controller.resolveUpload(upload.id, url);
+  ///   } catch (e) {
+  ///     await controller.failUpload(upload.id, e.toString());
+  ///   }
+  /// },
+  /// ```
+  final ValueChanged<ImageUpload>? onImageUpload;
+
+  /// Send only changed blocks instead of the whole document (default: false).
+  ///
+  /// Recommended for long documents: typing no longer serializes the whole
+  /// content on every change. [onTextChange] and
+  /// [MBRichEditorController.html] keep working, rebuilt from the blocks.
+  final bool incrementalChanges;
+
+  /// Callback for each message of the incremental change stream.
+  ///
+  /// Only called when [incrementalChanges] is enabled. Messages with
+  /// revision gaps are dropped and a resync is requested automatically.
+  ///
+  /// Example:
+  /// ```dart
+  /// onContentChange: (change) {
+  ///   for (final op in change.operations) {
+  ///     print('${op.type.name} ${op.id}');
+  ///   }
+  /// },
+  /// ```
+  final ValueChanged<ContentChange>? onContentChange;
+
+  /// Callback with local operations to relay to other sites while
+  /// collaborating (see [MBRichEditorController.startCollaboration]).
+  ///
+  /// Example:
+  /// ```dart
+  /// onLocalOps: (ops) => socket.add(jsonEncode({'type': 'ops', 'ops': ops})),
+  /// ```
+  final ValueChanged<List<Map<String, dynamic>>>? onLocalOps;
+
+  /// Callback when the local caret or selection moves while collaborating.
+  final ValueChanged<CollabCursor>? onLocalCursor;
+
+  /// Callback when the caret enters a link, e.g. to show a link toolbar.
+  ///
+  /// Example:
+  /// ```dart
+  /// onLinkTap: (link) => showLinkSheet(link.href, link.text),
+  /// ```
+  final ValueChanged<EditorLink>? onLinkTap;
+
+  /// Turn typed URLs into links when a space or line break follows them
+  /// (default: false).
+  final bool autolink;
+
+  /// Callback when the user taps the checkbox of a task list item.
+  ///
+  /// The id is the item's `data-task-id`, which is kept in the HTML.
+  ///
+  /// Example:
+  /// ```dart
+  /// onTaskToggle: (id, checked) => todoRepository.setDone(id, checked),
+  /// ```
+  final TaskToggleCallback? onTaskToggle;
+
+  /// Languages highlighted in code blocks, by name or alias (e.g. `'dart'`,
+  /// `'js'`). Defaults to every built-in grammar; an empty list turns
+  /// highlighting off.
+  ///
+  /// Example:
+  /// ```dart
+  /// codeLanguages: ['dart', 'kotlin', 'swift'],
+  /// ```
+  final List<String>? codeLanguages;
+
+  /// Apply Markdown-style shortcuts while typing, such as `# ` for a
+  /// heading, `**bold**` or smart quotes (default: false). Backspace right
+  /// after a shortcut restores the typed text.
+  final bool inputRules;
+
+  /// Rules added to (or replacing) the built-in input rules.
+  ///
+  /// Example:
+  /// ```dart
+  /// inputRules: true,
+  /// customInputRules: [
+  ///   InputRule.text(name: 'arrow', pattern: '->', replacement: '→'),
+  /// ],
+  /// ```
+  final List<InputRule> customInputRules;
+
+  /// Characters such as `#` or `/` that open a picker for the word typed
+  /// after them.
+  ///
+  /// Example:
+  /// ```dart
+  /// triggers: [
+  ///   EditorTrigger(
+  ///     id: 'command',
+  ///     trigger: '/',
+  ///     onQuery: (query) => showCommandMenu(query.query, query.rect),
+  ///     onHide: hideCommandMenu,
+  ///   ),
+  /// ],
+  /// ```
+  final List<EditorTrigger> triggers;
+
+  /// Emoji set used for `:shortcode` autocomplete and conversion, and to
+  /// replace pasted Unicode emoji with the matching image emoji. Emoji
+  /// images can be exported as text through the `emoji` argument of
+  /// `MBRichEditorController.getHtml` and `getText`.
+  final EmojiSource? emojiSource;
+
+  /// Replace a completed `:shortcode:` with its emoji while typing
+  /// (default: true). Backspace right after restores the typed text.
+  final bool emojiShortcodes;
+
+  /// Called with matching emoji from [emojiSource] while a `:shortcode` is
+  /// typed. Complete it through `MBRichEditorController.completeEmoji`.
+  ///
+  /// Example:
+  /// ```dart
+  /// emojiSource: emojiSource,
+  /// onEmojiSuggestions: (query, suggestions) =>
+  ///     showEmojiMenu(suggestions, query.rect),
+  /// onEmojiSuggestionsHide: hideEmojiMenu,
+  /// ```
+  final EmojiSuggestionsCallback? onEmojiSuggestions;
+
+  /// Called when the caret leaves the `:shortcode` or it is completed
+  final VoidCallback? onEmojiSuggestionsHide;
+
+  /// Maximum length of the document, enforced for typing, paste and
+  /// inserts. Change it later with `MBRichEditorController.setLimit`.
+  final EditorLimit? limit;
+
+  /// Called when input is rejected or truncated by [limit]
+  final ValueChanged<LimitExceeded>? onLimitExceeded;
+
+  /// Called with character, word, paragraph, image and mention counts and
+  /// the reading time as the content changes, at most once per
+  /// [statsInterval].
+  ///
+  /// Example:
+  /// ```dart
+  /// onStats: (stats) => setState(() => _words = stats.words),
+  /// ```
+  final ValueChanged<DocumentStats>? onStats;
+
+  /// Shortest time between two [onStats] calls (default: 500 ms)
+  final Duration statsInterval;
+
+  /// Key the document is autosaved under as a draft, e.g. the id of the post
+  /// being edited. Drafts are kept in the WebView and survive the WebView
+  /// process being killed. Content loaded with `setHtml` is not saved, only
+  /// the changes made after it.
+  ///
+  /// When the editor starts and a draft exists for this key, it is offered
+  /// through [onDraftFound]. Discard it with
+  /// `MBRichEditorController.discardDraft` once the document is published.
+  final String? draftKey;
+
+  /// Shortest time between two draft saves (default: 1 s). Pending changes
+  /// are also saved when the WebView is hidden.
+  final Duration draftInterval;
+
+  /// Called after initialization when a draft exists for [draftKey]. Return
+  /// `true` to restore it (replacing content set in [onReady]) or `false` to
+  /// discard it. Without this callback the draft is restored.
+  ///
+  /// Example:
+  /// ```dart
+  /// onDraftFound: (draft) async {
+  ///   return await showDialog<bool>(
+  ///         context: context,
+  ///         builder: (context) => RestoreDraftDialog(draft: draft),
+  ///       ) ??
+  ///       false;
+  /// },
+  /// ```
+  final DraftRestoreCallback? onDraftFound;
+
+  /// Callback when the user taps text anchored to an annotation added with
+  /// `MBRichEditorController.addAnnotation`.
+  ///
+  /// Example:
+  /// ```dart
+  /// onAnnotationTap: (id, rect) => showCommentThread(id, anchor: rect),
+  /// ```
+  final AnnotationTapCallback? onAnnotationTap;
+
+  /// Callback when the user taps an image, which selects it and shows
+  /// resize handles. Change the selected image with
+  /// `MBRichEditorController.updateSelectedImage`.
+  ///
+  /// Example:
+  /// ```dart
+  /// onImageSelected: (image) => setState(() => _selectedImage = image),
+  /// onImageDeselected: () => setState(() => _selectedImage = null),
+  /// ```
+  final ValueChanged<EditorImage>? onImageSelected;
+
+  /// Callback when the selected image is deselected or deleted
+  final VoidCallback? onImageDeselected;
+
+  /// Media providers added to (or replacing) the built-in YouTube, Vimeo,
+  /// TikTok and X providers. URLs they match can be inserted with
+  /// `MBRichEditorController.insertEmbed` as non-editable preview cards.
+  final List<EmbedProvider> embedProviders;
+
+  /// How `getHtml` writes media embeds unless it is given a format
+  final EmbedExportFormat embedExport;
+
+  /// Callback when a media URL a provider can embed is pasted. Returning
+  /// `true` replaces the pasted URL with an embed (one undo step). Pasted
+  /// URLs stay as they are when this is `null`.
+  ///
+  /// Example:
+  /// ```dart
+  /// onEmbedOffer: (offer) async =>
+  ///     await showDialog<bool>(
+  ///       context: context,
+  ///       builder: (context) => EmbedOfferDialog(name: offer.name),
+  ///     ) ??
+  ///     false,
+  /// ```
+  final EmbedOfferCallback? onEmbedOffer;
+
   const MBRichEditor({
     super.key,
     required this.controller,
@@ -163,6 +465,38 @@ class MBRichEditor extends StatefulWidget {
     this.customSummernoteOptions,
     this.summernoteCallbacks,
     this.customCSS = const [],
+    this.sanitizerPolicy,
+    this.pasteMode = PasteMode.full,
+    this.onPasteTransform,
+    this.onImageUpload,
+    this.incrementalChanges = false,
+    this.onContentChange,
+    this.onLocalOps,
+    this.onLocalCursor,
+    this.onLinkTap,
+    this.autolink = false,
+    this.onTaskToggle,
+    this.codeLanguages,
+    this.inputRules = false,
+    this.customInputRules = const [],
+    this.triggers = const [],
+    this.emojiSource,
+    this.emojiShortcodes = true,
+    this.onEmojiSuggestions,
+    this.onEmojiSuggestionsHide,
+    this.limit,
+    this.onLimitExceeded,
+    this.onStats,
+    this.statsInterval = const Duration(milliseconds: 500),
+    this.draftKey,
+    this.draftInterval = const Duration(seconds: 1),
+    this.onDraftFound,
+    this.onAnnotationTap,
+    this.onImageSelected,
+    this.onImageDeselected,
+    this.embedProviders = const [],
+    this.embedExport = EmbedExportFormat.bbcode,
+    this.onEmbedOffer,
   });
 
   @override
@@ -173,6 +507,12 @@ class _MBRichEditorState extends State<MBRichEditor> {
   late InAppWebViewController _webViewController;
   List<CustomCSS> _pendingEditorCSS = [];
 
+  /// Base64 chunks of images being received, by upload id
+  final Map<String, List<String?>> _uploadChunks = {};
+
+  /// Number of emoji searches started, so stale results are dropped
+  int _emojiSearches = 0;
+
   @override
   void initState() {
     super.initState();
@@ -206,6 +546,192 @@ class _MBRichEditorState extends State<MBRichEditor> {
       },
     );
 
+    controller.addJavaScriptHandler(
+      handlerName: 'onContentChange',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          final change = ContentChange.fromMap(
+            Map<String, dynamic>.from(args[0] as Map),
+          );
+          if (widget.controller.applyContentChange(change)) {
+            widget.onContentChange?.call(change);
+          }
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onLocalOps',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is List) {
+          widget.onLocalOps?.call(
+            (args[0] as List)
+                .whereType<Map>()
+                .map((op) => Map<String, dynamic>.from(op))
+                .toList(),
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onLocalCursor',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          widget.onLocalCursor?.call(
+            CollabCursor.fromMap(Map<String, dynamic>.from(args[0] as Map)),
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onLinkTap',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          widget.onLinkTap?.call(
+            EditorLink.fromMap(Map<String, dynamic>.from(args[0] as Map)),
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onTaskToggle',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          final toggle = Map<String, dynamic>.from(args[0] as Map);
+          widget.onTaskToggle?.call(
+            toggle['id']?.toString() ?? '',
+            toggle['checked'] == true,
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onImageSelected',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          widget.onImageSelected?.call(
+            EditorImage.fromMap(Map<String, dynamic>.from(args[0] as Map)),
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onImageDeselected',
+      callback: (args) {
+        widget.onImageDeselected?.call();
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onEmbedOffer',
+      callback: (args) async {
+        if (widget.onEmbedOffer == null || args.isEmpty || args[0] is! Map) {
+          return false;
+        }
+        final offer = EmbedOffer.fromMap(
+          Map<String, dynamic>.from(args[0] as Map),
+        );
+        return await widget.onEmbedOffer!(offer);
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onAnnotationTap',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          final tap = Map<String, dynamic>.from(args[0] as Map);
+          final rect = tap['rect'] is Map
+              ? Map<String, dynamic>.from(tap['rect'] as Map)
+              : const <String, dynamic>{};
+          double value(String key) => (rect[key] as num?)?.toDouble() ?? 0;
+          widget.onAnnotationTap?.call(
+            tap['id']?.toString() ?? '',
+            Rect.fromLTWH(
+              value('left'),
+              value('top'),
+              value('width'),
+              value('height'),
+            ),
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onTrigger',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          final query = TriggerQuery.fromMap(
+            Map<String, dynamic>.from(args[0] as Map),
+          );
+          if (query.id == _emojiTriggerId) {
+            _searchEmojis(query);
+            return;
+          }
+          for (final trigger in widget.triggers) {
+            if (trigger.id == query.id) trigger.onQuery(query);
+          }
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onTriggerHide',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          final id = (args[0] as Map)['id']?.toString();
+          if (id == _emojiTriggerId) {
+            _emojiSearches++;
+            widget.onEmojiSuggestionsHide?.call();
+            return;
+          }
+          for (final trigger in widget.triggers) {
+            if (trigger.id == id) trigger.onHide?.call();
+          }
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onLimitExceeded',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          widget.onLimitExceeded?.call(
+            LimitExceeded.fromMap(Map<String, dynamic>.from(args[0] as Map)),
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onStats',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          widget.onStats?.call(
+            DocumentStats.fromMap(Map<String, dynamic>.from(args[0] as Map)),
+          );
+        }
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onEditorState',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          widget.controller.updateState(
+            SummernoteToolbarState.fromMap(
+              Map<String, dynamic>.from(args[0] as Map),
+            ),
+          );
+        }
+      },
+    );
+
     controller.addJavaScriptHandler(
       handlerName: 'onDecorationState',
       callback: (args) {
@@ -224,6 +750,30 @@ class _MBRichEditorState extends State<MBRichEditor> {
       },
     );
 
+    controller.addJavaScriptHandler(
+      handlerName: 'onPasteTransform',
+      callback: (args) async {
+        if (widget.onPasteTransform == null ||
+            args.isEmpty ||
+            args[0] is! Map) {
+          return null;
+        }
+        final data = PasteData.fromMap(
+          Map<String, dynamic>.from(args[0] as Map),
+        );
+        return await widget.onPasteTransform!(data);
+      },
+    );
+
+    controller.addJavaScriptHandler(
+      handlerName: 'onImageUploadData',
+      callback: (args) {
+        if (args.isNotEmpty && args[0] is Map) {
+          _handleImageUploadChunk(Map<String, dynamic>.from(args[0] as Map));
+        }
+      },
+    );
+
     controller.addJavaScriptHandler(
       handlerName: 'onFocus',
       callback: (args) {
@@ -308,14 +858,76 @@ class _MBRichEditorState extends State<MBRichEditor> {
             await _injectCustomSummernoteOptions(controller);
           }
 
-          // Step 5: Initialize Summernote
+          // Step 5: Configure the HTML sanitizer, paste pipeline, image
+          // upload, autolinking, code highlighting, input rules, triggers,
+          // emoji, media embeds, length limit, statistics and change stream
+          // before any content is set
+          if (widget.sanitizerPolicy != null) {
+            await controller.evaluateJavascript(
+              source:
+                  'RE.setSanitizerPolicy(${jsonEncode(widget.sanitizerPolicy!.toJson())});',
+            );
+          }
+          await _configurePaste(controller);
+          await controller.evaluateJavascript(
+            source: 'RE.configureAutolink({enabled: ${widget.autolink}});',
+          );
+          if (widget.codeLanguages != null) {
+            await controller.evaluateJavascript(
+              source:
+                  'RE.configureCodeBlocks(${jsonEncode({'languages': widget.codeLanguages})});',
+            );
+          }
+          await controller.evaluateJavascript(
+            source: 'RE.configureInputRules({enabled: ${widget.inputRules}});',
+          );
+          for (final rule in widget.customInputRules) {
+            await controller.evaluateJavascript(
+              source: 'RE.registerInputRule(${jsonEncode(rule.toJson())});',
+            );
+          }
+          for (final trigger in widget.triggers) {
+            await controller.evaluateJavascript(
+              source: 'RE.registerTrigger(${jsonEncode(trigger.toJson())});',
+            );
+          }
+          if (widget.emojiSource != null) {
+            await _configureEmoji(controller);
+          }
+          await _configureEmbeds(controller);
+          if (widget.limit != null) {
+            await controller.evaluateJavascript(
+              source: 'RE.configureLimit(${jsonEncode(widget.limit!.toJson())});',
+            );
+          }
+          if (widget.onStats != null) {
+            final options = {
+              'enabled': true,
+              'interval': widget.statsInterval.inMilliseconds,
+            };
+            await controller.evaluateJavascript(
+              source: 'RE.configureStats(${jsonEncode(options)});',
+            );
+          }
+          if (widget.incrementalChanges) {
+            await controller.evaluateJavascript(
+              source: 'RE.configureChangeStream({enabled: true});',
+            );
+          }
+
+          // Step 6: Initialize Summernote
           if (widget.useSummernote) {
             await controller.evaluateJavascript(source: 'RE.initSummernote();');
           }
 
-          // Step 6: Apply initial settings and mark as ready
+          // Step 7: Apply initial settings and mark as ready
           _applyInitialSettings();
           widget.controller.setReady(true);
+
+          // Step 8: Offer the saved draft, then start autosaving
+          if (widget.draftKey != null) {
+            await _configureDrafts();
+          }
         },
         shouldOverrideUrlLoading: (controller, navigation) async =>
             _handleUrlLoading(controller, navigation),
@@ -407,6 +1019,130 @@ class _MBRichEditorState extends State<MBRichEditor> {
     }
   }
 
+  /// Configure the paste pipeline (mode, Dart transform) and image upload
+  Future<void> _configurePaste(InAppWebViewController controller) async {
+    final options = {
+      'mode': widget.pasteMode.name,
+      'transform': widget.onPasteTransform != null,
+    };
+    await controller.evaluateJavascript(
+      source: 'RE.configurePaste(${jsonEncode(options)});',
+    );
+    await controller.evaluateJavascript(
+      source:
+          'RE.configureImageUpload({enabled: ${widget.onImageUpload != null}});',
+    );
+  }
+
+  /// Configure the media embed export and paste offer, and register
+  /// [MBRichEditor.embedProviders]
+  Future<void> _configureEmbeds(InAppWebViewController controller) async {
+    final options = {
+      'export': widget.embedExport.name,
+      'offerPastedUrls': widget.onEmbedOffer != null,
+    };
+    await controller.evaluateJavascript(
+      source: 'RE.configureEmbeds(${jsonEncode(options)});',
+    );
+    for (final provider in widget.embedProviders) {
+      await controller.evaluateJavascript(
+        source: 'RE.registerEmbedProvider(${jsonEncode(provider.toJson())});',
+      );
+    }
+  }
+
+  /// Configure emoji autocomplete and conversion, then send the emoji set
+  /// once [MBRichEditor.emojiSource] has loaded it, without holding up
+  /// editor initialization
+  Future<void> _configureEmoji(InAppWebViewController controller) async {
+    final options = {
+      'autocomplete': widget.onEmojiSuggestions != null,
+      'convertShortcodes': widget.emojiShortcodes,
+    };
+    await controller.evaluateJavascript(
+      source: 'RE.configureEmoji(${jsonEncode(options)});',
+    );
+    unawaited(
+      widget.emojiSource!.loadCategories().then((categories) {
+        if (!mounted) return null;
+        final emojis = [
+          for (final category in categories)
+            for (final emoji in category.emojis)
+              {
+                'id': emoji.id,
+                'name': emoji.name,
+                'shortcodes': emoji.shortcodes,
+                'unicode': emoji.unicode,
+                'imageUrl': emoji.imageUrl,
+                'alt': emoji.metadata?['alt'],
+              },
+        ];
+        return controller.evaluateJavascript(
+          source: 'RE.setEmojiSet(${jsonEncode(emojis)});',
+        );
+      }).catchError((Object e) {
+        debugPrint('Error loading emoji categories: $e');
+      }),
+    );
+  }
+
+  /// Restore or discard the draft saved under [MBRichEditor.draftKey], as
+  /// decided by [MBRichEditor.onDraftFound], then autosave under that key
+  Future<void> _configureDrafts() async {
+    final key = widget.draftKey!;
+    final draft = await widget.controller.getDraft(key);
+    if (draft != null) {
+      final restore = await widget.onDraftFound?.call(draft) ?? true;
+      if (!mounted) return;
+      if (restore) {
+        await widget.controller.restoreDraft(key);
+      } else {
+        await widget.controller.discardDraft(key);
+      }
+    }
+    await widget.controller.setDraftKey(key, interval: widget.draftInterval);
+  }
+
+  /// Search [MBRichEditor.emojiSource] for a `:shortcode` query and report
+  /// the results unless a newer query or hide arrived meanwhile
+  Future<void> _searchEmojis(TriggerQuery query) async {
+    final source = widget.emojiSource;
+    if (source == null || widget.onEmojiSuggestions == null) return;
+    final search = ++_emojiSearches;
+    final suggestions = await source.searchEmojis(query.query);
+    if (!mounted || search != _emojiSearches) return;
+    widget.onEmojiSuggestions?.call(query, suggestions);
+  }
+
+  /// Collect the chunks of an uploaded image and hand it over when complete
+  void _handleImageUploadChunk(Map<String, dynamic> chunk) {
+    final id = chunk['id']?.toString() ?? '';
+    final count = (chunk['count'] as num?)?.toInt() ?? 1;
+    final index = (chunk['index'] as num?)?.toInt() ?? 0;
+    if (id.isEmpty || index < 0 || index >= count) return;
+
+    final chunks = _uploadChunks.putIfAbsent(
+      id,
+      () => List<String?>.filled(count, null),
+    );
+    chunks[index] = chunk['data']?.toString() ?? '';
+    if (chunks.contains(null)) return;
+
+    _uploadChunks.remove(id);
+    final bytes = BytesBuilder(copy: false);
+    for (final data in chunks) {
+      bytes.add(base64Decode(data!));
+    }
+    widget.onImageUpload?.call(
+      ImageUpload(
+        id: id,
+        name: chunk['name']?.toString() ?? 'image',
+        mimeType: chunk['mimeType']?.toString() ?? '',
+        bytes: bytes.takeBytes(),
+      ),
+    );
+  }
+
   /// Inject custom Summernote options before initialization
   Future<void> _injectCustomSummernoteOptions(
     InAppWebViewController controller,
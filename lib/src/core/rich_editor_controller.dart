@@ -5,6 +5,23 @@ import 'package:flutter_inappwebview/flutter_inappwebview.dart';
 
 import '../css/custom_css.dart';
 import '../emoji/models/emoji.dart';
+import '../models/collaboration.dart';
+import '../models/content_change.dart';
+import '../models/document_node.dart';
+import '../models/document_stats.dart';
+import '../models/editor_annotation.dart';
+import '../models/editor_draft.dart';
+import '../models/editor_image.dart';
+import '../models/editor_limit.dart';
+import '../models/editor_link.dart';
+import '../models/editor_mention.dart';
+import '../models/editor_selection.dart';
+import '../models/input_rule.dart';
+import '../models/media_embed.dart';
+import '../models/paste_data.dart';
+import '../models/sanitizer_policy.dart';
+import '../models/summernote_callbacks.dart';
+import '../models/tracked_change.dart';
 
 @Deprecated("Use MBRichEditorController instead")
 typedef RichEditorController = MBRichEditorController;
@@ -18,7 +35,11 @@ class MBRichEditorController extends ChangeNotifier {
   bool _isReady = false;
   String _html = '';
   final List<String> _activeStates = [];
+  SummernoteToolbarState _state = const SummernoteToolbarState();
   Emoji? _currentEmoji;
+  final List<ContentBlock> _blocks = [];
+  int _revision = 0;
+  bool _resyncPending = false;
 
   /// Callback when text changes
   ValueChanged<String>? onTextChange;
@@ -43,9 +64,19 @@ class MBRichEditorController extends ChangeNotifier {
   /// Get current HTML content
   String get html => _html;
 
+  /// Blocks received from the incremental change stream
+  List<ContentBlock> get blocks => List.unmodifiable(_blocks);
+
+  /// Revision of the last applied change stream message
+  int get revision => _revision;
+
   /// Get current decoration state
   List<String> get activeStates => List.unmodifiable(_activeStates);
 
+  /// Formatting and caret state last reported by the editor, including
+  /// font, colors and undo availability
+  SummernoteToolbarState get state => _state;
+
   /// Set HTML result from JavaScript (internal use)
   void setHtmlResult(String html) {
     _html = html;
@@ -65,6 +96,102 @@ class MBRichEditorController extends ChangeNotifier {
     onTextChange?.call(html);
   }
 
+  /// Apply a change stream message (called from JavaScript)
+  ///
+  /// Returns `false` if the change was dropped. A full resync is requested
+  /// when a revision is skipped or an operation refers to an unknown block.
+  /// Resets are always applied, since revisions restart after the WebView
+  /// reloads.
+  bool applyContentChange(ContentChange change) {
+    if (change.isReset) {
+      _blocks
+        ..clear()
+        ..addAll(change.blocks);
+      _resyncPending = false;
+    } else if (_resyncPending || change.revision <= _revision) {
+      return false;
+    } else if (change.revision != _revision + 1 ||
+        !_applyBlockOperations(change.operations)) {
+      requestResync();
+      return false;
+    }
+
+    _revision = change.revision;
+    _html = _blocks.map((block) => block.html).join();
+    onTextChange?.call(_html);
+    return true;
+  }
+
+  bool _applyBlockOperations(List<BlockOperation> operations) {
+    for (final operation in operations) {
+      final index = _blocks.indexWhere((block) => block.id == operation.id);
+      switch (operation.type) {
+        case BlockOperationType.remove:
+          if (index < 0) return false;
+          _blocks.removeAt(index);
+          break;
+        case BlockOperationType.update:
+          if (index < 0) return false;
+          _blocks[index] = ContentBlock(
+            id: operation.id,
+            html: operation.html ?? '',
+          );
+          break;
+        case BlockOperationType.insert:
+          final after = operation.after == null
+              ? -1
+              : _blocks.indexWhere((block) => block.id == operation.after);
+          if (operation.after != null && after < 0) return false;
+          _blocks.insert(
+            after + 1,
+            ContentBlock(id: operation.id, html: operation.html ?? ''),
+          );
+          break;
+      }
+    }
+    return true;
+  }
+
+  /// Ask the editor to send all blocks again with the next revision
+  Future<void> requestResync() async {
+    _resyncPending = true;
+    await _evalJs('RE.requestResync();');
+  }
+
+  // ==================== Collaboration ====================
+
+  /// Start collaborative editing as [siteId], which must be unique per
+  /// editor instance.
+  ///
+  /// Existing content is published through `MBRichEditor.onLocalOps`, so
+  /// only one site should start with content. An empty editor receives the
+  /// document from the operations of the other sites.
+  Future<void> startCollaboration({required String siteId}) async {
+    await _evalJs(
+      'RE.startCollaboration(${jsonEncode({'siteId': siteId})});',
+    );
+  }
+
+  /// Stop collaborative editing and remove all remote cursors
+  Future<void> stopCollaboration() async {
+    await _evalJs('RE.stopCollaboration();');
+  }
+
+  /// Apply operations received from another site's `onLocalOps`
+  Future<void> applyRemoteOps(List<Map<String, dynamic>> ops) async {
+    await _evalJs('RE.applyRemoteOps(${jsonEncode(ops)});');
+  }
+
+  /// Show or move the caret and selection of another site
+  Future<void> updateRemoteCursor(CollabCursor cursor) async {
+    await _evalJs('RE.updateRemoteCursor(${jsonEncode(cursor.toJson())});');
+  }
+
+  /// Hide the caret of a site that left
+  Future<void> removeRemoteCursor(String siteId) async {
+    await _evalJs('RE.removeRemoteCursor(${jsonEncode(siteId)});');
+  }
+
   /// Update decoration state (called from JavaScript)
   void updateDecorationState(String stateString) {
     _activeStates.clear();
@@ -75,6 +202,23 @@ class MBRichEditorController extends ChangeNotifier {
     notifyListeners();
   }
 
+  /// Update formatting and caret state (called from JavaScript)
+  void updateState(SummernoteToolbarState state) {
+    if (state == _state) return;
+    _state = state;
+    notifyListeners();
+  }
+
+  /// Read the formatting and caret state now, e.g. right after a command,
+  /// instead of waiting for the next update of [state]
+  Future<SummernoteToolbarState> getState() async {
+    final result = await _evalJs('JSON.stringify(RE.getState());');
+    if (result == null) return _state;
+    final map = jsonDecode(result.toString()) as Map<String, dynamic>;
+    updateState(SummernoteToolbarState.fromMap(map));
+    return _state;
+  }
+
   // ==================== Content Methods ====================
 
   /// Set HTML content
@@ -85,9 +229,26 @@ class MBRichEditorController extends ChangeNotifier {
   }
 
   /// Get HTML content
-  Future<String> getHtml() async {
+  ///
+  /// [emoji] controls how emoji images are written, e.g.
+  /// [EmojiExportFormat.unicode] for push notifications or search indexing.
+  /// [changes] keeps tracked changes as markup or applies them.
+  /// [annotations] set to `false` leaves annotation highlights out.
+  /// [embeds] overrides `MBRichEditor.embedExport` for media embeds.
+  Future<String> getHtml({
+    EmojiExportFormat emoji = EmojiExportFormat.image,
+    ChangeExportFormat changes = ChangeExportFormat.marked,
+    bool annotations = true,
+    EmbedExportFormat? embeds,
+  }) async {
+    final options = jsonEncode({
+      'emoji': emoji.name,
+      'changes': changes.name,
+      'annotations': annotations,
+      if (embeds != null) 'embeds': embeds.name,
+    });
     // Execute JavaScript to get HTML and send via channel
-    await _evalJs('window.getHtmlResult.postMessage(RE.getHtml());');
+    await _evalJs('window.getHtmlResult.postMessage(RE.getHtml($options));');
 
     // Wait a bit for the callback to complete
     await Future.delayed(const Duration(milliseconds: 100));
@@ -95,8 +256,87 @@ class MBRichEditorController extends ChangeNotifier {
     return _html;
   }
 
+  /// Get plain-text content
+  ///
+  /// Emoji images are left out with [EmojiExportFormat.image] (default);
+  /// the other formats write them as shortcodes or Unicode characters.
+  /// With [ChangeExportFormat.marked] (default) the text of both suggested
+  /// insertions and deletions is included.
+  Future<String> getText({
+    EmojiExportFormat emoji = EmojiExportFormat.image,
+    ChangeExportFormat changes = ChangeExportFormat.marked,
+  }) async {
+    final options = {'emoji': emoji.name, 'changes': changes.name};
+    final result = await _evalJs('RE.getText(${jsonEncode(options)});');
+    return result?.toString() ?? '';
+  }
+
+  /// Count characters, words, paragraphs, images and mentions and estimate
+  /// the reading time of the current content
+  Future<DocumentStats> getStats() async {
+    final result = await _evalJs('JSON.stringify(RE.getStats());');
+    if (result == null) return const DocumentStats();
+    return DocumentStats.fromMap(
+      jsonDecode(result.toString()) as Map<String, dynamic>,
+    );
+  }
+
+  /// Replace the length limit, or remove it with `null`
+  Future<void> setLimit(EditorLimit? limit) async {
+    final options = limit?.toJson() ?? {'maxLength': 0};
+    await _evalJs('RE.configureLimit(${jsonEncode(options)});');
+  }
+
+  /// Get content as Markdown
+  Future<String> getMarkdown() async {
+    final result = await _evalJs('RE.getMarkdown();');
+    return result?.toString() ?? '';
+  }
+
+  /// Set content from Markdown
+  Future<void> setMarkdown(String markdown) async {
+    await _evalJs('RE.setMarkdown(${jsonEncode(markdown)});');
+  }
+
+  /// Get content as BBCode
+  Future<String> getBBCode() async {
+    final result = await _evalJs('RE.getBBCode();');
+    return result?.toString() ?? '';
+  }
+
+  /// Set content from BBCode
+  Future<void> setBBCode(String bbcode) async {
+    await _evalJs('RE.setBBCode(${jsonEncode(bbcode)});');
+  }
+
+  /// Insert sanitized HTML at the caret
   Future<void> insertHtml(String html) async {
-    await _evalJs('RE.insertHTML(`$html`);');
+    await _evalJs('RE.insertHTML(${jsonEncode(html)});');
+  }
+
+  /// Override the HTML sanitizer policy applied to inserted and exported
+  /// content. Fields left `null` keep the bridge default.
+  Future<void> setSanitizerPolicy(SanitizerPolicy policy) async {
+    await _evalJs('RE.setSanitizerPolicy(${jsonEncode(policy.toJson())});');
+  }
+
+  /// Get content as a structured document tree
+  Future<DocumentNode> getDocument() async {
+    final result = await _evalJs('JSON.stringify(RE.getDocument());');
+    if (result == null) return const DocumentNode(type: 'doc');
+    return DocumentNode.fromMap(
+      Map<String, dynamic>.from(jsonDecode(result.toString()) as Map),
+    );
+  }
+
+  /// Set content from a document tree returned by [getDocument]
+  Future<void> setDocument(DocumentNode document) async {
+    await _evalJs('RE.setDocument(${jsonEncode(document.toJson())});');
+  }
+
+  /// Change how pasted content is cleaned before insertion
+  Future<void> setPasteMode(PasteMode mode) async {
+    await _evalJs('RE.configurePaste({mode: "${mode.name}"});');
   }
 
   /// Set placeholder text
@@ -136,6 +376,13 @@ class MBRichEditorController extends ChangeNotifier {
     await _evalJs('RE.setSuperscript();');
   }
 
+  /// Wrap the selected text in inline code, or remove the inline code at
+  /// the caret. Returns `false` if nothing changed.
+  Future<bool> toggleInlineCode() async {
+    final result = await _evalJs('RE.toggleInlineCode();');
+    return result == true;
+  }
+
   // ==================== Headings ====================
 
   /// Set heading level (1-6)
@@ -163,6 +410,81 @@ class MBRichEditorController extends ChangeNotifier {
     await _evalJs('RE.setNumbers();');
   }
 
+  /// Turn the selected paragraphs into a code block, or change the
+  /// [language] of the current one (e.g. `'dart'`). Inside a code block,
+  /// calling it without a language or with the current one turns the code
+  /// back into paragraphs.
+  Future<void> setCodeBlock([String? language]) async {
+    await _evalJs('RE.setCodeBlock(${jsonEncode(language ?? '')});');
+  }
+
+  // ==================== Tables ====================
+
+  /// Insert an empty table at the caret
+  Future<void> insertTable(int rows, int columns) async {
+    await _evalJs('RE.insertTable($rows, $columns);');
+  }
+
+  /// Insert a row below (or [above]) the current cell. Below a header row,
+  /// the new row starts the table body.
+  ///
+  /// Like the other table commands, returns `false` if the caret is not
+  /// inside a table.
+  Future<bool> addTableRow({bool above = false}) async {
+    final result = await _evalJs(
+      'RE.addTableRow(${jsonEncode(above ? 'above' : 'below')});',
+    );
+    return result == true;
+  }
+
+  /// Insert a column right (or [left]) of the current cell
+  Future<bool> addTableColumn({bool left = false}) async {
+    final result = await _evalJs(
+      'RE.addTableColumn(${jsonEncode(left ? 'left' : 'right')});',
+    );
+    return result == true;
+  }
+
+  /// Delete the row of the current cell
+  Future<bool> deleteTableRow() async {
+    final result = await _evalJs('RE.deleteTableRow();');
+    return result == true;
+  }
+
+  /// Delete the column of the current cell
+  Future<bool> deleteTableColumn() async {
+    final result = await _evalJs('RE.deleteTableColumn();');
+    return result == true;
+  }
+
+  /// Merge the selected cells. With a collapsed selection, the current cell
+  /// is merged with the cell to its right (or the one below it, [down]).
+  Future<bool> mergeTableCells({bool down = false}) async {
+    final result = await _evalJs(
+      'RE.mergeTableCells(${jsonEncode(down ? 'down' : 'right')});',
+    );
+    return result == true;
+  }
+
+  /// Split the current merged cell back into single cells
+  Future<bool> splitTableCell() async {
+    final result = await _evalJs('RE.splitTableCell();');
+    return result == true;
+  }
+
+  /// Make the first [count] rows of the current table header rows
+  /// (0 removes the header)
+  Future<bool> setTableHeaderRows(int count) async {
+    final result = await _evalJs('RE.setTableHeaderRows($count);');
+    return result == true;
+  }
+
+  /// Delete the table around the caret
+  Future<bool> deleteTable() async {
+    final result = await _evalJs('RE.deleteTable();');
+    return result == true;
+  }
+
   // ==================== Indentation ====================
 
   /// Increase indent
@@ -251,60 +573,174 @@ class MBRichEditorController extends ChangeNotifier {
   }) async {
     await _evalJs('RE.prepareInsert();');
 
+    final urlJs = jsonEncode(url);
+    final altJs = jsonEncode(alt ?? '');
     if (width != null && height != null) {
-      await _evalJs(
-        'RE.insertImageWH(\'$url\', \'${alt ?? ''}\', $width, $height);',
-      );
+      await _evalJs('RE.insertImageWH($urlJs, $altJs, $width, $height);');
     } else if (width != null) {
-      await _evalJs('RE.insertImageW(\'$url\', \'${alt ?? ''}\', $width);');
+      await _evalJs('RE.insertImageW($urlJs, $altJs, $width);');
     } else {
-      await _evalJs('RE.insertImage(\'$url\', \'${alt ?? ''}\');');
+      await _evalJs('RE.insertImage($urlJs, $altJs);');
     }
   }
 
+  /// Get the image selected by tapping it, or `null`
+  Future<EditorImage?> getSelectedImage() async {
+    final result = await _evalJs('JSON.stringify(RE.getSelectedImage());');
+    if (result == null || result.toString() == 'null') return null;
+    return EditorImage.fromMap(
+      Map<String, dynamic>.from(jsonDecode(result.toString()) as Map),
+    );
+  }
+
+  /// Resize, align, caption or describe the selected image as one undo
+  /// step. Returns `false` if no image is selected.
+  Future<bool> updateSelectedImage(ImageUpdate update) async {
+    final result = await _evalJs(
+      'RE.updateSelectedImage(${jsonEncode(update.toJson())});',
+    );
+    return result == true;
+  }
+
+  /// Delete the selected image and its caption. Returns `false` if no image
+  /// is selected.
+  Future<bool> deleteSelectedImage() async {
+    final result = await _evalJs('RE.deleteSelectedImage();');
+    return result == true;
+  }
+
+  /// Replace the selected image with [url], keeping its size, alignment and
+  /// caption. Returns `false` if no image is selected or the sanitizer
+  /// policy rejects the URL.
+  Future<bool> replaceSelectedImage(String url, {String? alt}) async {
+    final result = await _evalJs(
+      'RE.replaceSelectedImage(${jsonEncode(url)}, ${jsonEncode(alt)});',
+    );
+    return result == true;
+  }
+
+  /// Update the progress bar of a pending image upload (0-100)
+  Future<void> updateUploadProgress(String id, double percent) async {
+    await _evalJs('RE.updateUploadProgress(${jsonEncode(id)}, $percent);');
+  }
+
+  /// Replace the placeholder of a pending image upload with the final image
+  Future<void> resolveUpload(String id, String url) async {
+    await _evalJs('RE.resolveUpload(${jsonEncode(id)}, ${jsonEncode(url)});');
+  }
+
+  /// Remove the placeholder of a failed image upload
+  Future<void> failUpload(String id, [String? reason]) async {
+    await _evalJs(
+      'RE.failUpload(${jsonEncode(id)}, ${jsonEncode(reason ?? '')});',
+    );
+  }
+
   /// Insert video
   Future<void> insertVideo(String url, {int? width, int? height}) async {
     await _evalJs('RE.prepareInsert();');
 
+    final urlJs = jsonEncode(url);
     if (width != null && height != null) {
-      await _evalJs('RE.insertVideoWH(\'$url\', $width, $height);');
+      await _evalJs('RE.insertVideoWH($urlJs, $width, $height);');
     } else if (width != null) {
-      await _evalJs('RE.insertVideoW(\'$url\', $width);');
+      await _evalJs('RE.insertVideoW($urlJs, $width);');
     } else {
-      await _evalJs('RE.insertVideo(\'$url\');');
+      await _evalJs('RE.insertVideo($urlJs);');
     }
   }
 
   /// Insert audio
   Future<void> insertAudio(String url) async {
     await _evalJs('RE.prepareInsert();');
-    await _evalJs('RE.insertAudio(\'$url\');');
+    await _evalJs('RE.insertAudio(${jsonEncode(url)});');
   }
 
-  /// Insert YouTube video
+  /// Insert a YouTube video as a media embed. [width] and [height] set the
+  /// size of the exported iframe.
   Future<void> insertYoutubeVideo(String url, {int? width, int? height}) async {
+    await insertEmbed(url, width: width, height: height);
+  }
+
+  /// Insert a media embed for [url] at the caret. [width] and [height] set
+  /// the size of the exported iframe.
+  ///
+  /// Returns `false` if no registered provider handles the URL.
+  Future<bool> insertEmbed(String url, {int? width, int? height}) async {
     await _evalJs('RE.prepareInsert();');
+    final options = jsonEncode({
+      if (width != null) 'width': width,
+      if (height != null) 'height': height,
+    });
+    final result = await _evalJs(
+      'RE.insertEmbed(${jsonEncode(url)}, $options);',
+    );
+    return result == true;
+  }
 
-    if (width != null && height != null) {
-      await _evalJs('RE.insertYoutubeVideoWH(\'$url\', $width, $height);');
-    } else if (width != null) {
-      await _evalJs('RE.insertYoutubeVideoW(\'$url\', $width);');
-    } else {
-      await _evalJs('RE.insertYoutubeVideo(\'$url\');');
-    }
+  /// Register a media provider, or replace the one with the same id
+  Future<void> registerEmbedProvider(EmbedProvider provider) async {
+    await _evalJs(
+      'RE.registerEmbedProvider(${jsonEncode(provider.toJson())});',
+    );
+  }
+
+  /// Remove a media provider. Existing embeds are kept.
+  Future<void> unregisterEmbedProvider(String id) async {
+    await _evalJs('RE.unregisterEmbedProvider(${jsonEncode(id)});');
   }
 
   /// Insert link
   Future<void> insertLink(String href, String title) async {
     await _evalJs('RE.prepareInsert();');
-    await _evalJs('RE.insertLink(\'$href\', \'$title\');');
+    await _evalJs('RE.insertLink(${jsonEncode(href)}, ${jsonEncode(title)});');
+  }
+
+  /// Get the link under the caret, or `null` outside a link
+  Future<EditorLink?> getLinkAtCursor() async {
+    final result = await _evalJs('JSON.stringify(RE.getLinkAtCursor());');
+    if (result == null || result.toString() == 'null') return null;
+    return EditorLink.fromMap(
+      Map<String, dynamic>.from(jsonDecode(result.toString()) as Map),
+    );
+  }
+
+  /// Change the URL of the link under the caret, and optionally its [text]
+  /// and whether it opens in a new tab.
+  ///
+  /// Returns `false` if the caret is not in a link or [href] is rejected by
+  /// the sanitizer policy.
+  Future<bool> updateLink(String href, {String? text, bool? newTab}) async {
+    final options = jsonEncode({if (newTab != null) 'newTab': newTab});
+    final result = await _evalJs(
+      'RE.updateLink(${jsonEncode(href)}, ${jsonEncode(text ?? '')}, $options);',
+    );
+    return result == true;
+  }
+
+  /// Remove the link under the caret, keeping its text
+  Future<bool> unlink() async {
+    final result = await _evalJs('RE.unlink();');
+    return result == true;
   }
 
   /// Insert checkbox (todo item)
-  Future<void> insertTodo() async {
-    await _evalJs('RE.prepareInsert();');
-    final timestamp = DateTime.now().millisecondsSinceEpoch;
-    await _evalJs('RE.setTodo(\'$timestamp\');');
+  @Deprecated('Use insertTaskList instead')
+  Future<void> insertTodo() => insertTaskList();
+
+  /// Turn the selected blocks or the current list into a task list. Inside
+  /// a task list, the current item becomes a paragraph again.
+  Future<void> insertTaskList() async {
+    await _evalJs('RE.insertTaskList();');
+  }
+
+  /// Check or uncheck the task item with the given id (see
+  /// `MBRichEditor.onTaskToggle`). Returns `false` if there is no such item.
+  Future<bool> setTaskChecked(String id, bool checked) async {
+    final result = await _evalJs(
+      'RE.setTaskChecked(${jsonEncode(id)}, $checked);',
+    );
+    return result == true;
   }
 
   // ==================== Emoji Methods ====================
@@ -315,6 +751,17 @@ class MBRichEditorController extends ChangeNotifier {
     await _evalJs('RE.insertEmoji($emojiJson);');
   }
 
+  /// Replace the `:shortcode` typed at the caret with [emoji], typically
+  /// one of the suggestions passed to `MBRichEditor.onEmojiSuggestions`.
+  ///
+  /// Returns false if no shortcode is being typed.
+  Future<bool> completeEmoji(Emoji emoji) async {
+    final result = await _evalJs(
+      'RE.completeEmoji(${jsonEncode(emoji.toJson())});',
+    );
+    return result == true;
+  }
+
   /// Get emoji at cursor position
   Future<Emoji?> getEmojiAtCursor() async {
     await _evalJs(
@@ -364,6 +811,313 @@ class MBRichEditorController extends ChangeNotifier {
     await _evalJs('RE.setInputEnabled($enabled);');
   }
 
+  // ==================== Selection ====================
+
+  /// Get the current selection, or the last selection inside the editor
+  /// when it is not focused. Returns `null` if there never was one.
+  Future<EditorSelection?> getSelection() async {
+    final result = await _evalJs('JSON.stringify(RE.getSelection());');
+    if (result == null || result.toString() == 'null') return null;
+    return EditorSelection.fromMap(
+      Map<String, dynamic>.from(jsonDecode(result.toString()) as Map),
+    );
+  }
+
+  /// Select the text between two offsets, or place the caret at [start]
+  Future<void> setSelection(int start, [int? end]) async {
+    await _evalJs('RE.setSelection($start, ${end ?? start});');
+  }
+
+  /// Replace the text between two offsets with [html] (empty to delete)
+  Future<void> replaceRange(int start, int end, String html) async {
+    await _evalJs('RE.replaceRange($start, $end, ${jsonEncode(html)});');
+  }
+
+  // ==================== Find and Replace ====================
+
+  /// Highlight every match of [query] and select the first one.
+  ///
+  /// Returns the number of matches. Throws a [FormatException] if [regex]
+  /// is set and [query] is not a valid regular expression. Set [unicode] to
+  /// compile the expression with the JavaScript `u` flag, e.g. for `\p{L}`.
+  ///
+  /// Example:
+  /// ```dart
+  /// final count = await controller.find('colou?r', regex: true);
+  /// await controller.replaceAll('color');
+  /// ```
+  Future<int> find(
+    String query, {
+    bool regex = false,
+    bool caseSensitive = false,
+    bool wholeWord = false,
+    bool unicode = false,
+  }) async {
+    final options = jsonEncode({
+      'regex': regex,
+      'caseSensitive': caseSensitive,
+      'wholeWord': wholeWord,
+      'unicode': unicode,
+    });
+    final result = await _evalJs('RE.find(${jsonEncode(query)}, $options);');
+    final count = (result as num?)?.toInt() ?? 0;
+    if (count < 0) {
+      throw FormatException('Invalid regular expression', query);
+    }
+    return count;
+  }
+
+  /// Move to the next match. Returns its index, or -1 if there is none.
+  Future<int> findNext() async {
+    final result = await _evalJs('RE.findNext();');
+    return (result as num?)?.toInt() ?? -1;
+  }
+
+  /// Move to the previous match. Returns its index, or -1 if there is none.
+  Future<int> findPrevious() async {
+    final result = await _evalJs('RE.findPrevious();');
+    return (result as num?)?.toInt() ?? -1;
+  }
+
+  /// Replace the current match and move to the next one.
+  ///
+  /// With `regex: true`, [replacement] uses the patterns of JavaScript's
+  /// `String.prototype.replace`: `$&`, `$1`, `$<name>`... insert the match
+  /// and its groups. Returns the number of remaining matches.
+  Future<int> replace(String replacement) async {
+    final result = await _evalJs('RE.replace(${jsonEncode(replacement)});');
+    return (result as num?)?.toInt() ?? 0;
+  }
+
+  /// Replace every match as one undo step. Returns the number replaced.
+  Future<int> replaceAll(String replacement) async {
+    final result = await _evalJs('RE.replaceAll(${jsonEncode(replacement)});');
+    return (result as num?)?.toInt() ?? 0;
+  }
+
+  /// Remove all search highlights
+  Future<void> clearFind() async {
+    await _evalJs('RE.clearFind();');
+  }
+
+  // ==================== Triggers ====================
+
+  /// Replace the active trigger word (e.g. `#fl`) with [html], typically the
+  /// item picked in response to `EditorTrigger.onQuery`.
+  ///
+  /// Returns `false` if the trigger is no longer active or its word changed.
+  ///
+  /// Example:
+  /// ```dart
+  /// await controller.completeTrigger('hashtag', '#flutter&nbsp;');
+  /// ```
+  Future<bool> completeTrigger(String id, String html) async {
+    final result = await _evalJs(
+      'RE.completeTrigger(${jsonEncode(id)}, ${jsonEncode(html)});',
+    );
+    return result == true;
+  }
+
+  // ==================== Mentions ====================
+
+  /// Get every mention token in the document, in order, e.g. to notify the
+  /// mentioned users without parsing the HTML.
+  Future<List<EditorMention>> getMentions() async {
+    final result = await _evalJs('JSON.stringify(RE.getMentions());');
+    if (result == null) return [];
+    final mentions = jsonDecode(result.toString()) as List;
+    return [
+      for (final mention in mentions)
+        EditorMention.fromMap(Map<String, dynamic>.from(mention as Map)),
+    ];
+  }
+
+  // ==================== Input Rules ====================
+
+  /// Turn all input rules on or off
+  Future<void> setInputRulesEnabled(bool enabled) async {
+    await _evalJs('RE.configureInputRules({enabled: $enabled});');
+  }
+
+  /// Turn a single rule on or off, by name (see [InputRule.builtInNames])
+  Future<void> setInputRuleEnabled(String name, bool enabled) async {
+    await _evalJs('RE.setInputRuleEnabled(${jsonEncode(name)}, $enabled);');
+  }
+
+  /// Add a custom rule, or replace the rule with the same name.
+  ///
+  /// Throws a [FormatException] if the pattern is not a valid regular
+  /// expression or the tag is not supported.
+  Future<void> registerInputRule(InputRule rule) async {
+    final result = await _evalJs(
+      'RE.registerInputRule(${jsonEncode(rule.toJson())});',
+    );
+    if (result != true) {
+      throw FormatException('Invalid input rule', rule.pattern);
+    }
+  }
+
+  /// Remove a custom rule. Returns `false` if there is no such rule.
+  Future<bool> unregisterInputRule(String name) async {
+    final result = await _evalJs(
+      'RE.unregisterInputRule(${jsonEncode(name)});',
+    );
+    return result == true;
+  }
+
+  // ==================== Track Changes ====================
+
+  /// Turn track changes on or off. While it is on, insertions and deletions
+  /// become suggestions carrying [author] and a timestamp.
+  ///
+  /// Example:
+  /// ```dart
+  /// await controller.setTrackChanges(true, author: moderator.id);
+  /// ```
+  Future<void> setTrackChanges(bool enabled, {String? author}) async {
+    await _evalJs('RE.setTrackChanges($enabled, ${jsonEncode(author)});');
+  }
+
+  /// Get the tracked changes in document order
+  Future<List<TrackedChange>> getChanges() async {
+    final result = await _evalJs('JSON.stringify(RE.getChanges());');
+    if (result == null) return [];
+    final changes = jsonDecode(result.toString()) as List;
+    return [
+      for (final change in changes)
+        TrackedChange.fromMap(Map<String, dynamic>.from(change as Map)),
+    ];
+  }
+
+  /// Apply the change with [id]. Returns `false` if there is none.
+  Future<bool> acceptChange(String id) async {
+    final result = await _evalJs('RE.acceptChange(${jsonEncode(id)});');
+    return result == true;
+  }
+
+  /// Drop the change with [id]. Returns `false` if there is none.
+  Future<bool> rejectChange(String id) async {
+    final result = await _evalJs('RE.rejectChange(${jsonEncode(id)});');
+    return result == true;
+  }
+
+  /// Apply every tracked change as one undo step
+  Future<bool> acceptAllChanges() async {
+    final result = await _evalJs('RE.acceptAllChanges();');
+    return result == true;
+  }
+
+  /// Drop every tracked change as one undo step
+  Future<bool> rejectAllChanges() async {
+    final result = await _evalJs('RE.rejectAllChanges();');
+    return result == true;
+  }
+
+  // ==================== Annotations ====================
+
+  /// Highlight the text between [start] and [end] (default: the selection)
+  /// and anchor the annotation [id] to it, replacing an annotation with the
+  /// same id. [data] must be JSON-encodable and is returned by
+  /// [getAnnotations]. Returns `false` if the range is empty.
+  ///
+  /// Example:
+  /// ```dart
+  /// final selection = await controller.getSelection();
+  /// await controller.addAnnotation(
+  ///   comment.id,
+  ///   start: selection!.start,
+  ///   end: selection.end,
+  ///   data: {'author': comment.author},
+  /// );
+  /// ```
+  Future<bool> addAnnotation(
+    String id, {
+    int? start,
+    int? end,
+    Object? data,
+  }) async {
+    final range = start != null ? {'start': start, 'end': end ?? start} : null;
+    final result = await _evalJs(
+      'RE.addAnnotation(${jsonEncode(id)}, ${jsonEncode(range)}, ${jsonEncode(data)});',
+    );
+    return result == true;
+  }
+
+  /// Get the annotations in document order, with their current anchors
+  Future<List<EditorAnnotation>> getAnnotations() async {
+    final result = await _evalJs('JSON.stringify(RE.getAnnotations());');
+    if (result == null) return [];
+    final annotations = jsonDecode(result.toString()) as List;
+    return [
+      for (final annotation in annotations)
+        EditorAnnotation.fromMap(Map<String, dynamic>.from(annotation as Map)),
+    ];
+  }
+
+  /// Remove the annotation [id] and its highlight. Returns `false` if there
+  /// is none.
+  Future<bool> removeAnnotation(String id) async {
+    final result = await _evalJs('RE.removeAnnotation(${jsonEncode(id)});');
+    return result == true;
+  }
+
+  // ==================== Drafts ====================
+
+  /// Autosave the document under [key], or stop autosaving with `null`.
+  ///
+  /// Pending changes of the previous draft are saved first. The current
+  /// content is not saved until it changes.
+  Future<void> setDraftKey(String? key, {Duration? interval}) async {
+    final options = {
+      'key': key,
+      if (interval != null) 'interval': interval.inMilliseconds,
+    };
+    await _evalJs('RE.configureDrafts(${jsonEncode(options)});');
+  }
+
+  /// Save the autosaved draft now, e.g. when the app is paused. Returns
+  /// `false` if nothing changed since the last save.
+  Future<bool> saveDraft() async {
+    final result = await _evalJs('RE.saveDraft();');
+    return result == true;
+  }
+
+  /// Get the draft saved under [key], or the autosaved draft
+  Future<EditorDraft?> getDraft([String? key]) async {
+    final result = await _evalJs(
+      'JSON.stringify(RE.getDraft(${jsonEncode(key)}));',
+    );
+    if (result == null || result.toString() == 'null') return null;
+    return EditorDraft.fromMap(
+      Map<String, dynamic>.from(jsonDecode(result.toString()) as Map),
+    );
+  }
+
+  /// List all saved drafts, most recent first
+  Future<List<EditorDraft>> listDrafts() async {
+    final result = await _evalJs('JSON.stringify(RE.listDrafts());');
+    if (result == null) return [];
+    final drafts = jsonDecode(result.toString()) as List;
+    return [
+      for (final draft in drafts)
+        EditorDraft.fromMap(Map<String, dynamic>.from(draft as Map)),
+    ];
+  }
+
+  /// Load the draft saved under [key], or the autosaved draft, into the
+  /// editor and restore its selection. Returns `false` if there is none.
+  Future<bool> restoreDraft([String? key]) async {
+    final result = await _evalJs('RE.restoreDraft(${jsonEncode(key)});');
+    return result == true;
+  }
+
+  /// Delete the draft saved under [key], or the autosaved draft. Returns
+  /// `false` if there was none.
+  Future<bool> discardDraft([String? key]) async {
+    final result = await _evalJs('RE.discardDraft(${jsonEncode(key)});');
+    return result == true;
+  }
+
   // ==================== Custom CSS Methods ====================
 
   /// Inject custom CSS from a string.
@@ -489,8 +1243,7 @@ class MBRichEditorController extends ChangeNotifier {
     }
 
     try {
-      await _webViewController!.evaluateJavascript(source: code);
-      return null;
+      return await _webViewController!.evaluateJavascript(source: code);
     } catch (e) {
       debugPrint('Error evaluating JavaScript: $e\nCode: $code');
       rethrow;
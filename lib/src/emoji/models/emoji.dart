@@ -149,3 +149,16 @@ class EmojiDisplayConfig {
     padding: EdgeInsets.all(8.0),
   );
 }
+
+/// How emoji images are written when content leaves the editor.
+enum EmojiExportFormat {
+  /// Keep `<img class="emoji">` tags (plain text leaves them out)
+  image,
+
+  /// Write the first shortcode, e.g. `:smile:`, or the image alt text
+  shortcode,
+
+  /// Write the Unicode character, falling back to the shortcode for
+  /// custom emoji without one
+  unicode,
+}
@@ -0,0 +1,95 @@
+/// A position in a collaborative document: a block id and a character
+/// offset inside that block. Images, line breaks and checkboxes count as one
+/// character.
+class CollabPosition {
+  /// Id of the top-level block
+  final String blockId;
+
+  /// Character offset inside the block
+  final int offset;
+
+  const CollabPosition({required this.blockId, required this.offset});
+
+  /// Create from a Map (received from JavaScript)
+  factory CollabPosition.fromMap(Map<String, dynamic> map) {
+    return CollabPosition(
+      blockId: map['block']?.toString() ?? '',
+      offset: (map['offset'] as num?)?.toInt() ?? 0,
+    );
+  }
+
+  /// Convert to the JSON shape used by the bridge
+  Map<String, dynamic> toJson() => {'block': blockId, 'offset': offset};
+
+  @override
+  String toString() => 'CollabPosition($blockId, $offset)';
+}
+
+/// The caret and selection of a collaborator.
+///
+/// Local cursors are reported through `MBRichEditor.onLocalCursor` without
+/// [name] and [color]; add them with [copyWith] before relaying the cursor.
+class CollabCursor {
+  /// Site id passed to `MBRichEditorController.startCollaboration`
+  final String siteId;
+
+  /// Label shown next to the caret (defaults to [siteId])
+  final String? name;
+
+  /// CSS color of the caret and selection, e.g. `#e91e63`
+  final String? color;
+
+  /// Selection start, `null` when the editor is not focused
+  final CollabPosition? anchor;
+
+  /// Selection end and caret position, `null` when the editor is not focused
+  final CollabPosition? focus;
+
+  const CollabCursor({
+    required this.siteId,
+    this.name,
+    this.color,
+    this.anchor,
+    this.focus,
+  });
+
+  /// Create from a Map (received from JavaScript or a relay)
+  factory CollabCursor.fromMap(Map<String, dynamic> map) {
+    CollabPosition? position(dynamic value) => value is Map
+        ? CollabPosition.fromMap(Map<String, dynamic>.from(value))
+        : null;
+
+    return CollabCursor(
+      siteId: map['siteId']?.toString() ?? '',
+      name: map['name']?.toString(),
+      color: map['color']?.toString(),
+      anchor: position(map['anchor']),
+      focus: position(map['focus']),
+    );
+  }
+
+  /// Create a copy of this cursor with modified values
+  CollabCursor copyWith({String? name, String? color}) {
+    return CollabCursor(
+      siteId: siteId,
+      name: name ?? this.name,
+      color: color ?? this.color,
+      anchor: anchor,
+      focus: focus,
+    );
+  }
+
+  /// Convert to the JSON shape used by the bridge
+  Map<String, dynamic> toJson() {
+    return {
+      'siteId': siteId,
+      if (name != null) 'name': name,
+      if (color != null) 'color': color,
+      'anchor': anchor?.toJson(),
+      'focus': focus?.toJson(),
+    };
+  }
+
+  @override
+  String toString() => 'CollabCursor(siteId: $siteId, focus: $focus)';
+}
@@ -0,0 +1,110 @@
+/// A top-level block of the editor content, identified by a stable id.
+class ContentBlock {
+  /// Block id, stable for as long as the block element exists
+  final String id;
+
+  /// Sanitized HTML of the block
+  final String html;
+
+  const ContentBlock({required this.id, required this.html});
+
+  /// Create from a Map (received from JavaScript)
+  factory ContentBlock.fromMap(Map<String, dynamic> map) {
+    return ContentBlock(
+      id: map['id']?.toString() ?? '',
+      html: map['html']?.toString() ?? '',
+    );
+  }
+
+  @override
+  String toString() => 'ContentBlock(id: $id, html: $html)';
+}
+
+/// Kind of a [BlockOperation].
+enum BlockOperationType { insert, update, remove }
+
+/// A change to a single top-level block.
+class BlockOperation {
+  /// What happened to the block
+  final BlockOperationType type;
+
+  /// Id of the affected block
+  final String id;
+
+  /// New HTML of the block (`null` for [BlockOperationType.remove])
+  final String? html;
+
+  /// Id of the block preceding an inserted block, `null` when it is inserted
+  /// at the start of the document
+  final String? after;
+
+  const BlockOperation({
+    required this.type,
+    required this.id,
+    this.html,
+    this.after,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory BlockOperation.fromMap(Map<String, dynamic> map) {
+    return BlockOperation(
+      type: BlockOperationType.values.firstWhere(
+        (type) => type.name == map['op'],
+        orElse: () => BlockOperationType.update,
+      ),
+      id: map['id']?.toString() ?? '',
+      html: map['html']?.toString(),
+      after: map['after']?.toString(),
+    );
+  }
+
+  @override
+  String toString() => 'BlockOperation(${type.name}, id: $id, after: $after)';
+}
+
+/// A message of the incremental change stream.
+///
+/// Either a full list of [blocks] ([isReset]) or the [operations] since the
+/// previous revision. Revisions increase by one per message.
+class ContentChange {
+  /// Revision number of this change
+  final int revision;
+
+  /// Whether this change replaces the whole content with [blocks]
+  final bool isReset;
+
+  /// All blocks of the document (reset only)
+  final List<ContentBlock> blocks;
+
+  /// Block operations since the previous revision (delta only)
+  final List<BlockOperation> operations;
+
+  const ContentChange({
+    required this.revision,
+    required this.isReset,
+    this.blocks = const [],
+    this.operations = const [],
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory ContentChange.fromMap(Map<String, dynamic> map) {
+    List<Map<String, dynamic>> maps(dynamic list) => (list as List? ?? const [])
+        .whereType<Map>()
+        .map((item) => Map<String, dynamic>.from(item))
+        .toList();
+
+    return ContentChange(
+      revision: (map['revision'] as num?)?.toInt() ?? 0,
+      isReset: map['type'] == 'reset',
+      blocks: maps(map['blocks']).map(ContentBlock.fromMap).toList(),
+      operations: maps(map['ops']).map(BlockOperation.fromMap).toList(),
+    );
+  }
+
+  @override
+  String toString() {
+    return isReset
+        ? 'ContentChange(revision: $revision, reset, blocks: ${blocks.length})'
+        : 'ContentChange(revision: $revision, operations: $operations)';
+  }
+}
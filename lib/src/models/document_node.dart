@@ -0,0 +1,117 @@
+/// A node of the structured document returned by
+/// `MBRichEditorController.getDocument`.
+///
+/// The root node has type `doc`. Block types are `paragraph`, `heading`,
+/// `bulletList`, `orderedList`, `listItem`, `taskList`, `taskItem`,
+/// `blockquote`, `spoiler`, `codeBlock`, `horizontalRule`, `video`, `audio`,
+/// `embed` (media embed with `provider`, `id`, `url`, `width` and `height`)
+/// and `html` (markup without a dedicated node type). Inline types are
+/// `text`, `hardBreak`, `image`, `emoji`, `mention` and `todo` (legacy
+/// checkbox).
+///
+/// Example:
+/// ```dart
+/// final doc = await controller.getDocument();
+/// for (final block in doc.content) {
+///   if (block.type == 'heading') print(block.textContent);
+/// }
+/// ```
+class DocumentNode {
+  /// Node type, e.g. `paragraph` or `text`
+  final String type;
+
+  /// Type-specific attributes, e.g. `level` for headings or `src` for images
+  final Map<String, dynamic> attrs;
+
+  /// Child nodes (blocks or inline nodes)
+  final List<DocumentNode> content;
+
+  /// Text of a `text` node
+  final String? text;
+
+  /// Formatting applied to an inline node, outermost first
+  final List<DocumentMark> marks;
+
+  const DocumentNode({
+    required this.type,
+    this.attrs = const {},
+    this.content = const [],
+    this.text,
+    this.marks = const [],
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory DocumentNode.fromMap(Map<String, dynamic> map) {
+    return DocumentNode(
+      type: map['type']?.toString() ?? '',
+      attrs: map['attrs'] is Map
+          ? Map<String, dynamic>.from(map['attrs'] as Map)
+          : const {},
+      content: (map['content'] as List? ?? const [])
+          .whereType<Map>()
+          .map((node) => DocumentNode.fromMap(Map<String, dynamic>.from(node)))
+          .toList(),
+      text: map['text']?.toString(),
+      marks: (map['marks'] as List? ?? const [])
+          .whereType<Map>()
+          .map((mark) => DocumentMark.fromMap(Map<String, dynamic>.from(mark)))
+          .toList(),
+    );
+  }
+
+  /// Plain text of this node and all of its descendants
+  String get textContent =>
+      text ?? content.map((node) => node.textContent).join();
+
+  /// Whether this node carries a mark of the given type
+  bool hasMark(String type) => marks.any((mark) => mark.type == type);
+
+  /// Convert to the JSON shape expected by `RE.setDocument`
+  Map<String, dynamic> toJson() {
+    return {
+      'type': type,
+      if (attrs.isNotEmpty) 'attrs': attrs,
+      if (content.isNotEmpty)
+        'content': content.map((node) => node.toJson()).toList(),
+      if (text != null) 'text': text,
+      if (marks.isNotEmpty) 'marks': marks.map((mark) => mark.toJson()).toList(),
+    };
+  }
+
+  @override
+  String toString() =>
+      'DocumentNode(type: $type, attrs: $attrs, content: ${content.length})';
+}
+
+/// Formatting applied to an inline [DocumentNode].
+///
+/// Types are `link` (`href`, `title`), `bold`, `italic`, `underline`,
+/// `strike`, `code`, `subscript`, `superscript`, `textColor` (`color`),
+/// `backgroundColor` (`color`) and `fontSize` (`size`).
+class DocumentMark {
+  /// Mark type, e.g. `bold`
+  final String type;
+
+  /// Type-specific attributes, e.g. `href` for links
+  final Map<String, dynamic> attrs;
+
+  const DocumentMark({required this.type, this.attrs = const {}});
+
+  /// Create from a Map (received from JavaScript)
+  factory DocumentMark.fromMap(Map<String, dynamic> map) {
+    return DocumentMark(
+      type: map['type']?.toString() ?? '',
+      attrs: map['attrs'] is Map
+          ? Map<String, dynamic>.from(map['attrs'] as Map)
+          : const {},
+    );
+  }
+
+  /// Convert to JSON
+  Map<String, dynamic> toJson() {
+    return {'type': type, if (attrs.isNotEmpty) 'attrs': attrs};
+  }
+
+  @override
+  String toString() => 'DocumentMark(type: $type, attrs: $attrs)';
+}
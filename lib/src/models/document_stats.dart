@@ -0,0 +1,50 @@
+/// Counts for the whole document, computed in the editor.
+class DocumentStats {
+  /// Visible characters including spaces. A Unicode or image emoji is one
+  /// character; line breaks are not counted.
+  final int characters;
+
+  /// Runs of non-whitespace characters
+  final int words;
+
+  /// Blocks (paragraphs, headings, list items, cells...) with content
+  final int paragraphs;
+
+  /// Images, not counting emoji
+  final int images;
+
+  /// Mention tokens
+  final int mentions;
+
+  /// Estimated reading time, at 200 words per minute
+  final Duration readingTime;
+
+  const DocumentStats({
+    this.characters = 0,
+    this.words = 0,
+    this.paragraphs = 0,
+    this.images = 0,
+    this.mentions = 0,
+    this.readingTime = Duration.zero,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory DocumentStats.fromMap(Map<String, dynamic> map) {
+    int value(String key) => (map[key] as num?)?.toInt() ?? 0;
+
+    return DocumentStats(
+      characters: value('characters'),
+      words: value('words'),
+      paragraphs: value('paragraphs'),
+      images: value('images'),
+      mentions: value('mentions'),
+      readingTime: Duration(seconds: value('readingTime')),
+    );
+  }
+
+  @override
+  String toString() =>
+      'DocumentStats(characters: $characters, words: $words, '
+      'paragraphs: $paragraphs, images: $images, mentions: $mentions, '
+      'readingTime: $readingTime)';
+}
@@ -0,0 +1,51 @@
+/// Comment or other annotation anchored to a range of the document.
+///
+/// The anchor is kept in the content as highlighted spans, so it follows the
+/// text while it is edited. Store the list from `getAnnotations` next to the
+/// HTML from `getHtml(annotations: false)` to keep the two apart, and add the
+/// annotations back with `addAnnotation` after loading the content.
+class EditorAnnotation {
+  /// Id given to `addAnnotation`
+  final String id;
+
+  /// Start of the annotated text as a plain-text offset (see `getSelection`)
+  final int start;
+
+  /// End of the annotated text as a plain-text offset
+  final int end;
+
+  /// Annotated text
+  final String text;
+
+  /// JSON data given to `addAnnotation`, or `null` for annotations loaded
+  /// with the HTML
+  final Object? data;
+
+  const EditorAnnotation({
+    required this.id,
+    required this.start,
+    required this.end,
+    this.text = '',
+    this.data,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory EditorAnnotation.fromMap(Map<String, dynamic> map) {
+    return EditorAnnotation(
+      id: map['id']?.toString() ?? '',
+      start: (map['start'] as num?)?.toInt() ?? 0,
+      end: (map['end'] as num?)?.toInt() ?? 0,
+      text: map['text']?.toString() ?? '',
+      data: map['data'],
+    );
+  }
+
+  /// Convert to JSON, e.g. to store the annotation next to the content
+  Map<String, dynamic> toJson() {
+    return {'id': id, 'start': start, 'end': end, 'text': text, 'data': data};
+  }
+
+  @override
+  String toString() =>
+      'EditorAnnotation(id: $id, start: $start, end: $end, text: $text)';
+}
@@ -0,0 +1,62 @@
+import 'dart:async';
+
+/// Callback deciding whether a draft found at startup is restored.
+///
+/// Return `true` to load the draft into the editor, or `false` to discard
+/// it.
+typedef DraftRestoreCallback = FutureOr<bool> Function(EditorDraft draft);
+
+/// Document saved by the editor's draft autosave.
+///
+/// Drafts are stored in the WebView, so they survive the WebView process
+/// being killed while the user is typing.
+class EditorDraft {
+  /// Key the draft was saved under
+  final String key;
+
+  /// Document HTML
+  final String html;
+
+  /// Selection start as a plain-text offset, if there was a selection
+  final int? selectionStart;
+
+  /// Selection end as a plain-text offset, if there was a selection
+  final int? selectionEnd;
+
+  /// When the draft was saved
+  final DateTime savedAt;
+
+  /// Beginning of the draft text, for listing drafts
+  final String preview;
+
+  const EditorDraft({
+    required this.key,
+    required this.html,
+    this.selectionStart,
+    this.selectionEnd,
+    required this.savedAt,
+    this.preview = '',
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory EditorDraft.fromMap(Map<String, dynamic> map) {
+    final selection = map['selection'] is Map
+        ? Map<String, dynamic>.from(map['selection'] as Map)
+        : null;
+
+    return EditorDraft(
+      key: map['key']?.toString() ?? '',
+      html: map['html']?.toString() ?? '',
+      selectionStart: (selection?['start'] as num?)?.toInt(),
+      selectionEnd: (selection?['end'] as num?)?.toInt(),
+      savedAt: DateTime.fromMillisecondsSinceEpoch(
+        (map['savedAt'] as num?)?.toInt() ?? 0,
+      ),
+      preview: map['preview']?.toString() ?? '',
+    );
+  }
+
+  @override
+  String toString() =>
+      'EditorDraft(key: $key, savedAt: $savedAt, preview: $preview)';
+}
@@ -0,0 +1,130 @@
+/// Alignment of an image in the editor.
+///
+/// Stored as an `image-align-*` class on the image, or on its figure when it
+/// has a caption. [left] and [right] also set an inline `float`.
+enum ImageAlignment {
+  /// Inline with the text
+  none,
+
+  /// Floated left, text wraps on the right
+  left,
+
+  /// On its own line, centered (needs the `image-align-center` class to be
+  /// styled outside the editor)
+  center,
+
+  /// Floated right, text wraps on the left
+  right,
+}
+
+/// Image selected in the editor.
+class EditorImage {
+  /// Image URL
+  final String src;
+
+  /// Displayed width in CSS pixels
+  final double width;
+
+  /// Displayed height in CSS pixels
+  final double height;
+
+  /// Width of the image file, `0` until it is loaded
+  final double naturalWidth;
+
+  /// Height of the image file, `0` until it is loaded
+  final double naturalHeight;
+
+  /// Alternative text
+  final String alt;
+
+  /// Alignment
+  final ImageAlignment alignment;
+
+  /// Figure caption, or `null` if the image has none
+  final String? caption;
+
+  /// `data-*` attributes without the `data-` prefix, e.g. `attachment`
+  final Map<String, String> data;
+
+  const EditorImage({
+    required this.src,
+    this.width = 0,
+    this.height = 0,
+    this.naturalWidth = 0,
+    this.naturalHeight = 0,
+    this.alt = '',
+    this.alignment = ImageAlignment.none,
+    this.caption,
+    this.data = const {},
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory EditorImage.fromMap(Map<String, dynamic> map) {
+    double value(String key) => (map[key] as num?)?.toDouble() ?? 0;
+
+    return EditorImage(
+      src: map['src']?.toString() ?? '',
+      width: value('width'),
+      height: value('height'),
+      naturalWidth: value('naturalWidth'),
+      naturalHeight: value('naturalHeight'),
+      alt: map['alt']?.toString() ?? '',
+      alignment: ImageAlignment.values.firstWhere(
+        (alignment) => alignment.name == map['align'],
+        orElse: () => ImageAlignment.none,
+      ),
+      caption: map['caption']?.toString(),
+      data: map['data'] is Map
+          ? (map['data'] as Map).map(
+              (key, value) => MapEntry(key.toString(), value.toString()),
+            )
+          : const {},
+    );
+  }
+
+  @override
+  String toString() =>
+      'EditorImage(src: $src, width: $width, height: $height, '
+      'alignment: ${alignment.name}, caption: $caption)';
+}
+
+/// Changes applied to the selected image by `updateSelectedImage`.
+///
+/// Fields left `null` are unchanged.
+///
+/// Example:
+/// ```dart
+/// await controller.updateSelectedImage(
+///   ImageUpdate(width: '50%', alignment: ImageAlignment.center, caption: 'Sunset'),
+/// );
+/// ```
+class ImageUpdate {
+  /// CSS width such as `'320px'` or `'50%'`, or `''` for the natural size
+  final String? width;
+
+  /// Alignment
+  final ImageAlignment? alignment;
+
+  /// Alternative text
+  final String? alt;
+
+  /// Caption shown in a `figcaption` under the image, or `''` to remove it
+  final String? caption;
+
+  const ImageUpdate({this.width, this.alignment, this.alt, this.caption});
+
+  /// Convert to the JSON shape expected by `RE.updateSelectedImage`
+  Map<String, dynamic> toJson() {
+    return {
+      if (width != null) 'width': width,
+      if (alignment != null) 'align': alignment!.name,
+      if (alt != null) 'alt': alt,
+      if (caption != null) 'caption': caption,
+    };
+  }
+
+  @override
+  String toString() =>
+      'ImageUpdate(width: $width, alignment: ${alignment?.name}, '
+      'alt: $alt, caption: $caption)';
+}
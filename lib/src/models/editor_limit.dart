@@ -0,0 +1,122 @@
+/// What [EditorLimit.maxLength] counts.
+enum LimitUnit {
+  /// Visible characters including spaces. A Unicode or image emoji is one
+  /// character; line breaks are not counted.
+  characters,
+
+  /// Runs of non-whitespace characters
+  words,
+
+  /// Characters of the HTML returned by `getHtml`
+  markup,
+}
+
+/// What happens to input that would go over [EditorLimit.maxLength].
+enum LimitMode {
+  /// Drop the whole input
+  reject,
+
+  /// Insert as much of the input as fits
+  truncate,
+}
+
+/// Where input that went over the limit came from.
+enum LimitSource {
+  /// Typing, including IME composition and spell checker replacements
+  typing,
+
+  /// Clipboard paste
+  paste,
+
+  /// Programmatic inserts such as `insertHtml`, `insertLink` or
+  /// `insertEmoji`
+  insert,
+}
+
+/// Maximum document length enforced by the editor.
+///
+/// Typing, paste and programmatic inserts are checked. Content loaded with
+/// `setHtml` is never cut, but nothing can be added while it is over the
+/// limit.
+///
+/// Example:
+/// ```dart
+/// MBRichEditor(
+///   controller: controller,
+///   limit: EditorLimit(maxLength: 280, mode: LimitMode.truncate),
+///   onLimitExceeded: (event) => showSnackBar('280 characters max'),
+/// )
+/// ```
+class EditorLimit {
+  /// Maximum length in [unit]
+  final int maxLength;
+
+  /// What is counted
+  final LimitUnit unit;
+
+  /// Whether over-limit input is dropped or cut
+  final LimitMode mode;
+
+  const EditorLimit({
+    required this.maxLength,
+    this.unit = LimitUnit.characters,
+    this.mode = LimitMode.reject,
+  });
+
+  /// Convert to the JSON shape expected by `RE.configureLimit`
+  Map<String, dynamic> toJson() {
+    return {'maxLength': maxLength, 'unit': unit.name, 'mode': mode.name};
+  }
+
+  @override
+  String toString() =>
+      'EditorLimit(maxLength: $maxLength, unit: ${unit.name}, mode: ${mode.name})';
+}
+
+/// Input that was rejected or truncated by an [EditorLimit].
+class LimitExceeded {
+  /// Where the input came from
+  final LimitSource source;
+
+  /// Document length before the input, in [unit]
+  final int count;
+
+  /// Configured maximum
+  final int maxLength;
+
+  /// Unit of [count] and [maxLength]
+  final LimitUnit unit;
+
+  /// Whether part of the input was inserted ([LimitMode.truncate])
+  final bool truncated;
+
+  const LimitExceeded({
+    required this.source,
+    required this.count,
+    required this.maxLength,
+    this.unit = LimitUnit.characters,
+    this.truncated = false,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory LimitExceeded.fromMap(Map<String, dynamic> map) {
+    return LimitExceeded(
+      source: LimitSource.values.firstWhere(
+        (source) => source.name == map['source'],
+        orElse: () => LimitSource.insert,
+      ),
+      count: (map['count'] as num?)?.toInt() ?? 0,
+      maxLength: (map['maxLength'] as num?)?.toInt() ?? 0,
+      unit: LimitUnit.values.firstWhere(
+        (unit) => unit.name == map['unit'],
+        orElse: () => LimitUnit.characters,
+      ),
+      truncated: map['truncated'] == true,
+    );
+  }
+
+  @override
+  String toString() =>
+      'LimitExceeded(source: ${source.name}, count: $count, '
+      'maxLength: $maxLength, truncated: $truncated)';
+}
@@ -0,0 +1,30 @@
+/// A link in the editor content.
+class EditorLink {
+  /// Link URL
+  final String href;
+
+  /// Visible link text
+  final String text;
+
+  /// Whether the link opens in a new tab (`target="_blank"`)
+  final bool newTab;
+
+  const EditorLink({required this.href, this.text = '', this.newTab = false});
+
+  /// Create from a Map (received from JavaScript)
+  factory EditorLink.fromMap(Map<String, dynamic> map) {
+    return EditorLink(
+      href: map['href']?.toString() ?? '',
+      text: map['text']?.toString() ?? '',
+      newTab: map['newTab'] == true,
+    );
+  }
+
+  /// Convert to a JSON-compatible map
+  Map<String, dynamic> toJson() {
+    return {'href': href, 'text': text, 'newTab': newTab};
+  }
+
+  @override
+  String toString() => 'EditorLink(href: $href, text: $text, newTab: $newTab)';
+}
@@ -0,0 +1,51 @@
+/// A mention token in the editor content.
+class EditorMention {
+  /// Id of the mentioned user (`MentionUser.id`)
+  final String id;
+
+  /// Trigger the mention was typed with, e.g. `@`
+  final String trigger;
+
+  /// Label shown after the trigger, e.g. the username
+  final String label;
+
+  /// Plain-text offset of the token start (see `EditorSelection`)
+  final int start;
+
+  /// Plain-text offset of the token end
+  final int end;
+
+  const EditorMention({
+    required this.id,
+    this.trigger = '@',
+    this.label = '',
+    this.start = 0,
+    this.end = 0,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory EditorMention.fromMap(Map<String, dynamic> map) {
+    return EditorMention(
+      id: map['id']?.toString() ?? '',
+      trigger: map['trigger']?.toString() ?? '@',
+      label: map['label']?.toString() ?? '',
+      start: (map['start'] as num?)?.toInt() ?? 0,
+      end: (map['end'] as num?)?.toInt() ?? 0,
+    );
+  }
+
+  /// Convert to a JSON-compatible map
+  Map<String, dynamic> toJson() {
+    return {
+      'id': id,
+      'trigger': trigger,
+      'label': label,
+      'start': start,
+      'end': end,
+    };
+  }
+
+  @override
+  String toString() =>
+      'EditorMention(id: $id, text: $trigger$label, start: $start, end: $end)';
+}
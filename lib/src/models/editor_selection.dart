@@ -0,0 +1,66 @@
+import 'dart:ui' show Rect;
+
+/// The editor selection as plain-text offsets into the document.
+///
+/// Offsets count characters of text; images, line breaks and checkboxes
+/// count as one character. They stay valid across `setHtml` and re-renders
+/// as long as the text before them does not change.
+class EditorSelection {
+  /// Start offset
+  final int start;
+
+  /// End offset (equal to [start] for a caret)
+  final int end;
+
+  /// Selected plain text
+  final String text;
+
+  /// Selected content as sanitized HTML
+  final String html;
+
+  /// Caret rectangle in WebView (CSS pixel) coordinates
+  final Rect rect;
+
+  /// Lowercase tag of the enclosing block, e.g. `p`, `h2`, `li` or `blockquote`
+  final String blockType;
+
+  const EditorSelection({
+    required this.start,
+    required this.end,
+    this.text = '',
+    this.html = '',
+    this.rect = Rect.zero,
+    this.blockType = 'p',
+  });
+
+  /// Whether the selection is a caret without selected content
+  bool get isCollapsed => start == end;
+
+  /// Create from a Map (received from JavaScript)
+  factory EditorSelection.fromMap(Map<String, dynamic> map) {
+    final rect = map['rect'] is Map
+        ? Map<String, dynamic>.from(map['rect'] as Map)
+        : const <String, dynamic>{};
+    double value(String key) => (rect[key] as num?)?.toDouble() ?? 0;
+
+    return EditorSelection(
+      start: (map['start'] as num?)?.toInt() ?? 0,
+      end: (map['end'] as num?)?.toInt() ?? 0,
+      text: map['text']?.toString() ?? '',
+      html: map['html']?.toString() ?? '',
+      rect: Rect.fromLTWH(
+        value('left'),
+        value('top'),
+        value('width'),
+        value('height'),
+      ),
+      blockType: map['blockType']?.toString() ?? 'p',
+    );
+  }
+
+  @override
+  String toString() {
+    return 'EditorSelection(start: $start, end: $end, blockType: $blockType, '
+        'text: $text)';
+  }
+}
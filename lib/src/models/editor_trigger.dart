@@ -0,0 +1,112 @@
+import 'dart:ui' show Rect;
+
+import 'package:flutter/foundation.dart';
+
+/// A character sequence such as `#`, `:` or `/` that opens a picker for the
+/// word typed after it.
+///
+/// [onQuery] is called while the caret is in a trigger word, and [onHide]
+/// once it leaves the word. Replace the word with the picked item through
+/// `MBRichEditorController.completeTrigger`. Triggers only count at the
+/// start of a block or after whitespace, and never inside code.
+///
+/// Example:
+/// ```dart
+/// EditorTrigger(
+///   id: 'hashtag',
+///   trigger: '#',
+///   pattern: r'[\w-]*',
+///   minQueryLength: 1,
+///   onQuery: (query) => showTagPicker(query.query, query.rect),
+///   onHide: hideTagPicker,
+/// )
+/// ```
+class EditorTrigger {
+  /// Unique id, passed back to `MBRichEditorController.completeTrigger`
+  final String id;
+
+  /// Characters that start the word, e.g. `#` or `[[`
+  final String trigger;
+
+  /// Regular expression the whole query must match (default: any text
+  /// without whitespace)
+  final String pattern;
+
+  /// Shortest query that is reported
+  final int minQueryLength;
+
+  /// Called when the word is typed and whenever the query changes
+  final ValueChanged<TriggerQuery> onQuery;
+
+  /// Called when the caret leaves the word or it is completed
+  final VoidCallback? onHide;
+
+  const EditorTrigger({
+    required this.id,
+    required this.trigger,
+    required this.onQuery,
+    this.pattern = r'\S*',
+    this.minQueryLength = 0,
+    this.onHide,
+  });
+
+  /// Convert to the JSON shape expected by `RE.registerTrigger`
+  Map<String, dynamic> toJson() {
+    return {
+      'id': id,
+      'trigger': trigger,
+      'pattern': pattern,
+      'minQueryLength': minQueryLength,
+    };
+  }
+
+  @override
+  String toString() => 'EditorTrigger(id: $id, trigger: $trigger)';
+}
+
+/// The word typed after an [EditorTrigger].
+class TriggerQuery {
+  /// Id of the trigger
+  final String id;
+
+  /// Trigger characters
+  final String trigger;
+
+  /// Text typed after the trigger
+  final String query;
+
+  /// Caret rectangle in WebView (CSS pixel) coordinates, for positioning
+  /// the picker
+  final Rect rect;
+
+  const TriggerQuery({
+    required this.id,
+    required this.trigger,
+    required this.query,
+    this.rect = Rect.zero,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory TriggerQuery.fromMap(Map<String, dynamic> map) {
+    final rect = map['rect'] is Map
+        ? Map<String, dynamic>.from(map['rect'] as Map)
+        : const <String, dynamic>{};
+    double value(String key) => (rect[key] as num?)?.toDouble() ?? 0;
+
+    return TriggerQuery(
+      id: map['id']?.toString() ?? '',
+      trigger: map['trigger']?.toString() ?? '',
+      query: map['query']?.toString() ?? '',
+      rect: Rect.fromLTWH(
+        value('left'),
+        value('top'),
+        value('width'),
+        value('height'),
+      ),
+    );
+  }
+
+  @override
+  String toString() =>
+      'TriggerQuery(id: $id, trigger: $trigger, query: $query, rect: $rect)';
+}
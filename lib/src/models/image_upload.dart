@@ -0,0 +1,30 @@
+import 'dart:typed_data';
+
+/// An image dropped or pasted into the editor, waiting to be uploaded.
+///
+/// A placeholder is shown at the caret until the upload is finished with
+/// `RichEditorController.resolveUpload` or `RichEditorController.failUpload`.
+class ImageUpload {
+  /// Id of the placeholder in the editor
+  final String id;
+
+  /// File name (clipboard images are often just `image.png`)
+  final String name;
+
+  /// MIME type, e.g. `image/png`
+  final String mimeType;
+
+  /// Raw image bytes
+  final Uint8List bytes;
+
+  const ImageUpload({
+    required this.id,
+    required this.name,
+    required this.mimeType,
+    required this.bytes,
+  });
+
+  @override
+  String toString() =>
+      'ImageUpload(id: $id, name: $name, mimeType: $mimeType, size: ${bytes.length})';
+}
@@ -0,0 +1,108 @@
+/// What an [InputRule] does with the text it matches.
+enum InputRuleType {
+  /// Replace the matched text with other text
+  text,
+
+  /// Wrap the matched text in an inline element once a space is typed
+  wrap,
+
+  /// Turn the current paragraph into another block
+  block,
+}
+
+/// A Markdown-style shortcut applied while typing.
+///
+/// [pattern] is a regular expression matched against the text right before
+/// the caret. Rules only run when `MBRichEditor.inputRules` is enabled, and
+/// never inside code. A rule with the name of a built-in rule replaces it.
+///
+/// Example:
+/// ```dart
+/// InputRule.text(name: 'copyright', pattern: r'\(c\)', replacement: '©')
+/// InputRule.wrap(name: 'underline', pattern: r'\+\+([^+]+)\+\+', tag: 'u')
+/// InputRule.block(name: 'subheading', pattern: r'%\s', tag: 'h3')
+/// ```
+class InputRule {
+  /// Built-in rule names, for [MBRichEditorController.setInputRuleEnabled]
+  static const builtInNames = [
+    'heading',
+    'blockquote',
+    'bulletList',
+    'orderedList',
+    'taskList',
+    'horizontalRule',
+    'bold',
+    'italic',
+    'strikethrough',
+    'inlineCode',
+    'smartQuotes',
+    'dashes',
+  ];
+
+  /// Unique rule name
+  final String name;
+
+  /// What the rule does with the match
+  final InputRuleType type;
+
+  /// Regular expression matched against the text before the caret
+  final String pattern;
+
+  /// Whether [pattern] is case sensitive
+  final bool caseSensitive;
+
+  /// Replacement text of a [InputRuleType.text] rule (`$1` inserts the
+  /// first group)
+  final String? replacement;
+
+  /// Element created by a [InputRuleType.wrap] or [InputRuleType.block] rule
+  final String? tag;
+
+  /// Replace the text matched right before the caret with [replacement].
+  const InputRule.text({
+    required this.name,
+    required this.pattern,
+    required String this.replacement,
+    this.caseSensitive = true,
+  }) : type = InputRuleType.text,
+       tag = null;
+
+  /// Wrap the text matched before a typed space in an inline [tag] (e.g.
+  /// `'u'`). Only the first group is kept if [pattern] has one. The tag
+  /// must be allowed by the sanitizer policy to survive `getHtml`.
+  const InputRule.wrap({
+    required this.name,
+    required this.pattern,
+    required String this.tag,
+    this.caseSensitive = true,
+  }) : type = InputRuleType.wrap,
+       replacement = null;
+
+  /// Turn the paragraph into a [tag] block when [pattern] matches all text
+  /// before the caret. The matched text is removed.
+  ///
+  /// Supported tags are `h1`-`h6`, `p`, `blockquote`, `ul`, `ol` and `hr`.
+  const InputRule.block({
+    required this.name,
+    required this.pattern,
+    required String this.tag,
+    this.caseSensitive = true,
+  }) : type = InputRuleType.block,
+       replacement = null;
+
+  /// Convert to the JSON shape expected by `RE.registerInputRule`
+  Map<String, dynamic> toJson() {
+    return {
+      'name': name,
+      'type': type.name,
+      'pattern': pattern,
+      'caseSensitive': caseSensitive,
+      if (replacement != null) 'replacement': replacement,
+      if (tag != null) 'tag': tag,
+    };
+  }
+
+  @override
+  String toString() =>
+      'InputRule(name: $name, type: ${type.name}, pattern: $pattern)';
+}
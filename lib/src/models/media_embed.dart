@@ -0,0 +1,135 @@
+import 'dart:async';
+
+/// How media embeds are written by `getHtml`.
+enum EmbedExportFormat {
+  /// `<p>[MEDIA=youtube]dQw4w9WgXcQ:30[/MEDIA]</p>`, the XenForo form
+  bbcode,
+
+  /// An `<iframe>` with the provider's player URL. The sanitizer never
+  /// loads iframes back, so keep [bbcode] or [html] for stored content.
+  iframe,
+
+  /// The bare `<div class="media-embed" data-embed-*>` block
+  html,
+}
+
+/// Callback asked whether a pasted media URL becomes an embed.
+///
+/// Return `true` to replace the pasted URL with an embed.
+typedef EmbedOfferCallback = FutureOr<bool> Function(EmbedOffer offer);
+
+/// Media provider the editor can embed.
+///
+/// YouTube, Vimeo, TikTok and X (Twitter) are built in; registering a
+/// provider with one of their ids replaces it.
+///
+/// The match groups of the first matching pattern, joined by `:`, are the
+/// embed id. Templates may use `{id}`, `{url}`, `{name}` and `{0}`, `{1}`...
+/// for the match groups.
+///
+/// Example:
+/// ```dart
+/// const EmbedProvider(
+///   id: 'dailymotion',
+///   name: 'Dailymotion',
+///   patterns: [r'dailymotion\.com/video/(\w+)'],
+///   url: 'https://www.dailymotion.com/video/{0}',
+///   iframe: 'https://www.dailymotion.com/embed/video/{0}',
+///   thumbnail: 'https://www.dailymotion.com/thumbnail/video/{0}',
+/// )
+/// ```
+class EmbedProvider {
+  /// Provider id, stored as `data-embed-provider`
+  final String id;
+
+  /// Name shown on the preview card
+  final String name;
+
+  /// JavaScript regular expressions (case-insensitive) matching media URLs
+  final List<String> patterns;
+
+  /// Key in `[MEDIA=key]`, defaults to [id]
+  final String? bbcode;
+
+  /// Template of the canonical media URL, used for embeds loaded from
+  /// `[MEDIA]` BBCode and for Markdown export
+  final String? url;
+
+  /// Template of the player URL used for [EmbedExportFormat.iframe]
+  final String? iframe;
+
+  /// Template of the preview card thumbnail URL
+  final String? thumbnail;
+
+  /// HTML template of the preview card, replacing the default thumbnail,
+  /// name and URL card. Substituted values are HTML-escaped.
+  final String? previewTemplate;
+
+  /// Default width of the exported iframe
+  final int width;
+
+  /// Default height of the exported iframe
+  final int height;
+
+  const EmbedProvider({
+    required this.id,
+    required this.name,
+    required this.patterns,
+    this.bbcode,
+    this.url,
+    this.iframe,
+    this.thumbnail,
+    this.previewTemplate,
+    this.width = 560,
+    this.height = 315,
+  });
+
+  /// Convert to the JSON shape expected by `RE.registerEmbedProvider`
+  Map<String, dynamic> toJson() {
+    return {
+      'id': id,
+      'name': name,
+      'patterns': patterns,
+      if (bbcode != null) 'bbcode': bbcode,
+      if (url != null) 'url': url,
+      if (iframe != null) 'iframe': iframe,
+      if (thumbnail != null) 'thumbnail': thumbnail,
+      if (previewTemplate != null) 'preview': previewTemplate,
+      'width': width,
+      'height': height,
+    };
+  }
+
+  @override
+  String toString() => 'EmbedProvider(id: $id, name: $name)';
+}
+
+/// Media URL pasted into the editor that a provider can embed.
+class EmbedOffer {
+  /// Pasted URL
+  final String url;
+
+  /// Id of the matching provider
+  final String provider;
+
+  /// Name of the matching provider
+  final String name;
+
+  const EmbedOffer({
+    required this.url,
+    required this.provider,
+    required this.name,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory EmbedOffer.fromMap(Map<String, dynamic> map) {
+    return EmbedOffer(
+      url: map['url']?.toString() ?? '',
+      provider: map['provider']?.toString() ?? '',
+      name: map['name']?.toString() ?? '',
+    );
+  }
+
+  @override
+  String toString() => 'EmbedOffer(provider: $provider, url: $url)';
+}
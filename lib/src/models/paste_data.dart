@@ -0,0 +1,52 @@
+import 'dart:async';
+
+/// How pasted content is cleaned before it is inserted.
+///
+/// Word and Google Docs markup, inline `mso-*` styles and comments are
+/// always stripped. The sanitizer runs after every mode.
+enum PasteMode {
+  /// Insert the plain-text clipboard content only
+  plainText,
+
+  /// Keep bold, italic, underline, strikethrough, links, lists, headings
+  /// and blockquotes. All styles and other attributes are removed.
+  basicFormatting,
+
+  /// Keep all formatting allowed by the sanitizer policy
+  full,
+}
+
+/// Callback that can rewrite a cleaned paste fragment before insertion.
+///
+/// Return the HTML to insert, `null` to keep [PasteData.html] unchanged,
+/// or an empty string to cancel the paste.
+typedef PasteTransformCallback = FutureOr<String?> Function(PasteData data);
+
+/// Content about to be pasted, after cleanup.
+class PasteData {
+  /// Cleaned HTML fragment that will be inserted
+  final String html;
+
+  /// Plain-text clipboard content
+  final String text;
+
+  /// Paste mode used to clean [html]
+  final PasteMode mode;
+
+  const PasteData({required this.html, required this.text, required this.mode});
+
+  /// Create from a Map (received from JavaScript)
+  factory PasteData.fromMap(Map<String, dynamic> map) {
+    return PasteData(
+      html: map['html']?.toString() ?? '',
+      text: map['text']?.toString() ?? '',
+      mode: PasteMode.values.firstWhere(
+        (mode) => mode.name == map['mode'],
+        orElse: () => PasteMode.full,
+      ),
+    );
+  }
+
+  @override
+  String toString() => 'PasteData(mode: ${mode.name}, html: $html)';
+}
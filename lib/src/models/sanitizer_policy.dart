@@ -0,0 +1,116 @@
+/// Allowlist policy for the HTML sanitizer in the editor bridge.
+///
+/// Every content entry point (`setHtml`, `insertHtml`, paste, media and link
+/// insertion) and `getHtml` runs through the sanitizer. Any field left `null`
+/// keeps the bridge default.
+///
+/// Example:
+/// ```dart
+/// MBRichEditor(
+///   controller: controller,
+///   sanitizerPolicy: SanitizerPolicy(
+///     allowedUrlSchemes: ['https', 'mailto'],
+///     allowedStyleProperties: ['color', 'text-align'],
+///   ),
+/// )
+/// ```
+class SanitizerPolicy {
+  /// Lowercase tag names that are kept. Other tags are unwrapped (their
+  /// children are kept), except for dangerous ones such as `script` or
+  /// `iframe`, which are always removed with their content.
+  final List<String>? allowedTags;
+
+  /// Allowed attributes per lowercase tag name. Use `'*'` as the key for
+  /// attributes allowed on every tag, and a trailing `*` for prefixes
+  /// (e.g. `'data-*'`). Event handler attributes (`on*`) are never allowed.
+  final Map<String, List<String>>? allowedAttributes;
+
+  /// URL schemes accepted in `href`/`src` attributes (e.g. `'https'`).
+  /// Relative URLs are always accepted. `data` is only honored for raster
+  /// images in `img[src]`.
+  final List<String>? allowedUrlSchemes;
+
+  /// CSS properties kept in `style` attributes (e.g. `'color'`).
+  final List<String>? allowedStyleProperties;
+
+  const SanitizerPolicy({
+    this.allowedTags,
+    this.allowedAttributes,
+    this.allowedUrlSchemes,
+    this.allowedStyleProperties,
+  });
+
+  /// Bridge defaults
+  static const defaultPolicy = SanitizerPolicy();
+
+  /// Text formatting, links, lists, mentions, tracked changes and
+  /// annotations only. No images, media, tables or inline styles.
+  static const basic = SanitizerPolicy(
+    allowedTags: [
+      'p',
+      'div',
+      'br',
+      'b',
+      'strong',
+      'i',
+      'em',
+      'u',
+      's',
+      'strike',
+      'del',
+      'ins',
+      'a',
+      'ul',
+      'ol',
+      'li',
+      'span',
+      'blockquote',
+      'code',
+      'pre',
+    ],
+    allowedAttributes: {
+      '*': ['class'],
+      'a': ['href'],
+      'del': ['data-change-id', 'data-change-author', 'data-change-time'],
+      'ins': ['data-change-id', 'data-change-author', 'data-change-time'],
+      'li': ['data-task-id', 'data-checked'],
+      'pre': ['data-language'],
+      'span': ['data-mention-id', 'data-mention-trigger', 'data-annotation-id'],
+    },
+    allowedUrlSchemes: ['http', 'https', 'mailto'],
+    allowedStyleProperties: [],
+  );
+
+  /// Create a copy of this policy with modified values
+  SanitizerPolicy copyWith({
+    List<String>? allowedTags,
+    Map<String, List<String>>? allowedAttributes,
+    List<String>? allowedUrlSchemes,
+    List<String>? allowedStyleProperties,
+  }) {
+    return SanitizerPolicy(
+      allowedTags: allowedTags ?? this.allowedTags,
+      allowedAttributes: allowedAttributes ?? this.allowedAttributes,
+      allowedUrlSchemes: allowedUrlSchemes ?? this.allowedUrlSchemes,
+      allowedStyleProperties:
+          allowedStyleProperties ?? this.allowedStyleProperties,
+    );
+  }
+
+  /// Convert to the JSON shape expected by `RE.setSanitizerPolicy`
+  Map<String, dynamic> toJson() {
+    return {
+      if (allowedTags != null) 'allowedTags': allowedTags,
+      if (allowedAttributes != null) 'allowedAttributes': allowedAttributes,
+      if (allowedUrlSchemes != null) 'allowedSchemes': allowedUrlSchemes,
+      if (allowedStyleProperties != null)
+        'allowedStyles': allowedStyleProperties,
+    };
+  }
+
+  @override
+  String toString() {
+    return 'SanitizerPolicy(allowedTags: $allowedTags, '
+        'allowedUrlSchemes: $allowedUrlSchemes)';
+  }
+}
@@ -30,6 +30,56 @@ class SummernoteToolbarState {
   final bool justifyFull;
   final String formatBlock; // e.g., 'h1', 'h2', 'p', 'blockquote', 'pre', ''
 
+  /// Whether the caret is inside inline code or a code block
+  final bool code;
+
+  /// Language of the current code block, or empty
+  final String codeLanguage;
+
+  /// Whether the caret is inside a table cell
+  final bool inTable;
+
+  /// Zero-based row and column of the current cell, or -1 outside a table
+  final int tableRow;
+  final int tableColumn;
+
+  /// Size of the current table, or 0 outside a table
+  final int tableRows;
+  final int tableColumns;
+
+  /// Computed font size at the caret in CSS pixels, or 0 if unknown
+  final int fontSize;
+
+  /// Text color at the caret as `#rrggbb`, or empty if unknown
+  final String textColor;
+
+  /// Highlight color at the caret as `#rrggbb`, or empty if none
+  final String backgroundColor;
+
+  /// Heading level (1-6) of the caret block, or null outside a heading
+  final int? headingLevel;
+
+  /// Number of lists around the caret, 0 outside a list
+  final int listDepth;
+
+  /// Whether the caret is inside a link
+  final bool inLink;
+
+  /// Whether an image (not an emoji) is selected
+  final bool imageSelected;
+
+  /// Whether the caret is at or the selection is a mention token
+  final bool inMention;
+
+  /// Whether `MBRichEditorController.undo` has a step to undo
+  final bool canUndo;
+
+  /// Whether `MBRichEditorController.redo` has a step to redo
+  final bool canRedo;
+
+  /// Whether the selection is a caret rather than a range
+  final bool collapsed;
+
   const SummernoteToolbarState({
     this.bold = false,
     this.italic = false,
@@ -44,6 +94,24 @@ class SummernoteToolbarState {
     this.justifyRight = false,
     this.justifyFull = false,
     this.formatBlock = '',
+    this.code = false,
+    this.codeLanguage = '',
+    this.inTable = false,
+    this.tableRow = -1,
+    this.tableColumn = -1,
+    this.tableRows = 0,
+    this.tableColumns = 0,
+    this.fontSize = 0,
+    this.textColor = '',
+    this.backgroundColor = '',
+    this.headingLevel,
+    this.listDepth = 0,
+    this.inLink = false,
+    this.imageSelected = false,
+    this.inMention = false,
+    this.canUndo = false,
+    this.canRedo = false,
+    this.collapsed = true,
   });
 
   /// Create from a Map (received from JavaScript)
@@ -62,9 +130,37 @@ class SummernoteToolbarState {
       justifyRight: map['justifyRight'] == true,
       justifyFull: map['justifyFull'] == true,
       formatBlock: map['formatBlock']?.toString() ?? '',
+      code: map['code'] == true,
+      codeLanguage: map['codeLanguage']?.toString() ?? '',
+      inTable: map['table'] == true,
+      tableRow: (map['tableRow'] as num?)?.toInt() ?? -1,
+      tableColumn: (map['tableColumn'] as num?)?.toInt() ?? -1,
+      tableRows: (map['tableRows'] as num?)?.toInt() ?? 0,
+      tableColumns: (map['tableColumns'] as num?)?.toInt() ?? 0,
+      fontSize: (map['fontSize'] as num?)?.toInt() ?? 0,
+      textColor: map['textColor']?.toString() ?? '',
+      backgroundColor: map['backgroundColor']?.toString() ?? '',
+      headingLevel: _headingLevel(map),
+      listDepth: (map['listDepth'] as num?)?.toInt() ?? 0,
+      inLink: map['link'] == true,
+      imageSelected: map['image'] == true,
+      inMention: map['mention'] == true,
+      canUndo: map['canUndo'] == true,
+      canRedo: map['canRedo'] == true,
+      collapsed: map['collapsed'] != false,
     );
   }
 
+  static int? _headingLevel(Map<String, dynamic> map) {
+    final level = (map['headingLevel'] as num?)?.toInt();
+    if (level != null) return level > 0 ? level : null;
+    // Older bridges only report the format block
+    final formatBlock = map['formatBlock']?.toString() ?? '';
+    return formatBlock.startsWith('h')
+        ? int.tryParse(formatBlock.substring(1))
+        : null;
+  }
+
   /// Check if any formatting is active
   bool get hasAnyFormatting =>
       bold || italic || underline || strikeThrough || subscript || superscript;
@@ -77,14 +173,7 @@ class SummernoteToolbarState {
       justifyLeft || justifyCenter || justifyRight || justifyFull;
 
   /// Check if currently in a heading
-  bool get isHeading => formatBlock.startsWith('h');
-
-  /// Get heading level (1-6), or null if not in heading
-  int? get headingLevel {
-    if (!isHeading) return null;
-    final level = formatBlock.substring(1);
-    return int.tryParse(level);
-  }
+  bool get isHeading => headingLevel != null;
 
   /// Check if currently in a blockquote
   bool get isBlockquote => formatBlock == 'blockquote';
@@ -102,7 +191,14 @@ class SummernoteToolbarState {
         'orderedList: $orderedList, unorderedList: $unorderedList, '
         'justifyLeft: $justifyLeft, justifyCenter: $justifyCenter, '
         'justifyRight: $justifyRight, justifyFull: $justifyFull, '
-        'formatBlock: $formatBlock)';
+        'formatBlock: $formatBlock, code: $code, codeLanguage: $codeLanguage, '
+        'inTable: $inTable, '
+        'tableRow: $tableRow, tableColumn: $tableColumn, '
+        'fontSize: $fontSize, textColor: $textColor, '
+        'backgroundColor: $backgroundColor, headingLevel: $headingLevel, '
+        'listDepth: $listDepth, inLink: $inLink, '
+        'imageSelected: $imageSelected, inMention: $inMention, '
+        'canUndo: $canUndo, canRedo: $canRedo, collapsed: $collapsed)';
   }
 
   @override
@@ -122,7 +218,25 @@ class SummernoteToolbarState {
           justifyCenter == other.justifyCenter &&
           justifyRight == other.justifyRight &&
           justifyFull == other.justifyFull &&
-          formatBlock == other.formatBlock;
+          formatBlock == other.formatBlock &&
+          code == other.code &&
+          codeLanguage == other.codeLanguage &&
+          inTable == other.inTable &&
+          tableRow == other.tableRow &&
+          tableColumn == other.tableColumn &&
+          tableRows == other.tableRows &&
+          tableColumns == other.tableColumns &&
+          fontSize == other.fontSize &&
+          textColor == other.textColor &&
+          backgroundColor == other.backgroundColor &&
+          headingLevel == other.headingLevel &&
+          listDepth == other.listDepth &&
+          inLink == other.inLink &&
+          imageSelected == other.imageSelected &&
+          inMention == other.inMention &&
+          canUndo == other.canUndo &&
+          canRedo == other.canRedo &&
+          collapsed == other.collapsed;
 
   @override
   int get hashCode =>
@@ -138,7 +252,25 @@ class SummernoteToolbarState {
       justifyCenter.hashCode ^
       justifyRight.hashCode ^
       justifyFull.hashCode ^
-      formatBlock.hashCode;
+      formatBlock.hashCode ^
+      code.hashCode ^
+      codeLanguage.hashCode ^
+      inTable.hashCode ^
+      tableRow.hashCode ^
+      tableColumn.hashCode ^
+      tableRows.hashCode ^
+      tableColumns.hashCode ^
+      fontSize.hashCode ^
+      textColor.hashCode ^
+      backgroundColor.hashCode ^
+      headingLevel.hashCode ^
+      listDepth.hashCode ^
+      inLink.hashCode ^
+      imageSelected.hashCode ^
+      inMention.hashCode ^
+      canUndo.hashCode ^
+      canRedo.hashCode ^
+      collapsed.hashCode;
 }
 
 /// Custom Summernote callbacks provided by the user
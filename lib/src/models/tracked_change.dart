@@ -0,0 +1,75 @@
+/// Kind of a [TrackedChange].
+enum TrackedChangeType {
+  /// Suggested text, shown as `<ins>`
+  insertion,
+
+  /// Text suggested for removal, shown as `<del>`
+  deletion,
+}
+
+/// How tracked changes are written by `getHtml` and `getText`.
+enum ChangeExportFormat {
+  /// Keep the `<ins>`/`<del>` markup
+  marked,
+
+  /// Clean final version, as if every change were accepted
+  accepted,
+
+  /// Clean original version, as if every change were rejected
+  rejected,
+}
+
+/// Suggested edit recorded while track changes is on.
+class TrackedChange {
+  /// Id used with `acceptChange` and `rejectChange`
+  final String id;
+
+  /// Whether text was inserted or deleted
+  final TrackedChangeType type;
+
+  /// Author id given to `setTrackChanges`
+  final String author;
+
+  /// When the change was made
+  final DateTime timestamp;
+
+  /// Inserted or deleted text
+  final String text;
+
+  /// Start as a plain-text offset (see `getSelection`)
+  final int start;
+
+  /// End as a plain-text offset
+  final int end;
+
+  const TrackedChange({
+    required this.id,
+    required this.type,
+    required this.author,
+    required this.timestamp,
+    required this.text,
+    required this.start,
+    required this.end,
+  });
+
+  /// Create from a Map (received from JavaScript)
+  factory TrackedChange.fromMap(Map<String, dynamic> map) {
+    return TrackedChange(
+      id: map['id']?.toString() ?? '',
+      type: map['type'] == 'deletion'
+          ? TrackedChangeType.deletion
+          : TrackedChangeType.insertion,
+      author: map['author']?.toString() ?? '',
+      timestamp: DateTime.fromMillisecondsSinceEpoch(
+        (map['timestamp'] as num?)?.toInt() ?? 0,
+      ),
+      text: map['text']?.toString() ?? '',
+      start: (map['start'] as num?)?.toInt() ?? 0,
+      end: (map['end'] as num?)?.toInt() ?? 0,
+    );
+  }
+
+  @override
+  String toString() =>
+      'TrackedChange(id: $id, type: ${type.name}, author: $author, text: $text)';
+}
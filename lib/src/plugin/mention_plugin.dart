@@ -2,6 +2,7 @@ import 'dart:convert';
 
 import 'package:flutter/foundation.dart';
 import '../core/rich_editor_controller.dart';
+import '../models/editor_trigger.dart';
 import 'summernote_plugin.dart';
 
 /// Represents a user that can be mentioned.
@@ -97,9 +98,9 @@ class MentionUser {
 
 /// Mention plugin for the rich editor.
 ///
-/// This plugin uses a Summernote mention plugin to detect @ trigger
-/// and notify Dart via callback. Use the static [insertMention] method
-/// to insert a mention when the user selects one.
+/// This plugin registers an `@` trigger with the editor (see
+/// [EditorTrigger]) and notifies Dart via callback. Use the static
+/// [insertMention] method to insert a mention when the user selects one.
 ///
 /// Example usage:
 /// ```dart
@@ -122,183 +123,33 @@ class MentionPlugin extends SummernotePlugin {
  * Summernote Mention Plugin - Minimal Version for Dart
  *
  * This plugin:
- * - Detects @ trigger
+ * - Registers an @ trigger with the editor (RE.registerTrigger)
  * - Notifies Dart with query via callback
- * - Inserts mention when Dart calls insertMentionFromDart
+ * - Replaces the @query with a mention token when Dart calls
+ *   insertMentionFromDart
  */
 
-// Store plugin instance globally for access from RE.insertMentionFromDart
-window.__summernoteAtMentionInstance = null;
-
-class SelectionPreserver {
-  constructor(rootNode) {
-    if (rootNode === undefined || rootNode === null) {
-      throw new Error("Please provide a valid rootNode.");
-    }
-    this.rootNode = rootNode;
-    this.rangeStartContainerAddress = null;
-    this.rangeStartOffset = null;
-  }
-
-  preserve() {
-    const selection = window.getSelection();
-    this.rangeStartOffset = selection.getRangeAt(0).startOffset;
-    this.rangeStartContainerAddress = this.findRangeStartContainerAddress(selection);
-  }
-
-  restore(restoreIndex) {
-    if (this.rangeStartOffset === null || this.rangeStartContainerAddress === null) {
-      throw new Error("Please call preserve() first.");
-    }
-    let rangeStartContainer = this.findRangeStartContainer();
-    const range = document.createRange();
-    const offSet = restoreIndex || this.rangeStartOffset;
-    range.setStart(rangeStartContainer, offSet);
-    range.collapse();
-    const selection = window.getSelection();
-    selection.removeAllRanges();
-    selection.addRange(range);
-  }
-
-  findRangeStartContainer() {
-    let rangeStartContainer = this.rootNode;
-    this.rangeStartContainerAddress.forEach(address => {
-      rangeStartContainer = rangeStartContainer.childNodes[address];
-    });
-    return rangeStartContainer;
-  }
-
-  findRangeStartContainerAddress(selection) {
-    let rangeStartContainerAddress = [];
-    for (
-      let currentContainer = selection.getRangeAt(0).startContainer;
-      currentContainer !== this.rootNode;
-      currentContainer = currentContainer.parentNode
-    ) {
-      const parent = currentContainer.parentElement;
-      const children = parent.childNodes;
-      for (let i = 0; i < children.length; i++) {
-        if (children[i] === currentContainer) {
-          rangeStartContainerAddress = [i, ...rangeStartContainerAddress];
-          break;
-        }
-      }
+(function($) {
+  const notify = (name, data) => {
+    if (window.flutter_inappwebview) {
+      window.flutter_inappwebview.callHandler('plugin_summernoteAtMention_' + name, data);
     }
-    return rangeStartContainerAddress;
-  }
-}
+  };
 
-const WORD_REGEX = /^[^\s]+$/;
+  RE.registerTrigger({
+    id: 'summernoteAtMention',
+    trigger: '@',
+    onQuery: (event) => notify('onMentionTrigger', {
+      query: event.query,
+      trigger: event.trigger,
+      rect: event.rect
+    }),
+    onHide: () => notify('onMentionHide', null)
+  });
 
-// Directly register the plugin with Summernote
-(function($) {
   $.summernote.plugins.summernoteAtMention = function(context) {
-    const self = this;
-    this.editableEl = context.layoutInfo.editable[0];
-    this.editorEl = context.layoutInfo.editor[0];
-
-    // Store instance globally
-    window.__summernoteAtMentionInstance = this;
-
-    /**********
-     * Events *
-     **********/
     this.events = {
-      "summernote.blur": () => {
-        if (window.flutter_inappwebview) {
-          window.flutter_inappwebview.callHandler('plugin_summernoteAtMention_onMentionHide', null);
-        }
-      },
-      "summernote.keyup": (_, event) => {
-        const selection = window.getSelection();
-        const currentText = selection.anchorNode.nodeValue;
-        const { word } = this.findWordAndIndices(
-          currentText || "",
-          selection.anchorOffset
-        );
-        const trimmedWord = word.slice(1);
-
-        if (word[0] === "@") {
-          if (window.flutter_inappwebview) {
-            window.flutter_inappwebview.callHandler('plugin_summernoteAtMention_onMentionTrigger', {
-              query: trimmedWord,
-              trigger: '@'
-            });
-          }
-        } else {
-          if (window.flutter_inappwebview) {
-            window.flutter_inappwebview.callHandler('plugin_summernoteAtMention_onMentionHide', null);
-          }
-        }
-      }
-    };
-
-    /***********
-     * Helpers *
-     ***********/
-
-    this.findWordAndIndices = (text, offset) => {
-      if (offset > text.length) {
-        return { word: "", relativeIndex: 0 };
-      } else {
-        let leftWord = "";
-        let relativeIndex = 0;
-        let absoluteIndex = offset;
-
-        for (let currentOffset = offset; currentOffset > 0; currentOffset--) {
-          if (text[currentOffset - 1].match(WORD_REGEX)) {
-            leftWord = text[currentOffset - 1] + leftWord;
-            relativeIndex++;
-            absoluteIndex--;
-          } else {
-            break;
-          }
-        }
-
-        return {
-          word: leftWord,
-          relativeIndex,
-          absoluteIndex
-        };
-      }
-    };
-
-    /**
-     * Insert a mention from Dart (called when user selects from picker)
-     * Called from Dart as: RE.insertMentionFromDart({user: {...}, trigger: '@'})
-     */
-    this.insertMentionFromDart = (mentionData) => {
-      const trigger = mentionData.trigger || '@';
-      const user = mentionData.user;
-      const mentionText = user.username;
-
-      const selection = document.getSelection();
-      const currentText = selection.anchorNode.nodeValue;
-      const { word, absoluteIndex } = this.findWordAndIndices(
-        currentText || "",
-        selection.anchorOffset
-      );
-
-      const selectionPreserver = new SelectionPreserver(this.editableEl);
-      selectionPreserver.preserve();
-
-      // Replace @query with @username
-      selection.anchorNode.textContent =
-        currentText.slice(0, absoluteIndex + 1) +
-        mentionText +
-        " " +
-        currentText.slice(absoluteIndex + word.length);
-
-      selectionPreserver.restore(absoluteIndex + mentionText.length + 1);
-
-      if (context.options.callbacks.onChange !== undefined) {
-        context.options.callbacks.onChange(this.editableEl.innerHTML);
-      }
-
-      // Notify Dart to hide picker
-      if (window.flutter_inappwebview) {
-        window.flutter_inappwebview.callHandler('plugin_summernoteAtMention_onMentionHide', null);
-      }
+      "summernote.blur": () => notify('onMentionHide', null)
     };
   };
 })(window.jQuery);
@@ -308,17 +159,20 @@ const WORD_REGEX = /^[^\s]+$/;
  * Called from Dart as: RE.insertMentionFromDart({user: {...}, trigger: '@'})
  */
 RE.insertMentionFromDart = function(mentionData) {
-  console.log('RE.insertMentionFromDart called with:', mentionData);
-
-  // Use the globally stored instance
-  const instance = window.__summernoteAtMentionInstance;
-  if (instance && typeof instance.insertMentionFromDart === 'function') {
-    instance.insertMentionFromDart(mentionData);
-  } else {
-    console.error('summernoteAtMention plugin instance not found', {
-      hasInstance: !!instance,
-      hasMethod: instance && typeof instance.insertMentionFromDart === 'function'
-    });
+  const trigger = mentionData.trigger || '@';
+  const user = mentionData.user;
+  const escape = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const html = '<span class="mention" data-mention-id="' + escape(user.id) +
+    '" data-mention-trigger="' + escape(trigger) + '">' +
+    escape(trigger + user.username) + '</span>&nbsp;';
+
+  // Replace @query with the @username token
+  if (!RE.completeTrigger('summernoteAtMention', html)) {
+    console.error('No mention query to replace at the cursor');
   }
 };
 ''';
@@ -349,7 +203,12 @@ RE.insertMentionFromDart = function(mentionData) {
   ///
   /// This method calls the JavaScript function `RE.insertMentionFromDart`
   /// which is provided by the mention plugin. The mention will replace
-  /// the @query text that triggered the mention picker.
+  /// the @query text that triggered the mention picker, as long as the
+  /// caret is still in it.
+  ///
+  /// The mention is an atomic token carrying the user id:
+  /// `<span class="mention" data-mention-id="1" data-mention-trigger="@">@john_doe</span>`.
+  /// Use [MBRichEditorController.getMentions] to list them.
   ///
   /// Example:
   /// ```dart
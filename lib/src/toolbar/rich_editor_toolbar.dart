@@ -34,10 +34,15 @@ class MBRichEditorToolbar extends StatefulWidget {
 
 class _MBRichEditorToolbarState extends State<MBRichEditorToolbar> {
   final List<String> _activeStates = [];
+  bool _canUndo = false;
+  bool _canRedo = false;
 
   @override
   void initState() {
     super.initState();
+    widget.controller.addListener(_onControllerChanged);
+    _canUndo = widget.controller.state.canUndo;
+    _canRedo = widget.controller.state.canRedo;
     widget.controller.onDecorationChange = (states) {
       setState(() {
         _activeStates.clear();
@@ -50,6 +55,9 @@ class _MBRichEditorToolbarState extends State<MBRichEditorToolbar> {
   void didUpdateWidget(MBRichEditorToolbar oldWidget) {
     super.didUpdateWidget(oldWidget);
     if (oldWidget.controller != widget.controller) {
+      oldWidget.controller.removeListener(_onControllerChanged);
+      widget.controller.addListener(_onControllerChanged);
+      _onControllerChanged();
       oldWidget.controller.onDecorationChange = null;
       widget.controller.onDecorationChange = (states) {
         setState(() {
@@ -60,6 +68,22 @@ class _MBRichEditorToolbarState extends State<MBRichEditorToolbar> {
     }
   }
 
+  @override
+  void dispose() {
+    widget.controller.removeListener(_onControllerChanged);
+    super.dispose();
+  }
+
+  /// Rebuild when undo or redo availability changes
+  void _onControllerChanged() {
+    final state = widget.controller.state;
+    if (state.canUndo == _canUndo && state.canRedo == _canRedo) return;
+    setState(() {
+      _canUndo = state.canUndo;
+      _canRedo = state.canRedo;
+    });
+  }
+
   VoidCallback _createCommand(Future<void> Function() command) {
     return () => command();
   }
@@ -71,7 +95,7 @@ class _MBRichEditorToolbarState extends State<MBRichEditorToolbar> {
         _activeStates.contains(buttonDef.decorationState);
 
     // Create the command handler
-    VoidCallback onPressed;
+    VoidCallback? onPressed;
     switch (buttonDef.id) {
       // Text Formatting
       case 'bold':
@@ -145,10 +169,14 @@ class _MBRichEditorToolbarState extends State<MBRichEditorToolbar> {
 
       // Editor Control
       case 'undo':
-        onPressed = _createCommand(() => widget.controller.undo());
+        onPressed = _canUndo
+            ? _createCommand(() => widget.controller.undo())
+            : null;
         break;
       case 'redo':
-        onPressed = _createCommand(() => widget.controller.redo());
+        onPressed = _canRedo
+            ? _createCommand(() => widget.controller.redo())
+            : null;
         break;
       case 'clearFormat':
         onPressed = _createCommand(() => widget.controller.removeFormat());
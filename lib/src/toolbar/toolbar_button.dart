@@ -13,8 +13,8 @@ class ToolbarButton extends StatelessWidget {
   /// Whether the button is currently active (pressed state)
   final bool isActive;
 
-  /// Callback when button is pressed
-  final VoidCallback onPressed;
+  /// Callback when button is pressed, or null to disable the button
+  final VoidCallback? onPressed;
 
   /// Button style
   final ButtonStyle? style;